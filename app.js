@@ -1,13 +1,12 @@
 // Basic client-side sign in / sign up logic
-// - stores simple user records in localStorage under "tidal_users"
-// - provides form validation, feedback, simulated network delay
+// - talks to the server's /api/auth endpoints (accounts live on the server)
+// - provides form validation and feedback
 // - toggles between Sign in / Sign up and shows a welcome view on success
 
 (function () {
   // --- helpers ---
   const qs = (s, el = document) => el.querySelector(s);
   const qsa = (s, el = document) => Array.from(el.querySelectorAll(s));
-  const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 
   // --- elements ---
   const signinForm = qs('#signin-form');
@@ -25,28 +24,22 @@
   const signinBtn = qs('#signin-btn');
   const signupBtn = qs('#signup-btn');
 
-  // --- storage helpers ---
-  function _loadUsers() {
+  // --- API helper ---
+  // Returns { ok, status, body }; network failures come back as status 0
+  async function api(method, url, data) {
     try {
-      const raw = localStorage.getItem('tidal_users');
-      return raw ? JSON.parse(raw) : {};
-    } catch {
-      return {};
-    }
-  }
-
-  function _saveUsers(users) {
-    localStorage.setItem('tidal_users', JSON.stringify(users));
-  }
-
-  // Minimal "hash" (not secure) for demo purposes only
-  function _simpleHash(s) {
-    let h = 2166136261 >>> 0;
-    for (let i = 0; i < s.length; i++) {
-      h ^= s.charCodeAt(i);
-      h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+      const resp = await fetch(url, {
+        method,
+        headers: data ? { 'Content-Type': 'application/json' } : {},
+        body: data ? JSON.stringify(data) : undefined,
+        credentials: 'same-origin'
+      });
+      const body = await resp.json().catch(() => ({}));
+      return { ok: resp.ok, status: resp.status, body };
+    } catch (err) {
+      console.error(err);
+      return { ok: false, status: 0, body: { error: 'Network error' } };
     }
-    return (h >>> 0).toString(16);
   }
 
   // --- UI helpers ---
@@ -128,30 +121,19 @@
       return;
     }
 
-    const users = _loadUsers();
-    if (users[email]) {
-      showMessage(signupMsg, 'error', 'An account with that email already exists');
+    const r = await api('POST', '/api/auth/register', { name, email, password });
+    if (!r.ok) {
+      showMessage(signupMsg, 'error', r.body.error || 'Could not create account');
       signupBtn.disabled = false;
       return;
     }
 
-    // simulate network delay
-    await delay(700);
-
-    users[email] = {
-      name: name || email.split('@')[0],
-      email,
-      passwordHash: _simpleHash(password),
-      createdAt: new Date().toISOString(),
-    };
-    _saveUsers(users);
-
     showMessage(signupMsg, 'success', 'Account created — you are now signed in');
     // Clear forms
     signupForm.reset();
 
     // show welcome state
-    welcomeTitle.textContent = `Welcome, ${users[email].name}`;
+    welcomeTitle.textContent = `Welcome, ${r.body.user.name}`;
     showForm('welcome');
     signupBtn.disabled = false;
   }
@@ -168,17 +150,13 @@
       return;
     }
 
-    const users = _loadUsers();
-
-    // simulate network delay
-    await delay(600);
-
-    const user = users[email];
-    if (!user || user.passwordHash !== _simpleHash(password)) {
-      showMessage(signinMsg, 'error', 'Invalid email or password');
+    const r = await api('POST', '/api/auth/login', { email, password });
+    if (!r.ok) {
+      showMessage(signinMsg, 'error', r.body.error || 'Invalid email or password');
       signinBtn.disabled = false;
       return;
     }
+    const user = r.body.user;
 
     showMessage(signinMsg, 'success', 'Signed in successfully');
     signinForm.reset();
@@ -188,25 +166,23 @@
   }
 
   // Sign out - goes back to sign in
-  function handleSignOut() {
+  async function handleSignOut() {
+    await api('POST', '/api/auth/logout');
     showMessage(welcomeMessage, 'success', 'Signed out');
     showForm('signin');
   }
 
   // Delete account (with confirmation)
-  function handleDeleteAccount() {
-    const text = welcomeTitle.textContent || '';
+  async function handleDeleteAccount() {
     const likelyEmail = prompt('To confirm deletion, type your email address:');
     if (!likelyEmail) return;
     const email = likelyEmail.trim().toLowerCase();
-    const users = _loadUsers();
-    if (!users[email]) {
-      showMessage(welcomeMessage, 'error', 'No account found for that email');
+    if (!confirm('This will permanently delete the account. Proceed?')) return;
+    const r = await api('DELETE', '/api/auth/account', { email });
+    if (!r.ok) {
+      showMessage(welcomeMessage, 'error', r.body.error || 'Could not delete account');
       return;
     }
-    if (!confirm('This will permanently delete the account. Proceed?')) return;
-    delete users[email];
-    _saveUsers(users);
     showMessage(welcomeMessage, 'success', 'Account deleted');
     showForm('signin');
   }
@@ -258,8 +234,13 @@
 
     wireSocials();
 
-    // default view
+    // default view: welcome if the server session is still signed in
     showForm('signin');
+    api('GET', '/api/auth/me').then((r) => {
+      if (!r.ok) return;
+      welcomeTitle.textContent = `Welcome, ${r.body.user.name}`;
+      showForm('welcome');
+    });
   }
 
   // run
@@ -0,0 +1,59 @@
+// lib/admin-roles.js
+// Admin accounts and what each role may do. Roles are ordered, each one can do
+// everything the roles before it can:
+//
+//   reviewer  view and download submissions, review tracks, start a review,
+//             request changes, look up issued ISRCs / UPCs
+//   manager   + approve, reject, mark delivered / live, withdraw, edit email
+//             templates and look after the email outbox
+//   owner     + manage admin accounts and webhooks, delete submissions, see disk
+//             usage and purge old uploads
+//
+// Routes ask for a permission (requirePermission in server.js), never a role,
+// so moving a permission to another role is a change in this file only.
+
+const ROLES = ['reviewer', 'manager', 'owner'];
+
+const ROLE_LABELS = { reviewer: 'Reviewer', manager: 'Manager', owner: 'Owner' };
+
+// permission -> lowest role that has it
+const PERMISSIONS = {
+  'submissions.view': 'reviewer',
+  'codes.view': 'reviewer',
+  'submissions.download': 'reviewer',
+  'submissions.review': 'reviewer',
+  'submissions.decide': 'manager',
+  'submissions.deliver': 'manager',
+  'notifications.manage': 'manager',
+  'submissions.delete': 'owner',
+  'admins.manage': 'owner',
+  'webhooks.manage': 'owner',
+  'storage.manage': 'owner'
+};
+
+// permission needed to move a submission into each status
+const TRANSITION_PERMISSIONS = {
+  in_review: 'submissions.review',
+  changes_requested: 'submissions.review',
+  approved: 'submissions.decide',
+  rejected: 'submissions.decide',
+  delivered: 'submissions.deliver',
+  live: 'submissions.deliver',
+  withdrawn: 'submissions.deliver'
+};
+
+function can(role, permission) {
+  const needed = PERMISSIONS[permission];
+  if (!needed || !ROLES.includes(role)) return false;
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+function canTransition(role, to) {
+  return can(role, TRANSITION_PERMISSIONS[to]);
+}
+
+function permissionsOf(role) {
+  return Object.keys(PERMISSIONS).filter(p => can(role, p));
+}
+
+module.exports = { ROLES, ROLE_LABELS, PERMISSIONS, TRANSITION_PERMISSIONS, can, canTransition, permissionsOf };
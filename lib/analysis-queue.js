@@ -0,0 +1,158 @@
+// lib/analysis-queue.js
+// Background loudness / quality analysis (lib/audio-analysis.js) of uploaded
+// tracks. Every track with a new audio file starts with
+//   track.analysis = { status: 'pending' }
+// and the worker replaces it with one of
+//   { status: 'done', analyzedAt, integratedLufs, truePeakDbtp, ..., problems: [message], waveform: true }
+//   { status: 'skipped', analyzedAt, reason }    lossy audio (MP3), nothing to decode
+//   { status: 'failed', analyzedAt, error }
+//
+// The pending status lives in the datastore, so tracks still waiting when the
+// server stops are analyzed after the restart. One track at a time, each in a
+// worker thread so decoding never blocks requests. A result is only stored if
+// the track still has the file that was analyzed (an artist may have replaced it).
+//
+// The waveform of an analyzed track is kept next to its audio file as
+// <file>.peaks.json (waveformFile()), too big for the submission record.
+//
+// Every file is also hashed (track.sha256) and checked for duplicates among
+// earlier submissions (lib/duplicates.js): track.duplicates, and
+// submission.possibleDuplicate while any track has one.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { checkAnalysis } = require('./audio-analysis');
+
+const TICK_EVERY = 60 * 1000;
+const TIMEOUT = 10 * 60 * 1000; // per track
+const BATCH = 50; // tracks per tick, the next tick carries on
+const WORKER = path.join(__dirname, 'audio-analysis-worker.js');
+
+// Where the waveform of the audio file `file` (track.file) is stored
+function waveformFile(uploadsDir, file) {
+  return path.join(uploadsDir, `${file}.peaks.json`);
+}
+
+// uploadsDir: where track.file paths are relative to
+// duplicates: lib/duplicates.js index the tracks are checked against
+function createAnalysisQueue(db, { uploadsDir, duplicates }) {
+  let timer = null;
+  let running = false;
+  let worker = null;
+
+  // { sha256, result, waveform, fingerprint } | { sha256 } | { sha256, error, undecodable }
+  function runWorker(file, decode) {
+    return new Promise(resolve => {
+      const w = new Worker(WORKER, { workerData: { file, decode } });
+      worker = w;
+      // the first of these settles it; 'exit' also follows a message
+      const done = message => {
+        clearTimeout(timeout);
+        if (worker === w) worker = null;
+        resolve(message);
+      };
+      const timeout = setTimeout(() => {
+        w.terminate();
+        done({ error: `Analysis took longer than ${TIMEOUT / 60000} minutes` });
+      }, TIMEOUT);
+      w.once('message', done);
+      w.once('error', err => done({ error: err.message }));
+      w.once('exit', code => done({ error: `Analysis stopped (exit code ${code})` }));
+    });
+  }
+
+  // { analysis, sha256, fingerprint }; lossy audio is only hashed
+  async function analyze(track) {
+    const lossy = track.audio && track.audio.lossless === false;
+    const { sha256, result, waveform, fingerprint, error, undecodable } = await runWorker(path.join(uploadsDir, track.file), !lossy);
+    const analyzedAt = new Date().toISOString();
+    if (error && !undecodable) return { sha256, analysis: { status: 'failed', analyzedAt, error } };
+    if (lossy) {
+      const codec = track.audio.codec ? track.audio.codec.toUpperCase() : 'Lossy';
+      return { sha256, analysis: { status: 'skipped', analyzedAt, reason: `${codec} audio is only checked from its headers` } };
+    }
+    if (undecodable) return { sha256, analysis: { status: 'skipped', analyzedAt, reason: error } };
+    let saved = true;
+    try {
+      fs.writeFileSync(waveformFile(uploadsDir, track.file), JSON.stringify(waveform));
+    } catch (err) {
+      // e.g. the submission was deleted meanwhile; the measurements still count
+      console.error('could not store waveform', err.message);
+      saved = false;
+    }
+    return { sha256, fingerprint, analysis: { status: 'done', analyzedAt, ...result, problems: checkAnalysis(result), waveform: saved } };
+  }
+
+  // The oldest submission with a track waiting, and that track's position
+  async function nextPending() {
+    const [sub] = await db.submissions.list({ 'tracks.analysis.status': 'pending' }, { createdAt: 1 }, 1);
+    if (!sub) return null;
+    const index = sub.tracks.findIndex(t => t.analysis && t.analysis.status === 'pending');
+    return index < 0 ? null : { sub, index };
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      for (let n = 0; n < BATCH && timer; n++) {
+        const next = await nextPending();
+        if (!next) break;
+        const { sub, index } = next;
+        const track = sub.tracks[index];
+        const { analysis, sha256, fingerprint } = track.file
+          ? await analyze(track)
+          : { analysis: { status: 'failed', analyzedAt: new Date().toISOString(), error: 'The track has no audio file' } };
+        const set = { [`tracks.${index}.analysis`]: analysis };
+        if (sha256) {
+          const matches = await duplicates.find(sub, { sha256, fingerprint });
+          set[`tracks.${index}.sha256`] = sha256;
+          set[`tracks.${index}.duplicates`] = matches;
+          set.possibleDuplicate = sub.tracks.some((t, i) => (i === index ? matches : t.duplicates || []).length > 0);
+        }
+        const updated = await db.submissions.update({ id: sub.id, [`tracks.${index}.file`]: track.file }, { $set: set });
+        if (updated && sha256) await duplicates.record(sub, track.file, { sha256, fingerprint });
+      }
+    } catch (err) {
+      console.error('audio analysis error', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  // Call after storing tracks with a pending analysis
+  function enqueue() {
+    if (timer) setImmediate(tick);
+  }
+
+  // Analyze every track of a submission again (e.g. one that failed, or tracks
+  // uploaded before analysis existed). Resolves to the updated submission or null.
+  async function reanalyze(id) {
+    const sub = await db.submissions.get({ id });
+    if (!sub) return null;
+    const set = {};
+    sub.tracks.forEach((t, i) => { if (t.file) set[`tracks.${i}.analysis`] = { status: 'pending' }; });
+    if (!Object.keys(set).length) return sub;
+    const updated = await db.submissions.update({ id }, { $set: set });
+    enqueue();
+    return updated;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, TICK_EVERY);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (worker) worker.terminate();
+  }
+
+  return { enqueue, reanalyze, tick, start, stop };
+}
+
+module.exports = { createAnalysisQueue, waveformFile };
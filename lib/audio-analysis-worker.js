@@ -0,0 +1,19 @@
+// lib/audio-analysis-worker.js
+// Worker thread for lib/analysis-queue.js: hashes one file (workerData.file)
+// and, with workerData.decode, decodes and measures it off the main thread.
+// Posts back { sha256, result, waveform, fingerprint }, { sha256 } when not
+// decoding, or { sha256, error, undecodable } (undecodable: a format
+// lib/pcm-decode.js does not read).
+
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeAudio } = require('./audio-analysis');
+const { sha256File } = require('./audio-fingerprint');
+const { PcmError } = require('./pcm-decode');
+
+let sha256 = null;
+try {
+  sha256 = sha256File(workerData.file);
+  parentPort.postMessage(workerData.decode ? { sha256, ...analyzeAudio(workerData.file) } : { sha256 });
+} catch (err) {
+  parentPort.postMessage({ sha256, error: err.message, undecodable: err instanceof PcmError });
+}
@@ -0,0 +1,272 @@
+// lib/audio-analysis.js
+// Loudness and quality measurements of a decoded track (lib/pcm-decode.js),
+// run in the background after upload (lib/analysis-queue.js) so reviewers see
+// problems before they press play:
+//
+//   integratedLufs   ITU-R BS.1770-4 / EBU R128 integrated loudness (gated), null when silent
+//   truePeakDbtp     highest peak after 4x oversampling (2x at 96 kHz, none at 192 kHz)
+//   samplePeakDbfs   highest sample
+//   clippedSamples   samples in runs of 3 or more at full scale, clipEvents the runs
+//   leadingSilence / trailingSilence   seconds below -60 dBFS at the start / end
+//   monoInStereo     both channels carry the same audio
+//   dcOffset         largest mean sample value of a channel (fraction of full scale)
+//
+// checkAnalysis() compares the result with THRESHOLDS, like checkAudioSpec() in
+// lib/audio-meta.js does for the file format.
+//
+// The same pass collects the waveform drawn in the dashboard:
+//   { duration, peaks: [0..1], rms: [0..1] }, up to WAVEFORM_POINTS of each
+// and the acoustic fingerprint used to find duplicates (lib/audio-fingerprint.js).
+
+const { openPcm } = require('./pcm-decode');
+const { createFingerprinter, encodeFingerprint } = require('./audio-fingerprint');
+
+const THRESHOLDS = {
+  minLufs: -30, // far too quiet (or nearly silent)
+  maxLufs: -5, // over-compressed; stores turn it down anyway
+  maxTruePeak: 0, // dBTP; anything above clips once decoded / resampled by a store
+  maxClipEvents: 10,
+  maxSilence: 2, // seconds at the start or the end
+  maxDcOffset: 0.003 // about -50 dBFS
+};
+
+const SILENCE_LEVEL = 0.001; // -60 dBFS
+const CLIP_LEVEL = 0.9999;
+const CLIP_RUN = 3;
+const WAVEFORM_POINTS = 1000;
+
+function db(value) {
+  return value > 0 ? Math.round(20 * Math.log10(value) * 100) / 100 : null;
+}
+
+// K-weighting (BS.1770 pre-filter + RLB high-pass) for any sample rate, as two biquads
+function kWeighting(rate) {
+  let f0 = 1681.974450955533;
+  const G = 3.999843853973347;
+  let Q = 0.7071752369554196;
+  let K = Math.tan(Math.PI * f0 / rate);
+  const Vh = 10 ** (G / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / rate);
+  a0 = 1 + K / Q + K * K;
+  const highPass = { b: [1, -2, 1], a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0] };
+  return [shelf, highPass];
+}
+
+// Polyphase FIR for the true-peak oversampling: `factor` phases of 12 taps
+function oversampler(factor) {
+  const taps = 12;
+  const length = taps * factor;
+  const phases = Array.from({ length: factor }, () => new Float64Array(taps));
+  for (let n = 0; n < length; n++) {
+    const x = (n - (length - 1) / 2) / factor;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length); // Hann
+    phases[n % factor][Math.floor(n / factor)] = sinc * window;
+  }
+  return phases;
+}
+
+// Accumulates the measurements block by block
+function createMeter(rate, channels) {
+  const filters = kWeighting(rate);
+  const state = Array.from({ length: channels }, () => filters.map(() => [0, 0, 0, 0]));
+  const factor = rate < 96000 ? 4 : rate < 192000 ? 2 : 1;
+  const phases = factor > 1 ? oversampler(factor) : null;
+  const history = Array.from({ length: channels }, () => new Float64Array(12));
+  const step = Math.round(rate / 10); // 100 ms; gating blocks are 4 of these
+  const steps = []; // channel-summed mean square of each 100 ms step
+  let stepEnergy = 0;
+  let stepFill = 0;
+
+  let frames = 0;
+  let samplePeak = 0;
+  let truePeak = 0;
+  let clippedSamples = 0;
+  let clipEvents = 0;
+  const clipRun = new Array(channels).fill(0);
+  let firstLoud = -1;
+  let lastLoud = -1;
+  const sums = new Array(channels).fill(0);
+  let mid = 0;
+  let side = 0;
+
+  // waveform: peak and mean square of every 20 ms, merged into WAVEFORM_POINTS at the end
+  const waveStep = Math.max(1, Math.round(rate / 50));
+  const wavePeaks = [];
+  const waveEnergy = [];
+  let wavePeak = 0;
+  let waveSum = 0;
+  let waveFill = 0;
+
+  function add(block) {
+    const n = block[0].length;
+    for (let i = 0; i < n; i++) {
+      let energy = 0;
+      let loud = false;
+      for (let c = 0; c < channels; c++) {
+        const x = block[c][i];
+        const abs = x < 0 ? -x : x;
+        sums[c] += x;
+        if (abs > wavePeak) wavePeak = abs;
+        waveSum += x * x / channels;
+        if (abs > samplePeak) samplePeak = abs;
+        if (abs >= SILENCE_LEVEL) loud = true;
+
+        if (abs >= CLIP_LEVEL) {
+          clipRun[c]++;
+          if (clipRun[c] === CLIP_RUN) { clipEvents++; clippedSamples += CLIP_RUN; } else if (clipRun[c] > CLIP_RUN) clippedSamples++;
+        } else {
+          clipRun[c] = 0;
+        }
+
+        // K-weighted energy
+        let y = x;
+        const st = state[c];
+        for (let f = 0; f < 2; f++) {
+          const { b, a } = filters[f];
+          const s = st[f];
+          const out = b[0] * y + b[1] * s[0] + b[2] * s[1] - a[0] * s[2] - a[1] * s[3];
+          s[1] = s[0]; s[0] = y; s[3] = s[2]; s[2] = out;
+          y = out;
+        }
+        energy += y * y;
+
+        // true peak
+        if (phases) {
+          const h = history[c];
+          h.copyWithin(1, 0);
+          h[0] = x;
+          for (let p = 0; p < factor; p++) {
+            const coefs = phases[p];
+            let v = 0;
+            for (let t = 0; t < 12; t++) v += coefs[t] * h[t];
+            if (v < 0) v = -v;
+            if (v > truePeak) truePeak = v;
+          }
+        }
+      }
+      if (loud) {
+        if (firstLoud < 0) firstLoud = frames;
+        lastLoud = frames;
+      }
+      if (channels === 2) {
+        const l = block[0][i];
+        const r = block[1][i];
+        mid += (l + r) * (l + r);
+        side += (l - r) * (l - r);
+      }
+      stepEnergy += energy;
+      if (++stepFill === step) {
+        steps.push(stepEnergy / step);
+        stepEnergy = 0;
+        stepFill = 0;
+      }
+      if (++waveFill === waveStep) {
+        wavePeaks.push(wavePeak);
+        waveEnergy.push(waveSum / waveFill);
+        wavePeak = 0;
+        waveSum = 0;
+        waveFill = 0;
+      }
+      frames++;
+    }
+  }
+
+  // BS.1770-4 gating: 400 ms blocks with 75% overlap, absolute gate at -70 LUFS,
+  // relative gate 10 LU below the mean of the blocks above it
+  function integrated() {
+    const loudness = z => -0.691 + 10 * Math.log10(z);
+    const blocks = [];
+    for (let i = 3; i < steps.length; i++) blocks.push((steps[i] + steps[i - 1] + steps[i - 2] + steps[i - 3]) / 4);
+    const absolute = blocks.filter(z => z > 0 && loudness(z) > -70);
+    if (!absolute.length) return null;
+    const relativeGate = loudness(absolute.reduce((s, z) => s + z, 0) / absolute.length) - 10;
+    const gated = absolute.filter(z => loudness(z) > relativeGate);
+    return Math.round(loudness(gated.reduce((s, z) => s + z, 0) / gated.length) * 10) / 10;
+  }
+
+  function result() {
+    const silent = firstLoud < 0;
+    return {
+      duration: Math.round(frames / rate * 100) / 100,
+      integratedLufs: integrated(),
+      truePeakDbtp: db(Math.max(truePeak, samplePeak)),
+      samplePeakDbfs: db(samplePeak),
+      clippedSamples,
+      clipEvents,
+      leadingSilence: Math.round((silent ? frames : firstLoud) / rate * 100) / 100,
+      trailingSilence: Math.round((silent ? frames : frames - 1 - lastLoud) / rate * 100) / 100,
+      // the side signal 60 dB or more below the mid signal
+      monoInStereo: channels === 2 && mid > 0 && side <= mid * 1e-6,
+      dcOffset: frames ? Math.round(Math.max(...sums.map(s => Math.abs(s / frames))) * 1e6) / 1e6 : 0
+    };
+  }
+
+  function waveform(points = WAVEFORM_POINTS) {
+    const peaks = wavePeaks.slice();
+    const energy = waveEnergy.slice();
+    if (waveFill) {
+      peaks.push(wavePeak);
+      energy.push(waveSum / waveFill);
+    }
+    const count = Math.min(points, peaks.length);
+    const round = v => Math.round(v * 1000) / 1000;
+    const out = { duration: Math.round(frames / rate * 100) / 100, peaks: [], rms: [] };
+    for (let j = 0; j < count; j++) {
+      const from = Math.floor(j * peaks.length / count);
+      const to = Math.floor((j + 1) * peaks.length / count);
+      let peak = 0;
+      let sum = 0;
+      for (let k = from; k < to; k++) {
+        if (peaks[k] > peak) peak = peaks[k];
+        sum += energy[k];
+      }
+      out.peaks.push(round(Math.min(1, peak)));
+      out.rms.push(round(Math.min(1, Math.sqrt(sum / (to - from)))));
+    }
+    return out;
+  }
+
+  return { add, result, waveform };
+}
+
+// Decode `file` and measure it: { result, waveform, fingerprint (base64) }.
+// Throws PcmError for formats that cannot be decoded.
+function analyzeAudio(file) {
+  const pcm = openPcm(file);
+  const meter = createMeter(pcm.sampleRate, pcm.channels);
+  const fingerprinter = createFingerprinter(pcm.sampleRate, pcm.channels);
+  for (const block of pcm.blocks) {
+    meter.add(block);
+    fingerprinter.add(block);
+  }
+  return { result: meter.result(), waveform: meter.waveform(), fingerprint: encodeFingerprint(fingerprinter.result()) };
+}
+
+// Problems with a result of analyzeAudio(), as readable messages
+function checkAnalysis(a, thresholds = THRESHOLDS) {
+  const problems = [];
+  if (a.integratedLufs === null) {
+    problems.push('The track is silent');
+    return problems;
+  }
+  if (a.integratedLufs < thresholds.minLufs) problems.push(`Very quiet: ${a.integratedLufs} LUFS (minimum ${thresholds.minLufs} LUFS)`);
+  if (a.integratedLufs > thresholds.maxLufs) problems.push(`Very loud: ${a.integratedLufs} LUFS (maximum ${thresholds.maxLufs} LUFS)`);
+  if (a.truePeakDbtp > thresholds.maxTruePeak) problems.push(`True peak ${a.truePeakDbtp} dBTP is above ${thresholds.maxTruePeak} dBTP`);
+  if (a.clipEvents > thresholds.maxClipEvents) problems.push(`Clipping: ${a.clipEvents} clipped passages (${a.clippedSamples} samples)`);
+  if (a.leadingSilence > thresholds.maxSilence) problems.push(`${a.leadingSilence} s of silence at the start`);
+  if (a.trailingSilence > thresholds.maxSilence) problems.push(`${a.trailingSilence} s of silence at the end`);
+  if (a.monoInStereo) problems.push('Stereo file with the same audio on both channels (mono)');
+  if (a.dcOffset > thresholds.maxDcOffset) problems.push(`DC offset of ${(a.dcOffset * 100).toFixed(2)}% of full scale`);
+  return problems;
+}
+
+module.exports = { THRESHOLDS, createMeter, analyzeAudio, checkAnalysis };
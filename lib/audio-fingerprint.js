@@ -0,0 +1,259 @@
+// lib/audio-fingerprint.js
+// Content hash and acoustic fingerprint of a track, for spotting the same
+// master (or someone else's recording) submitted again (lib/duplicates.js).
+//
+//   sha256File(file)                    hex SHA-256 of the bytes: identical uploads
+//   createFingerprinter(rate, channels) { add(block), result() }, fed the blocks of
+//                                       lib/pcm-decode.js like createMeter() in
+//                                       lib/audio-analysis.js
+//   compareFingerprints(a, b)           { similarity, offset } or null
+//   fingerprintKeys(codes)              a sample of the codes, to look up candidates by
+//
+// The fingerprint follows Haitsma & Kalker ("A Highly Robust Audio
+// Fingerprinting System"): the audio is mixed to mono and resampled to
+// 11025 Hz, and every FRAME_HOP samples a 2048-sample frame is split into 33
+// bands between 300 and 2000 Hz. Each frame gives one 32-bit code, bit m set
+// when the energy difference of bands m and m+1 grew since the previous frame.
+// It survives level changes, re-encoding and a different sample rate or bit
+// depth; it does not survive pitch or tempo changes.
+//
+// Fingerprints are stored as base64 of the little-endian codes (encode / decode).
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const RATE = 11025;
+const FRAME = 2048;
+const FRAME_HOP = 256; // about 23 ms
+const FRAMES_PER_SECOND = RATE / FRAME_HOP;
+const BANDS = 33;
+const MIN_HZ = 300;
+const MAX_HZ = 2000;
+const MATCH_BER = 0.3; // bit error rate up to which two stretches count as the same audio; unrelated audio is near 0.5
+const MIN_OVERLAP = 10; // seconds (or the whole of the shorter track)
+const KEY_SAMPLE = 16; // fingerprintKeys() keeps about one code in KEY_SAMPLE
+
+function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  const buf = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(file, 'r');
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) hash.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+// Butterworth low-pass biquad (before resampling, so nothing folds into the bands)
+function lowPass(rate, hz) {
+  const K = Math.tan(Math.PI * Math.min(hz, rate * 0.45) / rate);
+  const norm = 1 / (1 + Math.SQRT2 * K + K * K);
+  return {
+    b: [K * K * norm, 2 * K * K * norm, K * K * norm],
+    a: [2 * (K * K - 1) * norm, (1 - Math.SQRT2 * K + K * K) * norm],
+    s: [0, 0, 0, 0]
+  };
+}
+
+// In-place radix-2 FFT of FRAME points
+function createFft() {
+  const bits = Math.log2(FRAME);
+  const reverse = new Uint32Array(FRAME);
+  for (let i = 0; i < FRAME; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    reverse[i] = r;
+  }
+  const cos = new Float64Array(FRAME / 2);
+  const sin = new Float64Array(FRAME / 2);
+  for (let i = 0; i < FRAME / 2; i++) {
+    cos[i] = Math.cos(2 * Math.PI * i / FRAME);
+    sin[i] = -Math.sin(2 * Math.PI * i / FRAME);
+  }
+  return (re, im) => {
+    for (let i = 0; i < FRAME; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (let size = 2; size <= FRAME; size *= 2) {
+      const half = size / 2;
+      const step = FRAME / size;
+      for (let start = 0; start < FRAME; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr; im[b] = im[a] - ti;
+          re[a] += tr; im[a] += ti;
+        }
+      }
+    }
+  };
+}
+
+function createFingerprinter(rate, channels) {
+  const filters = [lowPass(rate, RATE * 0.4), lowPass(rate, RATE * 0.4)];
+  const ratio = rate / RATE;
+  let position = 0; // of the next output sample, in input samples
+  let index = 0; // input samples seen
+  let previous = 0;
+
+  const fft = createFft();
+  const window = new Float64Array(FRAME);
+  for (let i = 0; i < FRAME; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME);
+  const edges = [];
+  for (let m = 0; m <= BANDS; m++) edges.push(Math.round(MIN_HZ * (MAX_HZ / MIN_HZ) ** (m / BANDS) * FRAME / RATE));
+  const buffer = new Float64Array(FRAME);
+  let filled = 0;
+  const re = new Float64Array(FRAME);
+  const im = new Float64Array(FRAME);
+  let last = null; // band differences of the previous frame
+  const codes = [];
+
+  function frame() {
+    for (let i = 0; i < FRAME; i++) {
+      re[i] = buffer[i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    const energy = new Float64Array(BANDS);
+    for (let m = 0; m < BANDS; m++) {
+      for (let k = edges[m]; k < edges[m + 1]; k++) energy[m] += re[k] * re[k] + im[k] * im[k];
+    }
+    const diff = new Float64Array(BANDS - 1);
+    for (let m = 0; m < BANDS - 1; m++) diff[m] = energy[m] - energy[m + 1];
+    if (last) {
+      let code = 0;
+      for (let m = 0; m < BANDS - 1; m++) if (diff[m] - last[m] > 0) code |= 1 << m;
+      codes.push(code >>> 0);
+    }
+    last = diff;
+  }
+
+  function push(sample) {
+    buffer[filled++] = sample;
+    if (filled === FRAME) {
+      frame();
+      buffer.copyWithin(0, FRAME_HOP);
+      filled = FRAME - FRAME_HOP;
+    }
+  }
+
+  function add(block) {
+    const n = block[0].length;
+    for (let i = 0; i < n; i++) {
+      let x = 0;
+      for (let c = 0; c < channels; c++) x += block[c][i];
+      x /= channels;
+      for (const f of filters) {
+        const { b, a, s } = f;
+        const out = b[0] * x + b[1] * s[0] + b[2] * s[1] - a[0] * s[2] - a[1] * s[3];
+        s[1] = s[0]; s[0] = x; s[3] = s[2]; s[2] = out;
+        x = out;
+      }
+      // linear interpolation between the previous and this input sample
+      while (position <= index) {
+        const t = 1 - (index - position);
+        push(previous + (x - previous) * t);
+        position += ratio;
+      }
+      previous = x;
+      index++;
+    }
+  }
+
+  function result() {
+    return Uint32Array.from(codes);
+  }
+
+  return { add, result };
+}
+
+function encodeFingerprint(codes) {
+  const buf = Buffer.alloc(codes.length * 4);
+  codes.forEach((code, i) => buf.writeUInt32LE(code, i * 4));
+  return buf.toString('base64');
+}
+
+function decodeFingerprint(text) {
+  const buf = Buffer.from(text || '', 'base64');
+  const codes = new Uint32Array(Math.floor(buf.length / 4));
+  for (let i = 0; i < codes.length; i++) codes[i] = buf.readUInt32LE(i * 4);
+  return codes;
+}
+
+function bitCount(v) {
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Whether codes `a` (the new track) contain the same audio as codes `b`:
+// { similarity: 0..1, offset: seconds into b where a lines up } or null.
+// Candidate alignments come from codes that occur in both; the best one is
+// scored by its bit error rate over the overlap.
+function compareFingerprints(a, b) {
+  const at = new Map();
+  for (let j = 0; j < b.length; j++) {
+    // silence gives runs of the same code that would match anything quiet
+    if (b[j] === 0 || b[j] === 0xffffffff) continue;
+    const list = at.get(b[j]);
+    if (!list) at.set(b[j], [j]);
+    else if (list.length < 20) list.push(j);
+  }
+  const votes = new Map();
+  for (let i = 0; i < a.length; i++) {
+    const list = at.get(a[i]);
+    if (list) list.forEach(j => votes.set(j - i, (votes.get(j - i) || 0) + 1));
+  }
+  const candidates = Array.from(votes).sort((x, y) => y[1] - x[1]).slice(0, 3);
+
+  const minOverlap = Math.min(MIN_OVERLAP * FRAMES_PER_SECOND, a.length, b.length) * 0.9;
+  let best = null;
+  for (const [offset] of candidates) {
+    const from = Math.max(0, -offset);
+    const to = Math.min(a.length, b.length - offset);
+    if (to - from < minOverlap) continue;
+    let errors = 0;
+    for (let i = from; i < to; i++) errors += bitCount((a[i] ^ b[i + offset]) >>> 0);
+    const ber = errors / ((to - from) * 32);
+    if (ber <= MATCH_BER && (!best || ber < best.ber)) best = { ber, offset };
+  }
+  if (!best) return null;
+  return {
+    similarity: Math.round((1 - best.ber) * 1000) / 1000,
+    offset: Math.round(best.offset / FRAMES_PER_SECOND * 10) / 10
+  };
+}
+
+// The distinct codes of a fingerprint whose hash falls in one KEY_SAMPLE-th of
+// the range. Two fingerprints of the same audio share many exact codes (the
+// alignments compareFingerprints() tries come from them), and the same codes are
+// kept for both, so tracks sharing no key are not worth comparing.
+function fingerprintKeys(codes) {
+  const keys = new Set();
+  for (const code of codes) {
+    if (code === 0 || code === 0xffffffff) continue;
+    // multiplicative hash; its high bits depend on every bit of the code
+    if ((Math.imul(code, 0x9e3779b1) >>> 0) < 2 ** 32 / KEY_SAMPLE) keys.add(code);
+  }
+  return Array.from(keys);
+}
+
+module.exports = {
+  FRAMES_PER_SECOND,
+  sha256File,
+  createFingerprinter,
+  encodeFingerprint,
+  decodeFingerprint,
+  compareFingerprints,
+  fingerprintKeys
+};
@@ -0,0 +1,272 @@
+// lib/audio-meta.js
+// Reads technical metadata straight from audio file headers (WAV, AIFF/AIFC,
+// FLAC, MP3) without decoding the audio, and checks it against the
+// distribution spec that every uploaded track has to meet.
+//
+// probeAudio(file) returns:
+//   { container, codec, lossless, sampleRate, bitDepth, channels, duration, bitrate }
+// or throws when the file is not a recognised audio format.
+
+const fs = require('fs');
+
+// Distribution spec. Lossless masters must be at least CD quality; MP3 is
+// only accepted at a high bitrate.
+const SPEC = {
+  lossless: { minSampleRate: 44100, maxSampleRate: 192000, minBitDepth: 16, maxBitDepth: 32 },
+  lossy: { minSampleRate: 44100, minBitrate: 256000 },
+  maxChannels: 2,
+  minDuration: 1 // seconds
+};
+
+function readAt(fd, pos, len) {
+  const buf = Buffer.alloc(len);
+  const n = fs.readSync(fd, buf, 0, len, pos);
+  return buf.subarray(0, n);
+}
+
+// 80-bit IEEE 754 extended float, used for the AIFF sample rate
+function readExtended(buf, off) {
+  const exp = buf.readUInt16BE(off) & 0x7fff;
+  const hi = buf.readUInt32BE(off + 2);
+  const lo = buf.readUInt32BE(off + 6);
+  if (exp === 0 && hi === 0 && lo === 0) return 0;
+  const mant = hi * 2 ** 32 + lo;
+  return Math.round(mant * 2 ** (exp - 16383 - 63));
+}
+
+// Size of an ID3v2 tag at the start of the file (0 when there is none)
+function id3Size(fd) {
+  const h = readAt(fd, 0, 10);
+  if (h.length < 10 || h.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (h[6] << 21) | (h[7] << 14) | (h[8] << 7) | h[9];
+  const footer = (h[5] & 0x10) ? 10 : 0;
+  return 10 + size + footer;
+}
+
+function probeWav(fd, fileSize) {
+  let pos = 12;
+  let fmt = null;
+  let dataSize = null;
+  while (pos + 8 <= fileSize && (!fmt || dataSize === null)) {
+    const hdr = readAt(fd, pos, 8);
+    if (hdr.length < 8) break;
+    const id = hdr.toString('latin1', 0, 4);
+    const size = hdr.readUInt32LE(4);
+    if (id === 'fmt ') {
+      const b = readAt(fd, pos + 8, Math.min(size, 40));
+      let format = b.readUInt16LE(0);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (format === 0xfffe && b.length >= 26) format = b.readUInt16LE(24);
+      fmt = {
+        format,
+        channels: b.readUInt16LE(2),
+        sampleRate: b.readUInt32LE(4),
+        byteRate: b.readUInt32LE(8),
+        blockAlign: b.readUInt16LE(12),
+        bitDepth: b.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      // truncated or still-streaming files report a bogus size; clamp to what is on disk
+      dataSize = Math.min(size, fileSize - pos - 8);
+    }
+    pos += 8 + size + (size % 2);
+  }
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  const codecs = { 1: 'pcm', 3: 'pcm_float', 6: 'alaw', 7: 'mulaw' };
+  const codec = codecs[fmt.format] || `wav_0x${fmt.format.toString(16)}`;
+  const duration = fmt.byteRate && dataSize !== null ? dataSize / fmt.byteRate : null;
+  return {
+    container: 'wav',
+    codec,
+    lossless: fmt.format === 1 || fmt.format === 3,
+    sampleRate: fmt.sampleRate,
+    bitDepth: fmt.bitDepth,
+    channels: fmt.channels,
+    duration,
+    bitrate: fmt.byteRate * 8
+  };
+}
+
+function probeAiff(fd, fileSize, isAifc) {
+  let pos = 12;
+  while (pos + 8 <= fileSize) {
+    const hdr = readAt(fd, pos, 8);
+    if (hdr.length < 8) break;
+    const id = hdr.toString('latin1', 0, 4);
+    const size = hdr.readUInt32BE(4);
+    if (id === 'COMM') {
+      const b = readAt(fd, pos + 8, Math.min(size, 26));
+      const channels = b.readUInt16BE(0);
+      const frames = b.readUInt32BE(2);
+      const bitDepth = b.readUInt16BE(6);
+      const sampleRate = readExtended(b, 8);
+      let compression = 'NONE';
+      if (isAifc && b.length >= 22) compression = b.toString('latin1', 18, 22);
+      const codecs = { NONE: 'pcm', sowt: 'pcm', twos: 'pcm', fl32: 'pcm_float', fl64: 'pcm_float' };
+      const codec = codecs[compression] || `aifc_${compression.trim()}`;
+      return {
+        container: 'aiff',
+        codec,
+        lossless: !!codecs[compression],
+        sampleRate,
+        bitDepth,
+        channels,
+        duration: sampleRate ? frames / sampleRate : null,
+        bitrate: sampleRate * bitDepth * channels
+      };
+    }
+    pos += 8 + size + (size % 2);
+  }
+  throw new Error('AIFF file has no COMM chunk');
+}
+
+function probeFlac(fd, start) {
+  // STREAMINFO is always the first metadata block
+  const b = readAt(fd, start + 4, 38);
+  if (b.length < 38 || (b[0] & 0x7f) !== 0) throw new Error('FLAC file has no STREAMINFO block');
+  const si = b.subarray(4);
+  const sampleRate = (si[10] << 12) | (si[11] << 4) | (si[12] >> 4);
+  const channels = ((si[12] >> 1) & 0x07) + 1;
+  const bitDepth = (((si[12] & 0x01) << 4) | (si[13] >> 4)) + 1;
+  const totalSamples = (si[13] & 0x0f) * 2 ** 32 + si.readUInt32BE(14);
+  return {
+    container: 'flac',
+    codec: 'flac',
+    lossless: true,
+    sampleRate,
+    bitDepth,
+    channels,
+    duration: sampleRate && totalSamples ? totalSamples / sampleRate : null,
+    bitrate: null
+  };
+}
+
+const MP3_BITRATES = {
+  // [version 1][layer], [version 2/2.5][layer] in kbps
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+function parseMp3Header(b, off) {
+  if (off + 4 > b.length) return null;
+  if (b[off] !== 0xff || (b[off + 1] & 0xe0) !== 0xe0) return null;
+  const version = (b[off + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layer = 4 - ((b[off + 1] >> 1) & 0x03);
+  const brIdx = b[off + 2] >> 4;
+  const srIdx = (b[off + 2] >> 2) & 0x03;
+  const padding = (b[off + 2] >> 1) & 0x01;
+  const mode = b[off + 3] >> 6;
+  if (version === 1 || layer === 4 || brIdx === 0 || brIdx === 15 || srIdx === 3) return null;
+  let table;
+  if (version === 3) table = MP3_BITRATES['V1L' + layer];
+  else table = layer === 1 ? MP3_BITRATES.V2L1 : MP3_BITRATES.V2L23;
+  const bitrate = table[brIdx] * 1000;
+  const sampleRate = MP3_RATES[version][srIdx];
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 3 ? 576 : 1152);
+  const frameLength = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+  return { version, layer, bitrate, sampleRate, samplesPerFrame, frameLength, channels: mode === 3 ? 1 : 2 };
+}
+
+function probeMp3(fd, start, fileSize) {
+  const b = readAt(fd, start, 64 * 1024);
+  for (let off = 0; off < b.length - 4; off++) {
+    const h = parseMp3Header(b, off);
+    if (!h) continue;
+    // require a second frame right after the first to rule out false syncs
+    const next = off + h.frameLength;
+    if (next + 4 <= b.length && !parseMp3Header(b, next)) continue;
+
+    let duration = null;
+    let bitrate = h.bitrate;
+    // Xing/Info (VBR) header sits after the side information of the first frame
+    const sideInfo = h.version === 3 ? (h.channels === 1 ? 17 : 32) : (h.channels === 1 ? 9 : 17);
+    const xing = off + 4 + sideInfo;
+    const tag = b.toString('latin1', xing, xing + 4);
+    if ((tag === 'Xing' || tag === 'Info') && (b.readUInt32BE(xing + 4) & 0x01)) {
+      const frames = b.readUInt32BE(xing + 8);
+      duration = (frames * h.samplesPerFrame) / h.sampleRate;
+    } else if (b.toString('latin1', off + 36, off + 40) === 'VBRI') {
+      const frames = b.readUInt32BE(off + 36 + 14);
+      duration = (frames * h.samplesPerFrame) / h.sampleRate;
+    }
+    const audioBytes = fileSize - start - off;
+    if (duration) bitrate = Math.round((audioBytes * 8) / duration);
+    else duration = (audioBytes * 8) / h.bitrate;
+    return {
+      container: 'mp3',
+      codec: 'mp3',
+      lossless: false,
+      sampleRate: h.sampleRate,
+      bitDepth: null,
+      channels: h.channels,
+      duration,
+      bitrate
+    };
+  }
+  throw new Error('No MPEG audio frames found');
+}
+
+function probeAudio(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const head = readAt(fd, 0, 12);
+    const magic = head.toString('latin1', 0, 4);
+    const form = head.toString('latin1', 8, 12);
+    let info;
+    if (magic === 'RIFF' && form === 'WAVE') info = probeWav(fd, fileSize);
+    else if (magic === 'FORM' && (form === 'AIFF' || form === 'AIFC')) info = probeAiff(fd, fileSize, form === 'AIFC');
+    else {
+      // FLAC and MP3 may both be preceded by an ID3v2 tag
+      const start = id3Size(fd);
+      const sig = readAt(fd, start, 4).toString('latin1');
+      if (sig === 'fLaC') info = probeFlac(fd, start);
+      else info = probeMp3(fd, start, fileSize);
+    }
+    if (info.duration !== null) info.duration = Math.round(info.duration * 1000) / 1000;
+    return info;
+  } catch (e) {
+    throw new Error(`Unrecognised or unsupported audio file (${e.message})`);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Returns a list of human-readable reasons the file fails the spec (empty = OK)
+function checkAudioSpec(info) {
+  const problems = [];
+  const tier = info.lossless ? SPEC.lossless : SPEC.lossy;
+  if (!info.lossless && info.codec !== 'mp3') {
+    problems.push(`codec ${info.codec} is not accepted (use PCM WAV/AIFF, FLAC or MP3)`);
+  }
+  if (info.sampleRate < tier.minSampleRate) {
+    problems.push(`sample rate ${info.sampleRate} Hz is below ${tier.minSampleRate} Hz`);
+  }
+  if (tier.maxSampleRate && info.sampleRate > tier.maxSampleRate) {
+    problems.push(`sample rate ${info.sampleRate} Hz is above ${tier.maxSampleRate} Hz`);
+  }
+  if (info.lossless && info.bitDepth < tier.minBitDepth) {
+    problems.push(`bit depth ${info.bitDepth}-bit is below ${tier.minBitDepth}-bit`);
+  }
+  if (info.lossless && info.bitDepth > tier.maxBitDepth) {
+    problems.push(`bit depth ${info.bitDepth}-bit is above ${tier.maxBitDepth}-bit`);
+  }
+  if (!info.lossless && tier.minBitrate && info.bitrate < tier.minBitrate) {
+    problems.push(`bitrate ${Math.round(info.bitrate / 1000)} kbps is below ${tier.minBitrate / 1000} kbps`);
+  }
+  if (!info.channels || info.channels > SPEC.maxChannels) {
+    problems.push(`${info.channels} channels (only mono or stereo is accepted)`);
+  }
+  if (info.duration === null || info.duration < SPEC.minDuration) {
+    problems.push('duration is missing or too short');
+  }
+  return problems;
+}
+
+module.exports = { probeAudio, checkAudioSpec, SPEC };
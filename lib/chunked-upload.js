@@ -0,0 +1,164 @@
+// lib/chunked-upload.js
+// Resumable uploads: the browser declares the files it is going to send, then
+// PUTs each one in chunks (Content-Range: bytes start-end/total). Chunks are
+// written straight to their offset in a part file and the received byte ranges
+// are recorded next to it, so after a dropped connection the client asks which
+// ranges the server already has and only sends the rest.
+//
+// Declared sizes are checked against the caps of lib/upload-policy.js up front.
+// finalize() moves the files under temporary names; the caller names them with
+// placeFiles() once their content is checked.
+//
+// Layout on disk (inside UPLOADS_DIR, never served):
+//   .incoming/<id>/manifest.json   { id, artistId, createdAt, files: [{ name, size, field }] }
+//   .incoming/<id>/<index>.part    file data
+//   .incoming/<id>/<index>.json    received ranges, e.g. [[0, 8388608]] (end exclusive)
+
+const fs = require('fs');
+const path = require('path');
+const { sizeProblems } = require('./upload-policy');
+
+const FIELDS = ['cover', 'trackFiles'];
+const MAX_FILES = 201; // one cover + up to 200 tracks, same as /submit
+const CHUNK_SIZE = 8 * 1024 * 1024; // suggested to clients
+const MAX_CHUNK = 16 * 1024 * 1024;
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// limits: uploadLimits() of lib/upload-policy.js
+function createStore(uploadsDir, { limits }) {
+  const root = path.join(uploadsDir, '.incoming');
+  if (!fs.existsSync(root)) fs.mkdirSync(root, { recursive: true });
+
+  // ids come from the URL, so only accept the uuid shape we hand out
+  function dirFor(id) {
+    if (!/^[0-9a-f-]{36}$/i.test(String(id))) throw new UploadError(404, 'Upload not found');
+    return path.join(root, id);
+  }
+
+  function readJSON(file, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  function readManifest(id) {
+    const manifest = readJSON(path.join(dirFor(id), 'manifest.json'), null);
+    if (!manifest) throw new UploadError(404, 'Upload not found');
+    return manifest;
+  }
+
+  // Merge [start, end) into a sorted list of non-overlapping ranges
+  function addRange(ranges, start, end) {
+    const all = ranges.concat([[start, end]]).sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    all.forEach(r => {
+      const last = merged[merged.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else merged.push([r[0], r[1]]);
+    });
+    return merged;
+  }
+
+  function fileStatus(id, manifest, index) {
+    const f = manifest.files[index];
+    const ranges = readJSON(path.join(dirFor(id), `${index}.json`), []);
+    const received = ranges.reduce((n, r) => n + (r[1] - r[0]), 0);
+    return { index, name: f.name, size: f.size, field: f.field, ranges, received, complete: received === f.size };
+  }
+
+  function status(id) {
+    const manifest = readManifest(id);
+    const files = manifest.files.map((f, i) => fileStatus(id, manifest, i));
+    return { id, chunkSize: CHUNK_SIZE, complete: files.every(f => f.complete), files };
+  }
+
+  // files: [{ name, size, field }]
+  function create(id, artistId, files) {
+    if (!Array.isArray(files) || !files.length) throw new UploadError(400, 'No files declared');
+    if (files.length > MAX_FILES) throw new UploadError(400, `At most ${MAX_FILES} files per upload`);
+    const clean = files.map(f => {
+      const size = Number(f && f.size);
+      const name = path.basename(String((f && f.name) || ''));
+      if (!name || !Number.isSafeInteger(size) || size <= 0) throw new UploadError(400, 'Each file needs a name and a size');
+      if (!FIELDS.includes(f.field)) throw new UploadError(400, `Unknown file field: ${f.field}`);
+      return { name, size, field: f.field };
+    });
+    if (clean.filter(f => f.field === 'cover').length > 1) throw new UploadError(400, 'Only one cover file is allowed');
+    const tooBig = sizeProblems(clean, limits);
+    if (tooBig.length) throw new UploadError(413, tooBig.join('; '));
+
+    const dir = dirFor(id);
+    fs.mkdirSync(dir, { recursive: true });
+    clean.forEach((f, i) => fs.writeFileSync(path.join(dir, `${i}.part`), ''));
+    const manifest = { id, artistId, createdAt: new Date().toISOString(), files: clean };
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+    return status(id);
+  }
+
+  // Write one chunk; contentRange is the raw "bytes start-end/total" header
+  function writeChunk(id, index, contentRange, data) {
+    const manifest = readManifest(id);
+    const f = manifest.files[index];
+    if (!f) throw new UploadError(404, 'File not found in this upload');
+
+    const m = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(String(contentRange || ''));
+    if (!m) throw new UploadError(400, 'Content-Range header must look like "bytes start-end/total"');
+    const start = Number(m[1]);
+    const end = Number(m[2]) + 1; // header end is inclusive
+    if (Number(m[3]) !== f.size || start >= end || end > f.size) {
+      throw new UploadError(416, 'Content-Range does not match the declared file size');
+    }
+    if (!Buffer.isBuffer(data) || data.length !== end - start) {
+      throw new UploadError(400, 'Chunk length does not match Content-Range');
+    }
+
+    const dir = dirFor(id);
+    const fd = fs.openSync(path.join(dir, `${index}.part`), 'r+');
+    try {
+      fs.writeSync(fd, data, 0, data.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // record the range only after the bytes are on disk
+    const rangesFile = path.join(dir, `${index}.json`);
+    const ranges = addRange(readJSON(rangesFile, []), start, end);
+    fs.writeFileSync(rangesFile, JSON.stringify(ranges), 'utf8');
+    return fileStatus(id, manifest, index);
+  }
+
+  // Move the completed files into destDir (as <index>.upload) and return them in the shape
+  // multer gives /submit: { cover: [file], trackFiles: [file, ...] } with { path, originalname, size }
+  function finalize(id, destDir) {
+    const st = status(id);
+    const missing = st.files.filter(f => !f.complete);
+    if (missing.length) {
+      throw new UploadError(409, `Upload incomplete: ${missing.map(f => f.name).join(', ')}`);
+    }
+    const dir = dirFor(id);
+    fs.mkdirSync(destDir, { recursive: true });
+    const result = { cover: [], trackFiles: [] };
+    st.files.forEach(f => {
+      const target = path.join(destDir, `${f.index}.upload`);
+      fs.renameSync(path.join(dir, `${f.index}.part`), target);
+      result[f.field].push({ path: target, originalname: f.name, size: f.size });
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+    return result;
+  }
+
+  function remove(id) {
+    fs.rmSync(dirFor(id), { recursive: true, force: true });
+  }
+
+  return { create, status, writeChunk, finalize, remove, readManifest };
+}
+
+module.exports = { createStore, UploadError, CHUNK_SIZE, MAX_CHUNK };
@@ -0,0 +1,189 @@
+// lib/code-pool.js
+// ISRCs and UPCs from the label's own ranges, assigned when a release is
+// approved without them (see adminTransition in server.js). Configuration
+// (environment), either pool can be left out:
+//
+//   ISRC_PREFIX   country code + registrant code, e.g. "US-S1Z"; every recording
+//                 gets the year of issue and the next 5-digit designation number
+//   ISRC_FIRST    first designation number used each year, default 1 (set it past
+//                 the codes that were assigned by hand)
+//   UPC_FIRST     first and last code of the UPC / EAN block, check digit included,
+//   UPC_LAST      e.g. 036000290004 and 036000299991
+//
+// Every issued code is stored in db.codes:
+//   { code, type: 'isrc' | 'upc', submissionId, albumName, track, trackTitle, issuedAt, issuedBy }
+// (track is 1-based, null for a UPC), with a unique index on `code`.
+//
+// Never the same code twice: the next candidate comes from an $inc on a counter
+// in db.settings, which NeDB applies one update at a time, and the insert into
+// db.codes is what reserves it. A candidate that is already in db.codes, or
+// already on a submission because an artist entered it, is skipped.
+
+const codes = require('../public/release-codes');
+
+class CodePoolError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// { isrc: { prefix, first } | null, upc: { first, last } | null, errors: [message] }
+function codePoolConfig(env = process.env) {
+  const config = { isrc: null, upc: null, errors: [] };
+
+  if (env.ISRC_PREFIX) {
+    const prefix = codes.normalizeIsrc(env.ISRC_PREFIX);
+    const first = env.ISRC_FIRST ? Number(env.ISRC_FIRST) : 1;
+    if (!/^[A-Z]{2}[A-Z0-9]{3}$/.test(prefix)) config.errors.push(`ISRC_PREFIX "${env.ISRC_PREFIX}" must be a country code and a 3-character registrant code, e.g. US-S1Z`);
+    else if (!Number.isInteger(first) || first < 1 || first > 99999) config.errors.push('ISRC_FIRST must be a number from 1 to 99999');
+    else config.isrc = { prefix, first };
+  }
+
+  if (env.UPC_FIRST || env.UPC_LAST) {
+    const first = codes.normalizeUpc(env.UPC_FIRST);
+    const last = codes.normalizeUpc(env.UPC_LAST);
+    const problem = codes.upcProblem(first) || codes.upcProblem(last);
+    if (problem) config.errors.push(`UPC_FIRST / UPC_LAST: ${problem}`);
+    else if (first.length !== last.length || last < first) config.errors.push('UPC_FIRST and UPC_LAST must have the same length, first before last');
+    else config.upc = { first, last };
+  }
+  return config;
+}
+
+function createCodePool(db, config = codePoolConfig()) {
+  // assignments for one submission run one after the other, so an approval and
+  // a retry cannot both fill the same track
+  const queues = new Map();
+  function serialize(id, fn) {
+    const run = (queues.get(id) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    queues.set(id, settled);
+    settled.then(() => { if (queues.get(id) === settled) queues.delete(id); });
+    return run;
+  }
+
+  async function counter(key) {
+    const doc = await db.settings.upsert({ key }, { $inc: { value: 1 } });
+    return doc.value;
+  }
+
+  // true when `doc.code` is now ours; false when it was issued or used before
+  async function reserve(doc) {
+    const used = doc.type === 'isrc' ? { 'tracks.isrc': doc.code } : { upc: doc.code };
+    if (await db.submissions.count(used)) return false;
+    try {
+      await db.codes.insert(doc);
+      return true;
+    } catch (err) {
+      if (err.errorType === 'uniqueViolated') return false;
+      throw err;
+    }
+  }
+
+  async function issueIsrc(doc) {
+    const { prefix, first } = config.isrc;
+    const year = String(new Date().getUTCFullYear()).slice(2);
+    for (;;) {
+      const n = first + (await counter(`codePool.isrc.${prefix}${year}`)) - 1;
+      if (n > 99999) throw new CodePoolError(503, `No ISRCs left for ${prefix} in 20${year}`);
+      const code = prefix + year + String(n).padStart(5, '0');
+      if (await reserve({ ...doc, code, type: 'isrc' })) return code;
+    }
+  }
+
+  async function issueUpc(doc) {
+    const { first, last } = config.upc;
+    const start = Number(first.slice(0, -1));
+    for (;;) {
+      const body = String(start + (await counter(`codePool.upc.${first}`)) - 1).padStart(first.length - 1, '0');
+      const code = body + codes.gtinCheckDigit(body);
+      if (code > last) throw new CodePoolError(503, `The UPC block ${first}–${last} is used up`);
+      if (await reserve({ ...doc, code, type: 'upc' })) return code;
+    }
+  }
+
+  // Give the submission a UPC and every track an ISRC where they are missing.
+  // Resolves to { submission, issued: [code doc], error }; error says which pool
+  // ran out, the codes that could still be issued are stored either way.
+  function assign(id, actor) {
+    return serialize(id, async () => {
+      const sub = await db.submissions.get({ id });
+      if (!sub) throw new CodePoolError(404, 'Not found');
+      const base = {
+        submissionId: sub.id,
+        albumName: sub.albumName,
+        issuedAt: new Date().toISOString(),
+        issuedBy: { type: actor.type, id: actor.id || null, name: actor.name || null }
+      };
+      const set = {};
+      const issued = [];
+      let failure = null;
+      // one pool running out does not stop the other
+      const fill = async (field, doc, issue) => {
+        try {
+          set[field] = await issue(doc);
+          issued.push({ ...doc, code: set[field], type: issue === issueUpc ? 'upc' : 'isrc' });
+          return true;
+        } catch (err) {
+          if (!(err instanceof CodePoolError)) throw err;
+          failure = failure || err;
+          return false;
+        }
+      };
+      if (!sub.upc && config.upc) await fill('upc', { ...base, track: null, trackTitle: null }, issueUpc);
+      if (config.isrc) {
+        for (const [i, t] of sub.tracks.entries()) {
+          if (t.isrc) continue;
+          if (!(await fill(`tracks.${i}.isrc`, { ...base, track: i + 1, trackTitle: t.title || null }, issueIsrc))) break;
+        }
+      }
+      const submission = issued.length ? await db.submissions.update({ id }, { $set: set }) : sub;
+      return { submission, issued, error: failure ? failure.message : null };
+    });
+  }
+
+  // What assign() would fill in: { upc: bool, isrc: number of tracks }
+  function missing(sub) {
+    return {
+      upc: !sub.upc && !!config.upc,
+      isrc: config.isrc ? sub.tracks.filter(t => !t.isrc).length : 0
+    };
+  }
+
+  // Issued codes, newest first, each with the release / track that holds it now
+  // (holder is null when the code is no longer on its release).
+  // query: { type, q } where q matches the code or the album title
+  async function list({ type, q } = {}, limit = 500) {
+    const query = {};
+    if (type) query.type = type;
+    if (q) {
+      const re = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\-]/g, '\\$&'), 'i');
+      query.$or = [{ code: new RegExp(codes.normalizeIsrc(q).replace(/[^A-Z0-9]/g, ''), 'i') }, { albumName: re }];
+    }
+    const issued = await db.codes.list(query, { issuedAt: -1, code: -1 }, limit);
+    const ids = Array.from(new Set(issued.map(c => c.submissionId)));
+    const subs = new Map((await db.submissions.list({ id: { $in: ids } })).map(s => [s.id, s]));
+    return issued.map(c => {
+      const sub = subs.get(c.submissionId);
+      let holder = null;
+      if (sub && c.type === 'upc' && sub.upc === c.code) {
+        holder = { submissionId: sub.id, albumName: sub.albumName, status: sub.status, track: null, title: null };
+      } else if (sub && c.type === 'isrc') {
+        const i = sub.tracks.findIndex(t => t.isrc === c.code);
+        if (i >= 0) holder = { submissionId: sub.id, albumName: sub.albumName, status: sub.status, track: i + 1, title: sub.tracks[i].title };
+      }
+      return { ...c, holder };
+    });
+  }
+
+  return {
+    config,
+    enabled: !!(config.isrc || config.upc),
+    assign,
+    missing,
+    list
+  };
+}
+
+module.exports = { CodePoolError, codePoolConfig, createCodePool };
@@ -0,0 +1,40 @@
+// lib/csrf.js
+// CSRF protection for the admin area. Signing in stores a random token in the
+// session and sets it as the readable "csrf" cookie (path /admin); the admin
+// pages (public/admin-csrf.js) send it back as the X-CSRF-Token header. Every
+// POST / PUT / PATCH / DELETE under /admin must carry the session's token,
+// which another site can neither read nor forge.
+
+const crypto = require('crypto');
+
+const COOKIE = 'csrf';
+const HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// New token for a freshly signed-in session
+function issueToken(req, res) {
+  const token = crypto.randomBytes(32).toString('hex');
+  req.session.csrfToken = token;
+  res.cookie(COOKIE, token, { path: '/admin', sameSite: 'strict', secure: req.session.cookie.secure });
+  return token;
+}
+
+function clearToken(res) {
+  res.clearCookie(COOKIE, { path: '/admin' });
+}
+
+// Middleware; `open` lists the paths (relative to the mount point) reached
+// before there is a session to hold a token, i.e. the sign-in form
+function checkToken({ open = [] } = {}) {
+  return (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || open.includes(req.path)) return next();
+    const expected = req.session && req.session.csrfToken;
+    const given = req.get(HEADER) || '';
+    if (!expected || given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+      return res.status(403).json({ error: 'This page has expired; reload it or sign in again' });
+    }
+    next();
+  };
+}
+
+module.exports = { COOKIE, HEADER, issueToken, clearToken, checkToken };
@@ -0,0 +1,16 @@
+// lib/csv.js
+// One CSV cell (RFC 4180). Cells a spreadsheet would read as a formula (starting
+// with =, +, -, @, tab or carriage return) are prefixed with ' so that artist
+// supplied text such as a track title shows as text instead of running, and
+// are quoted like any cell containing a quote, comma or line break.
+
+const FORMULA = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let s = value === undefined || value === null ? '' : String(value);
+  const formula = FORMULA.test(s);
+  if (formula) s = `'${s}`;
+  return formula || /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+module.exports = { csvCell };
@@ -0,0 +1,130 @@
+// lib/db.js
+// Embedded datastore for submissions, artist and admin accounts, the admin
+// audit log, the email outbox, webhook deliveries, issued ISRC / UPC codes,
+// audio fingerprints and signed-in sessions (NeDB: append-only files in data/,
+// one JSON document per line, compacted periodically).
+//
+// Every write is a single-document operation queued through NeDB's executor,
+// so concurrent requests can no longer overwrite each other the way the old
+// read-whole-file / write-whole-file submissions.json did. Use update() with
+// $set / $push modifiers rather than read-modify-insert.
+//
+// Collections strip NeDB's internal _id so callers only ever see our own `id`.
+
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+
+const COMPACT_EVERY = 60 * 60 * 1000; // 1 hour
+const NO_ID = { _id: 0 };
+
+function strip(doc) {
+  if (!doc) return doc;
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+function collection(ds) {
+  return {
+    get: (query) => ds.findOneAsync(query, NO_ID),
+    // limit is optional; without it every match is returned
+    list: (query = {}, sort = { createdAt: 1 }, limit) => {
+      const cursor = ds.findAsync(query, NO_ID).sort(sort);
+      return limit ? cursor.limit(limit) : cursor;
+    },
+    count: (query = {}) => ds.countAsync(query),
+    insert: async (doc) => strip(await ds.insertAsync(doc)),
+    // update one document atomically; resolves to the updated doc or null when nothing matched
+    update: async (query, update) => {
+      const { affectedDocuments } = await ds.updateAsync(query, update, { returnUpdatedDocs: true });
+      return strip(affectedDocuments);
+    },
+    // like update, but inserts the document when nothing matches
+    upsert: async (query, update) => {
+      const { affectedDocuments } = await ds.updateAsync(query, update, { upsert: true, returnUpdatedDocs: true });
+      return strip(affectedDocuments);
+    },
+    remove: (query) => ds.removeAsync(query, { multi: false }),
+    datastore: ds
+  };
+}
+
+async function openDB(dataDir) {
+  const open = async (name, indexes) => {
+    const ds = new Datastore({ filename: path.join(dataDir, `${name}.db`) });
+    await ds.loadDatabaseAsync();
+    for (const index of indexes) await ds.ensureIndexAsync(index);
+    ds.setAutocompactionInterval(COMPACT_EVERY);
+    return collection(ds);
+  };
+
+  return {
+    submissions: await open('submissions', [
+      { fieldName: 'id', unique: true },
+      { fieldName: 'status' },
+      { fieldName: 'artistId' }
+    ]),
+    users: await open('users', [
+      { fieldName: 'id', unique: true },
+      { fieldName: 'email', unique: true }
+    ]),
+    admins: await open('admins', [
+      { fieldName: 'id', unique: true },
+      { fieldName: 'email', unique: true }
+    ]),
+    // { at, action, by: { type, id, name }, target, details }, append only
+    audit: await open('audit', [
+      { fieldName: 'target' },
+      { fieldName: 'at' }
+    ]),
+    // email queue and template overrides, see lib/notifications.js
+    outbox: await open('outbox', [
+      { fieldName: 'id', unique: true },
+      { fieldName: 'status' },
+      { fieldName: 'nextAttemptAt' }
+    ]),
+    templates: await open('templates', [
+      { fieldName: 'name', unique: true }
+    ]),
+    // outbound webhooks and their delivery log, see lib/webhooks.js
+    webhooks: await open('webhooks', [
+      { fieldName: 'id', unique: true }
+    ]),
+    deliveries: await open('deliveries', [
+      { fieldName: 'id', unique: true },
+      { fieldName: 'status' },
+      { fieldName: 'webhookId' }
+    ]),
+    // ISRCs / UPCs issued from the label's pools, see lib/code-pool.js
+    codes: await open('codes', [
+      { fieldName: 'code', unique: true },
+      { fieldName: 'submissionId' },
+      { fieldName: 'issuedAt' }
+    ]),
+    // content hashes and acoustic fingerprints of analyzed tracks, see lib/duplicates.js
+    fingerprints: await open('fingerprints', [
+      { fieldName: 'id', unique: true },
+      { fieldName: 'file', unique: true },
+      { fieldName: 'submissionId' },
+      { fieldName: 'sha256' },
+      { fieldName: 'keys' }
+    ]),
+    // express-session sessions, see lib/session-store.js
+    sessions: await open('sessions', [
+      { fieldName: 'sid', unique: true },
+      { fieldName: 'adminId' },
+      { fieldName: 'expiresAt' }
+    ]),
+    // small key / value state, e.g. when the last admin digest went out, code pool counters
+    settings: await open('settings', [
+      { fieldName: 'key', unique: true }
+    ])
+  };
+}
+
+// Upload paths are stored relative to UPLOADS_DIR with forward slashes, so
+// records written on Windows ("<id>\\track.wav") resolve on Linux too.
+function toStoredPath(p) {
+  return p ? String(p).replace(/\\/g, '/') : p;
+}
+
+module.exports = { openDB, toStoredPath };
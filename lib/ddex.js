@@ -0,0 +1,391 @@
+// lib/ddex.js
+// DDEX ERN 4.3 export: turns an approved submission into a NewReleaseMessage
+// that can be sent to a DSP (or to an aggregator that ingests DDEX):
+//
+//   MessageHeader   sender / recipient DPIDs from the environment (see below)
+//   PartyList       the artist, featured artists, credited writers / producers and the label
+//   ResourceList    one SoundRecording per track (title, artists, credits, duration,
+//                   explicit flag, ISRC when the track has one) and the front cover Image
+//   ReleaseList     the album Release plus one TrackRelease per track
+//   DealList        deals derived from submission.platforms through PLATFORM_DEALS
+//
+// File URIs are the file names used in the ZIP download (/admin/download/:id),
+// so the XML can be sent next to the unpacked files; delivery packages
+// (lib/delivery.js) pass their own names in `files`.
+//
+// Before anything is downloaded the message goes through two checks:
+//   checkRelease()  things DDEX needs that a submission may not have (missing
+//                   durations, unknown platforms, no sender DPID, ...), with messages an admin can act on
+//   validate()      the XML against the official ERN 4.3 XSD with libxml2 (xmllint-wasm).
+//                   The schema files are not shipped with the app: run
+//                   `npm run fetch-ddex-schemas` once (or copy release-notification.xsd and the
+//                   files it imports into DDEX_SCHEMA_DIR). Without them the export is refused.
+//                   The script also validates the messages of two sample releases against
+//                   the schema (`npm run fetch-ddex-schemas -- --check` does only that).
+//
+// Configuration (environment):
+//   DDEX_SENDER_DPID       our DDEX party id (PADPIDA...), required
+//   DDEX_SENDER_NAME       default "tidal.wav"
+//   DDEX_RECIPIENT_DPID    default recipient; an admin can pick another one per export
+//   DDEX_RECIPIENT_NAME
+//   DDEX_SCHEMA_DIR        default schemas/ddex/ern-43
+
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+const codes = require('../public/release-codes');
+
+const ERN_NAMESPACE = 'http://ddex.net/xml/ern/43';
+const SCHEMA_FILE = 'release-notification.xsd';
+const SCHEMA_DIR = process.env.DDEX_SCHEMA_DIR || path.join(__dirname, '..', 'schemas', 'ddex', 'ern-43');
+
+// Statuses a release can be exported in
+const EXPORTABLE = ['approved', 'delivered', 'live'];
+
+// Deals offered on each platform the artist can pick in the submission form:
+// CommercialModelType -> UseTypes
+const STREAMING = { SubscriptionModel: ['OnDemandStream'], AdvertisementSupportedModel: ['OnDemandStream'] };
+const PLATFORM_DEALS = {
+  'Spotify': STREAMING,
+  'Apple Music': { SubscriptionModel: ['OnDemandStream'] },
+  'iTunes': { PayAsYouGoModel: ['PermanentDownload'] },
+  'Instagram & Facebook': { AdvertisementSupportedModel: ['UserMakeAvailableUserProvided'] },
+  'TikTok & other ByteDance stores': { AdvertisementSupportedModel: ['UserMakeAvailableUserProvided'] },
+  'YouTube Music': STREAMING,
+  'Amazon': { PayAsYouGoModel: ['PermanentDownload'], SubscriptionModel: ['OnDemandStream'] },
+  'Pandora': { SubscriptionModel: ['OnDemandStream', 'NonInteractiveStream'], AdvertisementSupportedModel: ['NonInteractiveStream'] },
+  'Deezer': STREAMING,
+  'Tidal': { SubscriptionModel: ['OnDemandStream'] },
+  'iHeartRadio': { SubscriptionModel: ['OnDemandStream', 'NonInteractiveStream'], AdvertisementSupportedModel: ['NonInteractiveStream'] },
+  'Claro Música': STREAMING,
+  'Saavn': STREAMING,
+  'Boomplay': STREAMING,
+  'Anghami': STREAMING,
+  'NetEase': STREAMING,
+  'Tencent': STREAMING,
+  'Qobuz (beta)': { PayAsYouGoModel: ['PermanentDownload'], SubscriptionModel: ['OnDemandStream'] },
+  'Joox': STREAMING,
+  'Kuack Media': STREAMING,
+  'Adaptr': { SubscriptionModel: ['NonInteractiveStream'] },
+  'Flo': STREAMING,
+  'MediaNet': { PayAsYouGoModel: ['PermanentDownload'], SubscriptionModel: ['OnDemandStream'] },
+  'Snapchat': { AdvertisementSupportedModel: ['UserMakeAvailableUserProvided'] },
+  'Roblox (beta)': { AdvertisementSupportedModel: ['UserMakeAvailableUserProvided'] }
+};
+
+const AUDIO_CODECS = { flac: 'FLAC', mp3: 'MP3', pcm: 'PCM' };
+
+// Track credit lists (lib/release-metadata.js) -> ContributorRole
+const CONTRIBUTOR_ROLES = { composers: 'Composer', lyricists: 'Lyricist', producers: 'Producer' };
+
+class DdexError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+function ddexConfig(env = process.env) {
+  return {
+    sender: { dpid: env.DDEX_SENDER_DPID || null, name: env.DDEX_SENDER_NAME || 'tidal.wav' },
+    recipient: { dpid: env.DDEX_RECIPIENT_DPID || null, name: env.DDEX_RECIPIENT_NAME || null }
+  };
+}
+
+const DPID = /^PADPIDA[A-Z0-9]{11}$/;
+const ICPN = /^[0-9]{12,13}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 222.5 -> "PT3M42S"
+function isoDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return 'PT' + (h ? h + 'H' : '') + (h || m ? m + 'M' : '') + s + 'S';
+}
+
+// { CommercialModelType: [UseType, ...] } for all platforms of a release
+function dealsFor(platforms) {
+  const deals = {};
+  platforms.forEach(p => {
+    Object.entries(PLATFORM_DEALS[p] || {}).forEach(([model, uses]) => {
+      deals[model] = Array.from(new Set((deals[model] || []).concat(uses)));
+    });
+  });
+  return deals;
+}
+
+// Problems that stop a submission from becoming a usable ERN message.
+// Returns a list of messages, empty when the release can be exported.
+function checkRelease(sub, { artist, config }) {
+  const problems = [];
+  if (!EXPORTABLE.includes(sub.status)) problems.push('Only approved, delivered or live releases can be exported');
+  if (!config.sender.dpid) problems.push('DDEX_SENDER_DPID is not set on the server');
+  else if (!DPID.test(config.sender.dpid)) problems.push(`DDEX_SENDER_DPID "${config.sender.dpid}" is not a DDEX party id (PADPIDA + 11 characters)`);
+  if (!config.recipient.dpid) problems.push('No recipient: choose one or set DDEX_RECIPIENT_DPID on the server');
+  else if (!DPID.test(config.recipient.dpid)) problems.push(`Recipient "${config.recipient.dpid}" is not a DDEX party id (PADPIDA + 11 characters)`);
+  if (!artist) problems.push('The release has no artist account');
+  if (!sub.albumName) problems.push('The release has no title');
+  if (!DATE.test(sub.releaseDate || '')) problems.push('The release date must be a date (YYYY-MM-DD)');
+  if (sub.upc && !ICPN.test(sub.upc)) problems.push(`UPC "${sub.upc}" must be 12 or 13 digits`);
+  if (!sub.cover) problems.push('The release has no cover image');
+  if (!sub.tracks.length) problems.push('The release has no tracks');
+  sub.tracks.forEach((t, i) => {
+    const label = `Track ${i + 1}`;
+    if (!t.title) problems.push(`${label} has no title`);
+    if (!t.file) problems.push(`${label} has no audio file`);
+    if (!t.audio || !t.audio.duration) problems.push(`${label}: the duration of the audio file is unknown`);
+    if (t.isrc && codes.isrcProblem(t.isrc)) problems.push(`${label}: "${t.isrc}" is not a valid ISRC`);
+  });
+  const platforms = sub.platforms || [];
+  if (!platforms.length) problems.push('No platforms selected, so there are no deals to send');
+  platforms.filter(p => !PLATFORM_DEALS[p]).forEach(p => problems.push(`No DDEX deal is defined for platform "${p}"`));
+  return problems;
+}
+
+// --- XML writer ---
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// el('Name', 'text'), el('Name', { Attr: 'x' }, [children]); null / false children are skipped
+function el(name, attrs, children) {
+  if (!attrs || typeof attrs !== 'object' || Array.isArray(attrs)) {
+    children = attrs;
+    attrs = {};
+  }
+  return { name, attrs, children };
+}
+
+function serialize(node, indent = '') {
+  const attrs = Object.entries(node.attrs)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+  if (!Array.isArray(node.children)) {
+    return `${indent}<${node.name}${attrs}>${escapeXml(node.children)}</${node.name}>`;
+  }
+  const inner = node.children.filter(Boolean).map(c => serialize(c, indent + '  '));
+  return `${indent}<${node.name}${attrs}>\n${inner.join('\n')}\n${indent}</${node.name}>`;
+}
+
+function partyName(name) {
+  return el('PartyName', [el('FullName', name)]);
+}
+
+function displayArtists(mainRef, featuredRefs) {
+  return [el('DisplayArtist', { SequenceNumber: 1 }, [
+    el('ArtistPartyReference', mainRef),
+    el('DisplayArtistRole', 'MainArtist')
+  ])].concat(featuredRefs.map((ref, i) => el('DisplayArtist', { SequenceNumber: i + 2 }, [
+    el('ArtistPartyReference', ref),
+    el('DisplayArtistRole', 'FeaturedArtist')
+  ])));
+}
+
+function featuredNames(track) {
+  return String(track.featured || '').split(/,|&| and /).map(s => s.trim()).filter(Boolean);
+}
+
+// Build the NewReleaseMessage XML for `sub` (run checkRelease first).
+// artist: the artist account; config: ddexConfig() with the chosen recipient;
+// files: optional { cover, tracks: [...] } file names to use in the URIs
+function buildNewReleaseMessage(sub, { artist, config, files, now = new Date() }) {
+  const namespace = `DPID:${config.sender.dpid}`;
+  const proprietaryId = id => el('ProprietaryId', { Namespace: namespace }, id);
+  const explicit = t => (t.explicit === true || t.explicit === 'true' || t.explicit === 'yes');
+
+  // parties: main artist, every featured artist and credited contributor once, the label
+  const artistName = sub.primaryArtist || artist.name;
+  const parties = [{ ref: 'PArtist', name: artistName }];
+  const featuredRef = {};
+  sub.tracks.forEach(t => featuredNames(t).forEach(name => {
+    if (featuredRef[name]) return;
+    featuredRef[name] = `PFeatured${Object.keys(featuredRef).length + 1}`;
+    parties.push({ ref: featuredRef[name], name });
+  }));
+  const contributorRef = {};
+  sub.tracks.forEach(t => Object.keys(CONTRIBUTOR_ROLES).forEach(field => (t[field] || []).forEach(name => {
+    if (contributorRef[name]) return;
+    contributorRef[name] = `PContributor${Object.keys(contributorRef).length + 1}`;
+    parties.push({ ref: contributorRef[name], name });
+  })));
+  const labelName = sub.label || artistName;
+  parties.push({ ref: 'PLabel', name: labelName });
+
+  const trackArtistName = t => {
+    const featured = featuredNames(t);
+    return artistName + (featured.length ? ` feat. ${featured.join(', ')}` : '');
+  };
+  const contributors = t => Object.entries(CONTRIBUTOR_ROLES)
+    .reduce((list, [field, role]) => list.concat((t[field] || []).map(name => ({ name, role }))), [])
+    .map((c, i) => el('Contributor', { SequenceNumber: i + 1 }, [
+      el('ContributorPartyReference', contributorRef[c.name]),
+      el('Role', c.role)
+    ]));
+  const year = sub.releaseDate.slice(0, 4);
+  const pLine = sub.pLine || `${year} ${labelName}`;
+  const cLine = sub.cLine || pLine;
+  const lineYear = line => (/^\d{4}\b/.exec(line) || [year])[0];
+  const genre = sub.genre && el('Genre', [el('GenreText', sub.genre), sub.subgenre && el('SubGenre', sub.subgenre)]);
+
+  const soundRecordings = sub.tracks.map((t, i) => el('SoundRecording', [
+    el('ResourceReference', `A${i + 1}`),
+    el('Type', 'MusicalWorkSoundRecording'),
+    el('SoundRecordingEdition', [
+      el('ResourceId', [t.isrc ? el('ISRC', codes.normalizeIsrc(t.isrc)) : proprietaryId(`${sub.id}-${i + 1}`)]),
+      el('PLine', [el('Year', lineYear(pLine)), el('PLineText', `(P) ${pLine}`)]),
+      el('TechnicalDetails', [
+        el('TechnicalResourceDetailsReference', `T${i + 1}`),
+        el('DeliveryFile', [
+          el('Type', 'AudioFile'),
+          t.audio && AUDIO_CODECS[t.audio.codec] && el('AudioCodecType', AUDIO_CODECS[t.audio.codec]),
+          el('File', [el('URI', files ? files.tracks[i] : t.originalFileName || `track-${i + 1}${path.extname(t.file)}`)])
+        ])
+      ])
+    ]),
+    el('DisplayTitleText', t.title),
+    el('DisplayTitle', [el('TitleText', t.title)]),
+    el('DisplayArtistName', trackArtistName(t)),
+    ...displayArtists('PArtist', featuredNames(t).map(n => featuredRef[n])),
+    ...contributors(t),
+    el('Duration', isoDuration(t.audio.duration)),
+    el('ParentalWarningType', explicit(t) ? 'Explicit' : 'NotExplicit')
+  ]));
+
+  const coverRef = `A${sub.tracks.length + 1}`;
+  const image = el('Image', [
+    el('ResourceReference', coverRef),
+    el('Type', 'FrontCoverImage'),
+    el('ResourceId', [proprietaryId(`${sub.id}-cover`)]),
+    el('ParentalWarningType', 'NotExplicit'),
+    el('TechnicalDetails', [
+      el('TechnicalResourceDetailsReference', `T${sub.tracks.length + 1}`),
+      el('File', [el('URI', files ? files.cover : path.basename(sub.cover))])
+    ])
+  ]);
+
+  const totalSeconds = sub.tracks.reduce((sum, t) => sum + t.audio.duration, 0);
+  const anyExplicit = sub.tracks.some(explicit);
+  const album = el('Release', [
+    el('ReleaseReference', 'R0'),
+    el('ReleaseType', sub.tracks.length === 1 ? 'Single' : 'Album'),
+    el('ReleaseId', [sub.upc ? el('ICPN', sub.upc) : proprietaryId(sub.id)]),
+    el('DisplayTitleText', sub.albumName),
+    el('DisplayTitle', [el('TitleText', sub.albumName)]),
+    el('DisplayArtistName', artistName),
+    ...displayArtists('PArtist', []),
+    el('ReleaseLabelReference', 'PLabel'),
+    el('PLine', [el('Year', lineYear(pLine)), el('PLineText', `(P) ${pLine}`)]),
+    el('CLine', [el('Year', lineYear(cLine)), el('CLineText', `(C) ${cLine}`)]),
+    el('Duration', isoDuration(totalSeconds)),
+    genre,
+    el('OriginalReleaseDate', sub.releaseDate),
+    el('ParentalWarningType', anyExplicit ? 'Explicit' : 'NotExplicit'),
+    el('ResourceGroup', [
+      el('ResourceGroup', [
+        el('SequenceNumber', 1),
+        ...sub.tracks.map((t, i) => el('ResourceGroupContentItem', [
+          el('SequenceNumber', i + 1),
+          el('ReleaseResourceReference', `A${i + 1}`)
+        ]))
+      ]),
+      el('LinkedReleaseResourceReference', coverRef)
+    ])
+  ]);
+  const trackReleases = sub.tracks.map((t, i) => el('TrackRelease', [
+    el('ReleaseReference', `R${i + 1}`),
+    el('ReleaseId', [t.isrc ? el('ISRC', codes.normalizeIsrc(t.isrc)) : proprietaryId(`${sub.id}-${i + 1}`)]),
+    el('ReleaseResourceReference', `A${i + 1}`),
+    el('ReleaseLabelReference', 'PLabel'),
+    genre
+  ]));
+
+  const deals = Object.entries(dealsFor(sub.platforms)).map(([model, uses]) => el('Deal', [
+    el('DealTerms', [
+      el('TerritoryCode', 'Worldwide'),
+      el('ValidityPeriod', [el('StartDate', sub.releaseDate)]),
+      el('CommercialModelType', model),
+      ...uses.map(u => el('UseType', u))
+    ])
+  ]));
+  const releaseDeal = el('ReleaseDeal', [
+    ...['R0'].concat(sub.tracks.map((t, i) => `R${i + 1}`)).map(ref => el('DealReleaseReference', ref)),
+    ...deals
+  ]);
+
+  const message = el('ern:NewReleaseMessage', {
+    'xmlns:ern': ERN_NAMESPACE,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': `${ERN_NAMESPACE} ${ERN_NAMESPACE}/${SCHEMA_FILE}`,
+    LanguageAndScriptCode: 'en',
+    AvsVersionId: '2'
+  }, [
+    el('MessageHeader', [
+      el('MessageThreadId', sub.id),
+      el('MessageId', `${sub.id}-${now.getTime()}`),
+      el('MessageSender', [el('PartyId', config.sender.dpid), partyName(config.sender.name)]),
+      el('MessageRecipient', [el('PartyId', config.recipient.dpid), config.recipient.name && partyName(config.recipient.name)]),
+      el('MessageCreatedDateTime', now.toISOString()),
+      el('MessageControlType', 'LiveMessage')
+    ]),
+    el('PartyList', parties.map(p => el('Party', [el('PartyReference', p.ref), partyName(p.name)]))),
+    el('ResourceList', soundRecordings.concat(image)),
+    el('ReleaseList', [album].concat(trackReleases)),
+    el('DealList', [releaseDeal])
+  ]);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + serialize(message) + '\n';
+}
+
+function schemaInstalled() {
+  return fs.existsSync(path.join(SCHEMA_DIR, SCHEMA_FILE));
+}
+
+// Validate against the ERN XSD. Resolves to a list of "line N: message"
+// strings (empty when valid); rejects with a 503 DdexError when the schema is missing.
+async function validate(xml) {
+  if (!schemaInstalled()) {
+    throw new DdexError(503, `The DDEX ERN 4.3 schema is not installed (${path.join(SCHEMA_DIR, SCHEMA_FILE)}). Run "npm run fetch-ddex-schemas" on the server.`);
+  }
+  const xsd = fs.readdirSync(SCHEMA_DIR).filter(f => f.endsWith('.xsd'));
+  const read = f => ({ fileName: f, contents: fs.readFileSync(path.join(SCHEMA_DIR, f), 'utf8') });
+  const result = await validateXML({
+    xml: [{ fileName: 'release.xml', contents: xml }],
+    schema: [read(SCHEMA_FILE)],
+    preload: xsd.filter(f => f !== SCHEMA_FILE).map(read)
+  });
+  if (result.valid) return [];
+  return result.errors.map(e => (e.loc ? `line ${e.loc.lineNumber}: ` : '') + e.message.trim());
+}
+
+// checkRelease + build + validate. Resolves to the XML; rejects with a 422
+// DdexError listing what is wrong (or 503 when the schema is missing).
+async function exportRelease(sub, options) {
+  const problems = checkRelease(sub, options);
+  if (problems.length) throw new DdexError(422, 'This release cannot be exported to DDEX yet', problems);
+  const xml = buildNewReleaseMessage(sub, options);
+  const errors = await validate(xml);
+  if (errors.length) throw new DdexError(422, 'The generated DDEX message does not match the ERN 4.3 schema', errors);
+  return xml;
+}
+
+module.exports = {
+  DdexError,
+  EXPORTABLE,
+  PLATFORM_DEALS,
+  SCHEMA_DIR,
+  SCHEMA_FILE,
+  ddexConfig,
+  dealsFor,
+  checkRelease,
+  buildNewReleaseMessage,
+  schemaInstalled,
+  validate,
+  exportRelease
+};
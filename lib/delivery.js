@@ -0,0 +1,255 @@
+// lib/delivery.js
+// Platform delivery packages. Every store gets its files in its own layout,
+// described by a delivery profile: one JSON file per profile in
+// delivery-profiles/ (or DELIVERY_PROFILES_DIR). Adding a store means adding a
+// file there; nothing in this module or server.js has to change.
+//
+//   {
+//     "name": "Spotify",
+//     "platforms": ["Spotify"],                        values of submission.platforms it serves
+//     "layout": {
+//       "track": "{releaseId}/resources/{releaseId}_01_{track}.{ext}",
+//       "cover": "{releaseId}/resources/{releaseId}.{ext}"
+//     },
+//     "metadata": {
+//       "format": "xml" | "json" | "csv",
+//       "path": "{releaseId}/{releaseId}.xml",
+//       "columns": { "ISRC": "{isrc}", ... },          csv only: one row per track
+//       "recipient": { "dpid": "PADPIDA...", "name": "Spotify" }   xml only, see lib/ddex.js
+//     },
+//     "artwork": { "formats": ["jpeg"], "minSize": 3000, "maxSize": 6000, "square": true, "maxBytes": 10485760 },
+//     "audio": { "codecs": ["pcm", "flac"], "minSampleRate": 44100, "minBitDepth": 16 }
+//   }
+//
+// The profile id is the file name without .json. "xml" sidecars are DDEX ERN
+// messages built and validated by lib/ddex.js.
+//
+// Placeholders in layout paths (made safe for file names) and csv columns:
+//   release: {releaseId} (UPC, else the submission id), {upc}, {album}, {artist}, {label}, {genre},
+//            {subgenre}, {language}, {pLine}, {cLine}, {releaseDate}, {year}
+//   track:   {track} (01, 02, ...), {trackNumber}, {title}, {featured}, {isrc}, {composers},
+//            {producers}, {lyricists} (names joined with ", "), {explicit}, {ext}, {file}
+//
+// planPackage() works out every file of a package and checks the release
+// against the profile first, so a package is either complete or refused with
+// the reasons; the caller only has to stream the entries into a zip.
+
+const fs = require('fs');
+const path = require('path');
+const ddex = require('./ddex');
+const { csvCell } = require('./csv');
+
+const PROFILES_DIR = process.env.DELIVERY_PROFILES_DIR || path.join(__dirname, '..', 'delivery-profiles');
+const FORMATS = ['xml', 'json', 'csv'];
+
+class DeliveryError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+// Structural problems in a profile file, so a typo shows up at startup
+function checkProfile(p) {
+  const problems = [];
+  if (!p.name) problems.push('"name" is missing');
+  if (!Array.isArray(p.platforms) || !p.platforms.length) problems.push('"platforms" must list at least one platform');
+  if (!p.layout || !p.layout.track || !p.layout.cover) problems.push('"layout" needs "track" and "cover" paths');
+  else if (!p.layout.track.includes('{track}') && !p.layout.track.includes('{trackNumber}')) problems.push('"layout.track" must contain {track} or {trackNumber}');
+  if (!p.metadata || !FORMATS.includes(p.metadata.format)) problems.push(`"metadata.format" must be one of ${FORMATS.join(', ')}`);
+  else if (!p.metadata.path) problems.push('"metadata.path" is missing');
+  else if (p.metadata.format === 'csv' && !(p.metadata.columns && Object.keys(p.metadata.columns).length)) problems.push('csv metadata needs "columns"');
+  return problems;
+}
+
+// Read every profile file. Broken files are left out and reported in `errors`,
+// so one typo does not take the other stores down.
+function readProfiles(dir = PROFILES_DIR) {
+  const profiles = [];
+  const errors = [];
+  if (!fs.existsSync(dir)) return { profiles, errors };
+  fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().forEach(f => {
+    let profile;
+    try {
+      profile = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+    } catch (e) {
+      errors.push(`${f}: ${e.message}`);
+      return;
+    }
+    const problems = checkProfile(profile);
+    if (problems.length) errors.push(`${f}: ${problems.join('; ')}`);
+    else profiles.push({ id: path.basename(f, '.json'), ...profile });
+  });
+  return { profiles, errors };
+}
+
+function loadProfiles(dir) {
+  return readProfiles(dir).profiles;
+}
+
+// The profiles a submission is delivered with: one per selected platform that has a profile
+function profilesFor(profiles, platforms) {
+  return profiles.filter(p => p.platforms.some(name => platforms.includes(name)));
+}
+
+// --- placeholders ---
+function safeName(value) {
+  return String(value).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_').trim() || '_';
+}
+
+function fill(template, values, forPath) {
+  return template.replace(/\{(\w+)\}/g, (m, name) => {
+    if (!(name in values)) return m;
+    const v = values[name] === null || values[name] === undefined ? '' : String(values[name]);
+    return forPath ? safeName(v) : v;
+  });
+}
+
+function releaseValues(sub, artist) {
+  return {
+    releaseId: sub.upc || sub.id,
+    upc: sub.upc || '',
+    album: sub.albumName || '',
+    artist: sub.primaryArtist || (artist ? artist.name : ''),
+    label: sub.label || '',
+    genre: sub.genre || '',
+    subgenre: sub.subgenre || '',
+    language: sub.language || '',
+    pLine: sub.pLine || '',
+    cLine: sub.cLine || '',
+    releaseDate: sub.releaseDate || '',
+    year: (sub.releaseDate || '').slice(0, 4)
+  };
+}
+
+function trackValues(t, i) {
+  return {
+    track: String(i + 1).padStart(2, '0'),
+    trackNumber: i + 1,
+    title: t.title || '',
+    featured: t.featured || '',
+    isrc: t.isrc || '',
+    composers: (t.composers || []).join(', '),
+    producers: (t.producers || []).join(', '),
+    lyricists: (t.lyricists || []).join(', '),
+    explicit: t.explicit === true || t.explicit === 'true' || t.explicit === 'yes' ? 'yes' : 'no',
+    ext: path.extname(t.file || '').slice(1).toLowerCase()
+  };
+}
+
+// --- constraints ---
+function checkArtwork(rules, image) {
+  if (!rules) return [];
+  if (!image) return ['Cover: image details are missing, re-upload the cover'];
+  const problems = [];
+  const { width, height } = image;
+  if (rules.formats && !rules.formats.includes(image.format)) problems.push(`Cover: ${image.format} is not accepted (use ${rules.formats.join(' or ')})`);
+  if (rules.square && width !== height) problems.push(`Cover: must be square (got ${width}x${height})`);
+  if (rules.minSize && (width < rules.minSize || height < rules.minSize)) problems.push(`Cover: at least ${rules.minSize}x${rules.minSize} needed (got ${width}x${height})`);
+  if (rules.maxSize && (width > rules.maxSize || height > rules.maxSize)) problems.push(`Cover: at most ${rules.maxSize}x${rules.maxSize} allowed (got ${width}x${height})`);
+  if (rules.maxBytes && image.bytes > rules.maxBytes) problems.push(`Cover: file is larger than ${(rules.maxBytes / 1048576).toFixed(1)} MB`);
+  return problems;
+}
+
+function checkAudio(rules, t, i) {
+  if (!rules) return [];
+  const label = `Track ${i + 1}`;
+  const a = t.audio;
+  if (!a) return [`${label}: audio details are missing, re-upload the file`];
+  const problems = [];
+  if (rules.codecs && !rules.codecs.includes(a.codec)) problems.push(`${label}: ${a.codec} is not accepted (use ${rules.codecs.join(', ')})`);
+  if (rules.minSampleRate && a.sampleRate < rules.minSampleRate) problems.push(`${label}: sample rate ${a.sampleRate} Hz is below ${rules.minSampleRate} Hz`);
+  if (rules.minBitDepth && a.bitDepth && a.bitDepth < rules.minBitDepth) problems.push(`${label}: ${a.bitDepth}-bit audio is below ${rules.minBitDepth}-bit`);
+  return problems;
+}
+
+// --- sidecars ---
+function csvSidecar(columns, release, rows) {
+  const headers = Object.keys(columns);
+  const lines = [headers.map(csvCell).join(',')];
+  rows.forEach(row => lines.push(headers.map(h => csvCell(fill(columns[h], { ...release, ...row }, false))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function jsonSidecar(sub, release, rows, coverName) {
+  return JSON.stringify({
+    releaseId: release.releaseId,
+    upc: sub.upc || null,
+    albumName: sub.albumName,
+    artist: release.artist,
+    label: sub.label || null,
+    genre: sub.genre || null,
+    subgenre: sub.subgenre || null,
+    language: sub.language || null,
+    pLine: sub.pLine || null,
+    cLine: sub.cLine || null,
+    releaseDate: sub.releaseDate,
+    platforms: sub.platforms,
+    cover: coverName,
+    tracks: rows.map(r => ({
+      number: r.trackNumber,
+      title: r.title,
+      featured: r.featured || null,
+      isrc: r.isrc || null,
+      composers: r.composers ? r.composers.split(', ') : [],
+      producers: r.producers ? r.producers.split(', ') : [],
+      lyricists: r.lyricists ? r.lyricists.split(', ') : [],
+      explicit: r.explicit === 'yes',
+      file: r.file
+    }))
+  }, null, 2);
+}
+
+// Work out a package for one profile. Resolves to
+//   { profile, entries: [{ name, file } | { name, content }] }
+// with `prefix` in front of every name, or rejects with a 422 DeliveryError
+// listing everything that does not meet the profile.
+// uploadsDir: where submission files are stored; ddexConfig: lib/ddex.js config
+async function planPackage(sub, profile, { artist, uploadsDir, ddexConfig, prefix = '' }) {
+  const problems = [];
+  const release = releaseValues(sub, artist);
+  const entries = [];
+  const names = new Set();
+  const add = (entry) => {
+    if (names.has(entry.name)) problems.push(`Two files would be stored as ${entry.name}; check the profile layout`);
+    names.add(entry.name);
+    entries.push(entry);
+  };
+
+  if (!sub.cover || !fs.existsSync(path.join(uploadsDir, sub.cover))) problems.push('Cover: the file is missing');
+  problems.push(...checkArtwork(profile.artwork, sub.coverImage));
+  const coverName = fill(profile.layout.cover, { ...release, ext: path.extname(sub.cover || '').slice(1).toLowerCase() }, true);
+  add({ name: prefix + coverName, file: sub.cover && path.join(uploadsDir, sub.cover) });
+
+  const rows = sub.tracks.map((t, i) => {
+    if (!t.file || !fs.existsSync(path.join(uploadsDir, t.file))) problems.push(`Track ${i + 1}: the audio file is missing`);
+    problems.push(...checkAudio(profile.audio, t, i));
+    const values = trackValues(t, i);
+    const name = fill(profile.layout.track, { ...release, ...values }, true);
+    add({ name: prefix + name, file: t.file && path.join(uploadsDir, t.file) });
+    return { ...values, file: path.basename(name) };
+  });
+
+  const meta = profile.metadata;
+  const metaName = prefix + fill(meta.path, release, true);
+  if (meta.format === 'xml') {
+    const config = { ...ddexConfig, recipient: meta.recipient && meta.recipient.dpid ? meta.recipient : ddexConfig.recipient };
+    const files = { cover: path.basename(coverName), tracks: rows.map(r => r.file) };
+    try {
+      add({ name: metaName, content: await ddex.exportRelease(sub, { artist, config, files }) });
+    } catch (err) {
+      if (!(err instanceof ddex.DdexError)) throw err;
+      problems.push(...(err.details.length ? err.details : [err.message]));
+    }
+  } else if (meta.format === 'csv') {
+    add({ name: metaName, content: csvSidecar(meta.columns, release, rows) });
+  } else {
+    add({ name: metaName, content: jsonSidecar(sub, release, rows, path.basename(coverName)) });
+  }
+
+  if (problems.length) throw new DeliveryError(422, `The release does not meet the ${profile.name} delivery profile`, problems);
+  return { profile, entries };
+}
+
+module.exports = { DeliveryError, PROFILES_DIR, readProfiles, loadProfiles, profilesFor, planPackage, checkProfile };
@@ -0,0 +1,110 @@
+// lib/duplicates.js
+// Duplicate and recycled-audio detection across the catalog. Every analyzed
+// track (lib/analysis-queue.js) is recorded in the fingerprints collection
+//   { id, submissionId, submittedAt, file, sha256, fingerprint, keys, createdAt }
+// and compared with the tracks of submissions created before its own:
+//   the same bytes (sha256)                  { match: 'identical' }
+//   the same audio (lib/audio-fingerprint.js) { match: 'audio', similarity, offset }
+// Both are looked up through indexes: sha256, and keys (fingerprintKeys(), a
+// sample of the fingerprint's codes). Only tracks sharing a key with the new one
+// are decoded and compared in full, those sharing the most first, at most
+// MAX_CANDIDATES of them.
+// Each match names the earlier submission and track:
+//   { submissionId, albumName, position, title, match, similarity, offset }
+// and is stored on the new track as track.duplicates; submission.possibleDuplicate
+// is true while any of its tracks has one.
+//
+// Lossy uploads (MP3) are not decoded, so they only match identical files.
+
+const crypto = require('crypto');
+const { decodeFingerprint, compareFingerprints, fingerprintKeys } = require('./audio-fingerprint');
+
+const MAX_MATCHES = 10;
+const MAX_CANDIDATES = 200;
+const YIELD_EVERY = 50; // comparisons between giving requests a turn
+
+function createDuplicateIndex(db) {
+  // The matches of one track (sha256 and fingerprint, base64 or null) among
+  // submissions created before `sub`
+  async function find(sub, { sha256, fingerprint }) {
+    const before = { submittedAt: { $lt: sub.createdAt }, submissionId: { $ne: sub.id } };
+    const found = (sha256 ? await db.fingerprints.list({ sha256, ...before }) : [])
+      .map(r => ({ record: r, match: 'identical', similarity: 1, offset: 0 }));
+    const codes = fingerprint ? decodeFingerprint(fingerprint) : null;
+    const keys = codes ? fingerprintKeys(codes) : [];
+    if (keys.length) {
+      const wanted = new Set(keys);
+      const shared = r => r.keys.reduce((n, k) => n + (wanted.has(k) ? 1 : 0), 0);
+      const candidates = (await db.fingerprints.list({ keys: { $in: keys }, ...before }))
+        .filter(r => r.sha256 !== sha256 && r.fingerprint)
+        .map(r => ({ r, shared: shared(r) }))
+        .sort((a, b) => b.shared - a.shared)
+        .slice(0, MAX_CANDIDATES);
+      for (let i = 0; i < candidates.length; i++) {
+        const r = candidates[i].r;
+        const same = compareFingerprints(codes, decodeFingerprint(r.fingerprint));
+        if (same) found.push({ record: r, match: 'audio', ...same });
+        if (i % YIELD_EVERY === YIELD_EVERY - 1) await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+    found.sort((a, b) => (a.match === 'identical' ? 0 : 1) - (b.match === 'identical' ? 0 : 1) || b.similarity - a.similarity);
+
+    const matches = [];
+    for (const f of found) {
+      if (matches.length === MAX_MATCHES) break;
+      const earlier = await db.submissions.get({ id: f.record.submissionId });
+      const position = earlier ? earlier.tracks.findIndex(t => t.file === f.record.file) : -1;
+      if (position < 0) {
+        // the audio was replaced or the submission deleted since
+        await db.fingerprints.remove({ id: f.record.id });
+        continue;
+      }
+      matches.push({
+        submissionId: earlier.id,
+        albumName: earlier.albumName || null,
+        position,
+        title: earlier.tracks[position].title || null,
+        match: f.match,
+        similarity: f.similarity,
+        offset: f.offset
+      });
+    }
+    return matches;
+  }
+
+  // Keep a track's hash and fingerprint for the submissions that come after it
+  async function record(sub, file, { sha256, fingerprint }) {
+    const keys = fingerprint ? fingerprintKeys(decodeFingerprint(fingerprint)) : [];
+    const fields = { submissionId: sub.id, submittedAt: sub.createdAt, file, sha256, fingerprint: fingerprint || null, keys };
+    if (await db.fingerprints.update({ file }, { $set: fields })) return;
+    await db.fingerprints.insert({ id: crypto.randomUUID(), ...fields, createdAt: new Date().toISOString() });
+  }
+
+  // A deleted submission is no longer something to match against, and matches
+  // pointing at it are dropped
+  async function forget(submissionId) {
+    await db.fingerprints.datastore.removeAsync({ submissionId }, { multi: true });
+    const affected = await db.submissions.list({ 'tracks.duplicates.submissionId': submissionId });
+    for (const sub of affected) {
+      const set = {};
+      sub.tracks.forEach((t, i) => {
+        if (t.duplicates) set[`tracks.${i}.duplicates`] = t.duplicates.filter(m => m.submissionId !== submissionId);
+      });
+      set.possibleDuplicate = sub.tracks.some((t, i) => (set[`tracks.${i}.duplicates`] || []).length > 0);
+      await db.submissions.update({ id: sub.id }, { $set: set });
+    }
+  }
+
+  // Fingerprints recorded before the keys index existed get their keys
+  async function addMissingKeys() {
+    const old = await db.fingerprints.list({ keys: { $exists: false } });
+    for (const r of old) {
+      const keys = r.fingerprint ? fingerprintKeys(decodeFingerprint(r.fingerprint)) : [];
+      await db.fingerprints.update({ id: r.id }, { $set: { keys } });
+    }
+  }
+
+  return { find, record, forget, addMissingKeys };
+}
+
+module.exports = { createDuplicateIndex };
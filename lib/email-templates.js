@@ -0,0 +1,109 @@
+// lib/email-templates.js
+// Default email templates and the tiny renderer used by lib/notifications.js.
+// Admins can override any template from the Notifications screen; overrides are
+// stored in db.templates as { name, subject, text, updatedAt, updatedBy } and
+// "Reset to default" simply removes the override.
+//
+// Syntax (plain text emails):
+//   {{albumName}}                 replaced by the value, empty when missing
+//   {{#adminNote}}...{{/adminNote}}  only kept when adminNote is not empty
+
+const DEFAULTS = {
+  submission_received: {
+    label: 'Submission received (to the artist)',
+    subject: 'We received "{{albumName}}"',
+    text: [
+      'Hi {{artistName}},',
+      '',
+      'Thanks for submitting "{{albumName}}"{{#revision}} (version {{version}}){{/revision}}. Our review team will take a look and you will get an email when there is a decision.',
+      '',
+      'Follow the review status under My releases: {{releasesUrl}}',
+      '',
+      '— tidal.wav'
+    ].join('\n')
+  },
+  approved: {
+    label: 'Release approved (to the artist)',
+    subject: '"{{albumName}}" has been approved',
+    text: [
+      'Hi {{artistName}},',
+      '',
+      'Good news: "{{albumName}}" has been approved and will be delivered to the platforms you selected.',
+      '{{#adminNote}}',
+      '',
+      'Note from the review team: {{adminNote}}',
+      '{{/adminNote}}',
+      '',
+      'My releases: {{releasesUrl}}',
+      '',
+      '— tidal.wav'
+    ].join('\n')
+  },
+  rejected: {
+    label: 'Release rejected (to the artist)',
+    subject: '"{{albumName}}" was not approved',
+    text: [
+      'Hi {{artistName}},',
+      '',
+      'Unfortunately "{{albumName}}" could not be approved.',
+      '{{#adminNote}}',
+      '',
+      'Reason: {{adminNote}}',
+      '{{/adminNote}}',
+      '',
+      'You can revise the release and send it again from My releases: {{releasesUrl}}',
+      '',
+      '— tidal.wav'
+    ].join('\n')
+  },
+  changes_requested: {
+    label: 'Changes requested (to the artist)',
+    subject: 'Changes needed for "{{albumName}}"',
+    text: [
+      'Hi {{artistName}},',
+      '',
+      'Our review team needs a few changes to "{{albumName}}" before it can be approved.',
+      '{{#adminNote}}',
+      '',
+      'What to change: {{adminNote}}',
+      '{{/adminNote}}',
+      '',
+      'Revise the release from My releases: {{releasesUrl}}',
+      '',
+      '— tidal.wav'
+    ].join('\n')
+  },
+  admin_digest: {
+    label: 'New submissions digest (to opted-in admins)',
+    subject: '{{count}} new submission(s) on tidal.wav',
+    text: [
+      'Hi {{adminName}},',
+      '',
+      '{{count}} submission(s) arrived since {{since}}:',
+      '',
+      '{{submissions}}',
+      '',
+      'Review them on the dashboard: {{dashboardUrl}}',
+      '',
+      'You get this digest because you turned it on in the admin dashboard.'
+    ].join('\n')
+  }
+};
+
+// Placeholders each template can use, shown next to the editor
+const VARIABLES = {
+  submission_received: ['artistName', 'albumName', 'version', 'revision', 'releasesUrl'],
+  approved: ['artistName', 'albumName', 'adminNote', 'releasesUrl'],
+  rejected: ['artistName', 'albumName', 'adminNote', 'releasesUrl'],
+  changes_requested: ['artistName', 'albumName', 'adminNote', 'releasesUrl'],
+  admin_digest: ['adminName', 'count', 'since', 'submissions', 'dashboardUrl']
+};
+
+function render(template, vars) {
+  const value = (name) => (vars[name] === undefined || vars[name] === null ? '' : String(vars[name]));
+  return String(template)
+    .replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (m, name, body) => (value(name) && value(name) !== 'false' ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (m, name) => value(name));
+}
+
+module.exports = { DEFAULTS, VARIABLES, render };
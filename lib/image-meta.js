@@ -0,0 +1,116 @@
+// lib/image-meta.js
+// Reads dimensions and colour space from JPEG and PNG headers so cover art
+// can be checked on the server instead of trusting the browser.
+//
+// probeImage(file) returns:
+//   { format, width, height, colorSpace, bitDepth, bytes }
+// or throws when the file is not a JPEG or PNG.
+
+const fs = require('fs');
+
+// Artwork rules for album covers
+const COVER_SPEC = {
+  minSize: 3000,
+  maxSize: 6000,
+  maxBytes: 10 * 1024 * 1024,
+  formats: ['jpeg', 'png'],
+  colorSpaces: ['rgb']
+};
+
+const PNG_SIG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function probePng(buf) {
+  if (buf.toString('latin1', 12, 16) !== 'IHDR') throw new Error('PNG file has no IHDR chunk');
+  const colorTypes = { 0: 'grayscale', 2: 'rgb', 3: 'indexed', 4: 'grayscale', 6: 'rgba' };
+  return {
+    format: 'png',
+    width: buf.readUInt32BE(16),
+    height: buf.readUInt32BE(20),
+    bitDepth: buf[24],
+    colorSpace: colorTypes[buf[25]] || 'unknown'
+  };
+}
+
+function probeJpeg(fd, fileSize) {
+  let pos = 2;
+  let adobeTransform = null;
+  const hdr = Buffer.alloc(4);
+  while (pos + 4 <= fileSize) {
+    fs.readSync(fd, hdr, 0, 4, pos);
+    if (hdr[0] !== 0xff) throw new Error('Corrupt JPEG marker');
+    const marker = hdr[1];
+    // fill bytes and standalone markers carry no length
+    if (marker === 0xff) { pos += 1; continue; }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { pos += 2; continue; }
+    const len = hdr.readUInt16BE(2);
+    if (marker === 0xee && len >= 14) {
+      // Adobe APP14: transform 0 means the components are stored unconverted (RGB/CMYK)
+      const seg = Buffer.alloc(12);
+      fs.readSync(fd, seg, 0, 12, pos + 4);
+      if (seg.toString('latin1', 0, 5) === 'Adobe') adobeTransform = seg[11];
+    }
+    // SOF0..SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const sof = Buffer.alloc(6);
+      fs.readSync(fd, sof, 0, 6, pos + 4);
+      const components = sof[5];
+      let colorSpace = 'unknown';
+      if (components === 1) colorSpace = 'grayscale';
+      else if (components === 3) colorSpace = 'rgb'; // YCbCr decodes to RGB
+      else if (components === 4) colorSpace = adobeTransform === 2 ? 'ycck' : 'cmyk';
+      return {
+        format: 'jpeg',
+        width: sof.readUInt16BE(3),
+        height: sof.readUInt16BE(1),
+        bitDepth: sof[0],
+        colorSpace
+      };
+    }
+    if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+    pos += 2 + len;
+  }
+  throw new Error('JPEG file has no frame header');
+}
+
+function probeImage(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const bytes = fs.fstatSync(fd).size;
+    const head = Buffer.alloc(32);
+    fs.readSync(fd, head, 0, 32, 0);
+    let info;
+    if (head.subarray(0, 8).equals(PNG_SIG)) info = probePng(head);
+    else if (head[0] === 0xff && head[1] === 0xd8) info = probeJpeg(fd, bytes);
+    else throw new Error('not a JPEG or PNG image');
+    return { ...info, bytes };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Returns a list of human-readable reasons the cover fails the artwork rules (empty = OK)
+function checkCoverSpec(info) {
+  const problems = [];
+  const { width, height } = info;
+  if (!COVER_SPEC.formats.includes(info.format)) {
+    problems.push(`format ${info.format} is not accepted (use JPEG or PNG)`);
+  }
+  if (width !== height) {
+    problems.push(`must be square (got ${width}x${height})`);
+  }
+  if (width < COVER_SPEC.minSize || height < COVER_SPEC.minSize) {
+    problems.push(`too small: ${width}x${height} — minimum ${COVER_SPEC.minSize}x${COVER_SPEC.minSize}`);
+  }
+  if (width > COVER_SPEC.maxSize || height > COVER_SPEC.maxSize) {
+    problems.push(`too large: ${width}x${height} — maximum ${COVER_SPEC.maxSize}x${COVER_SPEC.maxSize}`);
+  }
+  if (!COVER_SPEC.colorSpaces.includes(info.colorSpace)) {
+    problems.push(`colour space must be RGB (got ${info.colorSpace.toUpperCase()})`);
+  }
+  if (info.bytes > COVER_SPEC.maxBytes) {
+    problems.push(`file is ${(info.bytes / 1048576).toFixed(1)} MB — maximum ${COVER_SPEC.maxBytes / 1048576} MB`);
+  }
+  return problems;
+}
+
+module.exports = { probeImage, checkCoverSpec, COVER_SPEC };
@@ -0,0 +1,59 @@
+// lib/login-guard.js
+// Progressive lockout for admin sign-in. Failed attempts (a wrong password or
+// two-factor code) are counted on the admin account as failedLogins; from the
+// FREE_ATTEMPTS-th failure on, each one locks the account (lockedUntil) for twice
+// as long as the one before: 1, 2, 4 ... minutes, at most MAX_LOCK. A successful
+// sign-in (or an owner unlocking the account) starts over.
+//
+// Each IP address may also try IP_ATTEMPTS times per IP_WINDOW whatever email
+// it uses, so guessing across many accounts is slowed down too (in memory,
+// lib/rate-limit.js). The attempt is counted before the password is checked, so
+// requests sent in parallel cannot all get through before the first one fails.
+
+const { createRateLimiter } = require('./rate-limit');
+
+const FREE_ATTEMPTS = 5;
+const FIRST_LOCK = 60 * 1000;
+const MAX_LOCK = 60 * 60 * 1000;
+const IP_ATTEMPTS = 30;
+const IP_WINDOW = 15 * 60 * 1000;
+
+// How long the account is locked after its n-th failure in a row, in ms
+function lockDuration(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(MAX_LOCK, FIRST_LOCK * 2 ** (failures - FREE_ATTEMPTS));
+}
+
+function createLoginGuard(admins) {
+  const byIp = createRateLimiter({ windowMs: IP_WINDOW, max: IP_ATTEMPTS });
+
+  // Count a sign-in attempt from `ip` before anything is verified; resolves to
+  // the seconds until this IP address / account may try again, 0 when it may now
+  function attempt(admin, ip, now = Date.now()) {
+    const ipWait = byIp.hit(`ip:${ip}`, now).retryAfter;
+    const lockedUntil = admin && admin.lockedUntil ? Date.parse(admin.lockedUntil) : 0;
+    return Math.max(ipWait, Math.ceil((lockedUntil - now) / 1000), 0);
+  }
+
+  // Count a failed attempt on the account; resolves to { failures, lockedUntil }
+  // (lockedUntil null while the account is not locked). The count is incremented
+  // in the database, so parallel failures each see their own number.
+  async function failed(admin, now = Date.now()) {
+    if (!admin) return { failures: 0, lockedUntil: null };
+    const counted = await admins.update({ id: admin.id }, { $inc: { failedLogins: 1 } });
+    if (!counted) return { failures: 0, lockedUntil: null };
+    const failures = counted.failedLogins;
+    const lock = lockDuration(failures);
+    const lockedUntil = lock ? new Date(now + lock).toISOString() : null;
+    if (lockedUntil) await admins.update({ id: admin.id, failedLogins: failures }, { $set: { lockedUntil } });
+    return { failures, lockedUntil };
+  }
+
+  function succeeded(admin) {
+    return admins.update({ id: admin.id }, { $set: { failedLogins: 0, lockedUntil: null } });
+  }
+
+  return { attempt, failed, succeeded, unlock: succeeded };
+}
+
+module.exports = { FREE_ATTEMPTS, lockDuration, createLoginGuard };
@@ -0,0 +1,266 @@
+// lib/notifications.js
+// Email notifications. Submission events become messages rendered from the
+// templates in lib/email-templates.js and are queued in db.outbox:
+//   { id, kind, to, subject, text, submissionId, status: 'queued' | 'sent' | 'failed',
+//     attempts, nextAttemptAt, lastError, createdAt, sentAt }
+// A worker sends due messages over SMTP (nodemailer) and retries failures with
+// exponential backoff; after MAX_ATTEMPTS a message is marked failed and can be
+// retried from the Notifications screen. The same worker sends the "new
+// submissions" digest to admins who opted in (admin.digest = true).
+//
+// Configuration (environment):
+//   SMTP_HOST       SMTP server; without it nothing is queued or sent
+//   SMTP_PORT       default 587 (use e.g. 1025 for a local SMTP catcher)
+//   SMTP_SECURE     "true" for implicit TLS (port 465)
+//   SMTP_USER, SMTP_PASS
+//   MAIL_FROM       default "tidal.wav <no-reply@tidalwav.local>"
+//   DIGEST_HOURS    how often the admin digest goes out, default 24
+
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULTS, VARIABLES, render } = require('./email-templates');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE = 30 * 1000; // 30s, 1m, 2m, 4m, 8m
+const RETRY_MAX = 60 * 60 * 1000;
+const TICK_EVERY = 15 * 1000;
+const BATCH = 20;
+const OUTBOX_SHOWN = 100;
+
+// Artist emails for these statuses; the template has the same name
+const STATUS_EVENTS = ['approved', 'rejected', 'changes_requested'];
+
+function smtpConfig(env = process.env) {
+  return {
+    host: env.SMTP_HOST || null,
+    port: parseInt(env.SMTP_PORT || '587', 10),
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+    from: env.MAIL_FROM || 'tidal.wav <no-reply@tidalwav.local>',
+    digestHours: Number(env.DIGEST_HOURS) > 0 ? Number(env.DIGEST_HOURS) : 24
+  };
+}
+
+// db: collections from lib/db.js; publicUrl: base for links in emails
+function createNotifier(db, { publicUrl, config = smtpConfig() }) {
+  const enabled = !!config.host;
+  const transport = enabled && nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.auth
+  });
+  let timer = null;
+  let running = false;
+
+  // --- templates ---
+  async function getTemplate(name) {
+    const base = DEFAULTS[name];
+    if (!base) return null;
+    const custom = await db.templates.get({ name });
+    return {
+      name,
+      label: base.label,
+      subject: custom ? custom.subject : base.subject,
+      text: custom ? custom.text : base.text,
+      variables: VARIABLES[name],
+      customized: !!custom,
+      updatedAt: custom ? custom.updatedAt : null,
+      updatedBy: custom ? custom.updatedBy : null
+    };
+  }
+
+  function listTemplates() {
+    return Promise.all(Object.keys(DEFAULTS).map(getTemplate));
+  }
+
+  function saveTemplate(name, subject, text, actor) {
+    return db.templates.upsert({ name }, {
+      $set: { name, subject, text, updatedAt: new Date().toISOString(), updatedBy: actor }
+    });
+  }
+
+  function resetTemplate(name) {
+    return db.templates.remove({ name });
+  }
+
+  // Example values for previews in the template editor
+  const SAMPLE = {
+    artistName: 'Sam Artist',
+    albumName: 'Night Drive',
+    adminNote: 'Track 2 clips at 0:42, please send a new master.',
+    version: 2,
+    revision: true,
+    adminName: 'Alex',
+    count: 2,
+    since: new Date(Date.now() - 86400000).toLocaleString('en-GB'),
+    submissions: '- Night Drive by Sam Artist\n- Blue Hour by Kim',
+    releasesUrl: `${publicUrl}/releases`,
+    dashboardUrl: `${publicUrl}/admin/dashboard`
+  };
+
+  function preview(subject, text) {
+    return { subject: render(subject, SAMPLE), text: render(text, SAMPLE) };
+  }
+
+  // --- queue ---
+  async function enqueue(kind, to, vars, submissionId) {
+    const template = await getTemplate(kind);
+    const now = new Date().toISOString();
+    const msg = await db.outbox.insert({
+      id: uuidv4(),
+      kind,
+      to,
+      subject: render(template.subject, vars),
+      text: render(template.text, vars),
+      submissionId: submissionId || null,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      sentAt: null
+    });
+    // send right away instead of waiting for the next tick
+    if (timer) setImmediate(tick);
+    return msg;
+  }
+
+  // Queue an email to the artist who owns `sub`. Never throws: a notification
+  // problem must not fail the request that triggered it.
+  async function notifyArtist(kind, sub, extra = {}) {
+    if (!enabled || !sub.artistId) return null;
+    try {
+      const artist = await db.users.get({ id: sub.artistId });
+      if (!artist) return null;
+      return await enqueue(kind, artist.email, {
+        artistName: artist.name,
+        albumName: sub.albumName || 'Untitled release',
+        adminNote: sub.adminNote,
+        releasesUrl: `${publicUrl}/releases`,
+        ...extra
+      }, sub.id);
+    } catch (err) {
+      console.error('notification error', err);
+      return null;
+    }
+  }
+
+  // New submission or a new version of a revised one
+  function submissionReceived(sub) {
+    const version = sub.version || 1;
+    return notifyArtist('submission_received', sub, { version, revision: version > 1 });
+  }
+
+  function statusChanged(sub, to) {
+    if (!STATUS_EVENTS.includes(to)) return Promise.resolve(null);
+    return notifyArtist(to, sub);
+  }
+
+  async function deliver(msg) {
+    try {
+      await transport.sendMail({ from: config.from, to: msg.to, subject: msg.subject, text: msg.text });
+      await db.outbox.update({ id: msg.id }, { $set: { status: 'sent', sentAt: new Date().toISOString(), lastError: null }, $inc: { attempts: 1 } });
+    } catch (err) {
+      const attempts = msg.attempts + 1;
+      const failed = attempts >= MAX_ATTEMPTS;
+      const wait = Math.min(RETRY_MAX, RETRY_BASE * 2 ** (attempts - 1));
+      await db.outbox.update({ id: msg.id }, {
+        $set: {
+          status: failed ? 'failed' : 'queued',
+          attempts,
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + wait).toISOString()
+        }
+      });
+    }
+  }
+
+  // Send a failed (or queued) message again right away
+  function retry(id) {
+    return db.outbox.update({ id, status: { $in: ['failed', 'queued'] } }, {
+      $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date().toISOString() }
+    });
+  }
+
+  function listOutbox(status) {
+    const query = status ? { status } : {};
+    return db.outbox.list(query, { createdAt: -1 }, OUTBOX_SHOWN);
+  }
+
+  // --- admin digest ---
+  async function sendDigest(now = new Date()) {
+    const state = await db.settings.get({ key: 'lastDigestAt' });
+    if (!state) {
+      // first run: start counting from now instead of mailing every old submission
+      await db.settings.upsert({ key: 'lastDigestAt' }, { $set: { key: 'lastDigestAt', value: now.toISOString() } });
+      return 0;
+    }
+    if (now - new Date(state.value) < config.digestHours * 60 * 60 * 1000) return 0;
+
+    const since = state.value;
+    await db.settings.update({ key: 'lastDigestAt' }, { $set: { value: now.toISOString() } });
+    const subs = await db.submissions.list({ createdAt: { $gt: since } });
+    if (!subs.length) return 0;
+    const admins = await db.admins.list({ digest: true, disabled: { $ne: true } });
+    const lines = await Promise.all(subs.map(async s => {
+      const artist = s.artistId ? await db.users.get({ id: s.artistId }) : null;
+      return `- ${s.albumName || 'Untitled release'}${artist ? ' by ' + artist.name : ''} (${s.tracks.length} track(s))`;
+    }));
+    for (const admin of admins) {
+      await enqueue('admin_digest', admin.email, {
+        adminName: admin.name,
+        count: subs.length,
+        since: new Date(since).toLocaleString('en-GB'),
+        submissions: lines.join('\n'),
+        dashboardUrl: `${publicUrl}/admin/dashboard`
+      });
+    }
+    return admins.length;
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const due = await db.outbox.list({ status: 'queued', nextAttemptAt: { $lte: new Date().toISOString() } }, { nextAttemptAt: 1 }, BATCH);
+      for (const msg of due) await deliver(msg);
+      await sendDigest();
+    } catch (err) {
+      console.error('notification worker error', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (!enabled || timer) return;
+    timer = setInterval(tick, TICK_EVERY);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    enabled,
+    config: { host: config.host, port: config.port, from: config.from, digestHours: config.digestHours },
+    getTemplate,
+    listTemplates,
+    saveTemplate,
+    resetTemplate,
+    preview,
+    submissionReceived,
+    statusChanged,
+    retry,
+    listOutbox,
+    tick,
+    start,
+    stop
+  };
+}
+
+module.exports = { createNotifier, smtpConfig, MAX_ATTEMPTS };
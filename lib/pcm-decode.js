@@ -0,0 +1,421 @@
+// lib/pcm-decode.js
+// Decodes lossless audio (WAV, AIFF/AIFC, FLAC) to PCM for lib/audio-analysis.js,
+// a block at a time so a long track never sits in memory decoded:
+//
+//   const { sampleRate, channels, bitDepth, blocks } = openPcm(file);
+//   for (const block of blocks) ...   // block: one Float32Array per channel, -1..1
+//
+// Files are read from disk in slices, FLAC decoded frame by frame. MP3 and
+// anything else throws PcmError: those files are checked from their headers
+// only (lib/audio-meta.js).
+
+const fs = require('fs');
+
+const SLICE = 1 << 20; // bytes read at a time
+const MAX_FLAC_FRAME = 4 * SLICE; // the largest possible FLAC frame is about 2 MB
+
+class PcmError extends Error {}
+
+// A FLAC frame runs past the bytes read so far
+class FrameEndError extends PcmError {}
+
+function readAt(fd, pos, len) {
+  const buf = Buffer.alloc(len);
+  const n = fs.readSync(fd, buf, 0, len, pos);
+  return buf.subarray(0, n);
+}
+
+// Same as in lib/audio-meta.js: 80-bit float sample rate of AIFF
+function readExtended(buf, off) {
+  const exp = buf.readUInt16BE(off) & 0x7fff;
+  const hi = buf.readUInt32BE(off + 2);
+  const lo = buf.readUInt32BE(off + 6);
+  if (exp === 0 && hi === 0 && lo === 0) return 0;
+  return Math.round((hi * 2 ** 32 + lo) * 2 ** (exp - 16383 - 63));
+}
+
+function id3Size(buf) {
+  if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+  return 10 + ((buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9]) + ((buf[5] & 0x10) ? 10 : 0);
+}
+
+// --- interleaved integer / float samples (WAV, AIFF) ---
+
+// reads one sample at byte offset `off` as -1..1
+function sampleReader(bits, float, littleEndian) {
+  const le = littleEndian;
+  if (float && bits === 32) return (b, off) => (le ? b.readFloatLE(off) : b.readFloatBE(off));
+  if (float && bits === 64) return (b, off) => (le ? b.readDoubleLE(off) : b.readDoubleBE(off));
+  if (float) return null;
+  switch (bits) {
+    case 8: return le ? (b, off) => (b[off] - 128) / 128 : (b, off) => b.readInt8(off) / 128; // WAV 8-bit is unsigned
+    case 16: return le ? (b, off) => b.readInt16LE(off) / 32768 : (b, off) => b.readInt16BE(off) / 32768;
+    case 24: return le ? (b, off) => b.readIntLE(off, 3) / 8388608 : (b, off) => b.readIntBE(off, 3) / 8388608;
+    case 32: return le ? (b, off) => b.readInt32LE(off) / 2147483648 : (b, off) => b.readInt32BE(off) / 2147483648;
+    default: return null;
+  }
+}
+
+function* interleaved(fd, start, bytes, channels, bits, read) {
+  const frameBytes = channels * (bits / 8);
+  const step = Math.max(1, Math.floor(SLICE / frameBytes)) * frameBytes;
+  for (let pos = 0; pos + frameBytes <= bytes; pos += step) {
+    const buf = readAt(fd, start + pos, Math.min(step, bytes - pos));
+    const frames = Math.floor(buf.length / frameBytes);
+    if (!frames) return;
+    const block = Array.from({ length: channels }, () => new Float32Array(frames));
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++) block[c][i] = read(buf, i * frameBytes + c * (bits / 8));
+    }
+    yield block;
+    if (frames * frameBytes < step) return;
+  }
+}
+
+function openWav(fd, fileSize) {
+  let pos = 12;
+  let fmt = null;
+  while (pos + 8 <= fileSize) {
+    const hdr = readAt(fd, pos, 8);
+    if (hdr.length < 8) break;
+    const id = hdr.toString('latin1', 0, 4);
+    const size = hdr.readUInt32LE(4);
+    if (id === 'fmt ') {
+      const b = readAt(fd, pos + 8, Math.min(size, 40));
+      let format = b.readUInt16LE(0);
+      if (format === 0xfffe && b.length >= 26) format = b.readUInt16LE(24);
+      fmt = { format, channels: b.readUInt16LE(2), sampleRate: b.readUInt32LE(4), bits: b.readUInt16LE(14) };
+    } else if (id === 'data') {
+      if (!fmt) throw new PcmError('WAV data comes before its format chunk');
+      if (fmt.format !== 1 && fmt.format !== 3) throw new PcmError(`WAV format ${fmt.format} cannot be decoded`);
+      const read = sampleReader(fmt.bits, fmt.format === 3, true);
+      if (!read || !fmt.channels) throw new PcmError(`${fmt.bits}-bit WAV cannot be decoded`);
+      // a streamed WAV may leave the size at 0 or 0xffffffff
+      const bytes = Math.min(size || Infinity, fileSize - pos - 8);
+      return {
+        sampleRate: fmt.sampleRate,
+        channels: fmt.channels,
+        bitDepth: fmt.bits,
+        blocks: interleaved(fd, pos + 8, bytes, fmt.channels, fmt.bits, read)
+      };
+    }
+    pos += 8 + size + (size % 2);
+  }
+  throw new PcmError('WAV file has no audio data');
+}
+
+function openAiff(fd, fileSize, isAifc) {
+  let pos = 12;
+  let comm = null;
+  while (pos + 8 <= fileSize) {
+    const hdr = readAt(fd, pos, 8);
+    if (hdr.length < 8) break;
+    const id = hdr.toString('latin1', 0, 4);
+    const size = hdr.readUInt32BE(4);
+    if (id === 'COMM') {
+      const b = readAt(fd, pos + 8, Math.min(size, 26));
+      comm = {
+        channels: b.readUInt16BE(0),
+        frames: b.readUInt32BE(2),
+        bits: b.readUInt16BE(6),
+        sampleRate: readExtended(b, 8),
+        compression: isAifc && b.length >= 22 ? b.toString('latin1', 18, 22) : 'NONE'
+      };
+    } else if (id === 'SSND') {
+      if (!comm) throw new PcmError('AIFF sound data comes before its COMM chunk');
+      const offset = readAt(fd, pos + 8, 4).readUInt32BE(0);
+      const float = ['fl32', 'FL32', 'fl64', 'FL64'].includes(comm.compression);
+      const bits = float ? (comm.compression.endsWith('64') ? 64 : 32) : Math.ceil(comm.bits / 8) * 8;
+      if (!float && !['NONE', 'sowt'].includes(comm.compression)) throw new PcmError(`AIFC compression "${comm.compression}" cannot be decoded`);
+      const read = sampleReader(bits, float, comm.compression === 'sowt');
+      // 'sowt' 8-bit is signed like the rest of AIFF
+      const read8 = comm.compression === 'sowt' && bits === 8 ? (b, off) => b.readInt8(off) / 128 : read;
+      if (!read8 || !comm.channels) throw new PcmError(`${comm.bits}-bit AIFF cannot be decoded`);
+      const start = pos + 16 + offset;
+      const bytes = Math.min(comm.frames * comm.channels * (bits / 8), fileSize - start);
+      return {
+        sampleRate: comm.sampleRate,
+        channels: comm.channels,
+        bitDepth: comm.bits,
+        blocks: interleaved(fd, start, bytes, comm.channels, bits, read8)
+      };
+    }
+    pos += 8 + size + (size % 2);
+  }
+  throw new PcmError('AIFF file has no sound data');
+}
+
+// --- FLAC ---
+
+// MSB-first bit reader over a buffer; reading past the end throws, so a
+// truncated or corrupt file cannot loop forever
+function bitReader(buf, start) {
+  let byte = start;
+  let bit = 0;
+  const end = () => new FrameEndError('FLAC stream ends in the middle of a frame');
+
+  function read(n) {
+    let v = 0;
+    while (n > 0) {
+      if (byte >= buf.length) throw end();
+      const avail = 8 - bit;
+      const take = avail < n ? avail : n;
+      v = v * (1 << take) + ((buf[byte] >> (avail - take)) & ((1 << take) - 1));
+      n -= take;
+      bit += take;
+      if (bit === 8) { bit = 0; byte++; }
+    }
+    return v;
+  }
+
+  function signed(n) {
+    const v = read(n);
+    return v >= 2 ** (n - 1) ? v - 2 ** n : v;
+  }
+
+  // number of 0 bits before the next 1
+  function unary() {
+    let zeros = 0;
+    for (;;) {
+      if (byte >= buf.length) throw end();
+      const rest = buf[byte] & (0xff >> bit);
+      if (rest) {
+        const lead = Math.clz32(rest) - 24;
+        zeros += lead - bit;
+        bit = lead + 1;
+        if (bit === 8) { bit = 0; byte++; }
+        return zeros;
+      }
+      zeros += 8 - bit;
+      bit = 0;
+      byte++;
+    }
+  }
+
+  function align() {
+    if (bit) { bit = 0; byte++; }
+  }
+
+  return { read, signed, unary, align, position: () => byte };
+}
+
+const FLAC_BLOCK_SIZES = [0, 192, 576, 1152, 2304, 4608, null, null, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+const FLAC_SAMPLE_RATES = [null, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+const FLAC_SAMPLE_SIZES = [null, 8, 12, null, 16, 20, 24, 32];
+const FIXED_COEFS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+function residual(r, out, blockSize, order) {
+  const method = r.read(2);
+  if (method > 1) throw new PcmError('FLAC residual coding method is reserved');
+  const paramBits = method === 0 ? 4 : 5;
+  const escape = method === 0 ? 15 : 31;
+  const partitionOrder = r.read(4);
+  const partitions = 1 << partitionOrder;
+  const perPartition = blockSize >> partitionOrder;
+  if (perPartition < order) throw new PcmError('FLAC residual partition is smaller than the predictor order');
+  let i = order;
+  for (let p = 0; p < partitions; p++) {
+    const count = p === 0 ? perPartition - order : perPartition;
+    const k = r.read(paramBits);
+    if (k === escape) {
+      const bits = r.read(5);
+      for (let n = 0; n < count; n++) out[i++] = bits ? r.signed(bits) : 0;
+    } else {
+      for (let n = 0; n < count; n++) {
+        const u = r.unary() * 2 ** k + r.read(k);
+        out[i++] = u % 2 ? -(u + 1) / 2 : u / 2;
+      }
+    }
+  }
+}
+
+function predict(out, blockSize, coefs, shift) {
+  const order = coefs.length;
+  const scale = 2 ** shift;
+  for (let i = order; i < blockSize; i++) {
+    let sum = 0;
+    for (let j = 0; j < order; j++) sum += coefs[j] * out[i - 1 - j];
+    out[i] += Math.floor(sum / scale);
+  }
+}
+
+function subframe(r, blockSize, bps) {
+  if (r.read(1)) throw new PcmError('FLAC subframe padding bit is set');
+  const type = r.read(6);
+  let wasted = 0;
+  if (r.read(1)) wasted = r.unary() + 1;
+  bps -= wasted;
+  const out = new Float64Array(blockSize);
+  if (type === 0) {
+    out.fill(r.signed(bps));
+  } else if (type === 1) {
+    for (let i = 0; i < blockSize; i++) out[i] = r.signed(bps);
+  } else if (type >= 8 && type <= 12) {
+    const order = type - 8;
+    for (let i = 0; i < order; i++) out[i] = r.signed(bps);
+    residual(r, out, blockSize, order);
+    predict(out, blockSize, FIXED_COEFS[order], 0);
+  } else if (type >= 32) {
+    const order = type - 31;
+    for (let i = 0; i < order; i++) out[i] = r.signed(bps);
+    const precision = r.read(4) + 1;
+    if (precision === 16) throw new PcmError('FLAC LPC precision is invalid');
+    const shift = r.signed(5);
+    if (shift < 0) throw new PcmError('FLAC LPC shift is negative');
+    const coefs = [];
+    for (let i = 0; i < order; i++) coefs.push(r.signed(precision));
+    residual(r, out, blockSize, order);
+    predict(out, blockSize, coefs, shift);
+  } else {
+    throw new PcmError(`FLAC subframe type ${type} is reserved`);
+  }
+  if (wasted) for (let i = 0; i < blockSize; i++) out[i] *= 2 ** wasted;
+  return out;
+}
+
+// Decode the frame at buf[pos], which starts with the frame sync.
+// Returns { decoded: one Float64Array per channel, bps, blockSize, next }.
+function decodeFrame(buf, pos, info) {
+  const r = bitReader(buf, pos + 2);
+  const sizeCode = r.read(4);
+  const rateCode = r.read(4);
+  const assignment = r.read(4);
+  const sizeBits = r.read(3);
+  r.read(1);
+  // frame / sample number, UTF-8 style
+  const first = r.read(8);
+  let extra = 0;
+  while (first & (0x80 >> extra)) extra++;
+  for (let i = 1; i < extra; i++) r.read(8);
+  let blockSize = FLAC_BLOCK_SIZES[sizeCode];
+  if (sizeCode === 6) blockSize = r.read(8) + 1;
+  else if (sizeCode === 7) blockSize = r.read(16) + 1;
+  if (rateCode === 12) r.read(8);
+  else if (rateCode === 13 || rateCode === 14) r.read(16);
+  r.read(8); // CRC-8
+  const bps = sizeBits ? FLAC_SAMPLE_SIZES[sizeBits] : info.bitDepth;
+  if (!blockSize || !bps || assignment > 10) throw new PcmError('FLAC frame header is invalid');
+
+  const channels = assignment < 8 ? assignment + 1 : 2;
+  const decoded = [];
+  for (let c = 0; c < channels; c++) {
+    // the side channel carries one extra bit
+    const side = (assignment === 8 && c === 1) || (assignment === 9 && c === 0) || (assignment === 10 && c === 1);
+    decoded.push(subframe(r, blockSize, bps + (side ? 1 : 0)));
+  }
+  if (assignment === 8) {
+    for (let i = 0; i < blockSize; i++) decoded[1][i] = decoded[0][i] - decoded[1][i];
+  } else if (assignment === 9) {
+    for (let i = 0; i < blockSize; i++) decoded[0][i] += decoded[1][i];
+  } else if (assignment === 10) {
+    for (let i = 0; i < blockSize; i++) {
+      const side = decoded[1][i];
+      const mid = decoded[0][i] * 2 + (Math.abs(side) % 2);
+      decoded[0][i] = (mid + side) / 2;
+      decoded[1][i] = (mid - side) / 2;
+    }
+  }
+  r.align();
+  return { decoded, bps, blockSize, next: r.position() + 2 }; // CRC-16
+}
+
+// Frames are decoded from a window of the file, read SLICE bytes at a time; a
+// frame that runs past the window is read again with a larger one
+function* flacFrames(fd, fileSize, start, info) {
+  let pos = start;
+  let base = start;
+  let buf = Buffer.alloc(0);
+  let want = SLICE;
+  let left = info.totalSamples || Infinity; // 0 in STREAMINFO: unknown
+  while (left > 0 && pos + 2 <= fileSize) {
+    if (pos + want > base + buf.length && base + buf.length < fileSize) {
+      base = pos;
+      buf = readAt(fd, pos, want);
+    }
+    const at = pos - base;
+    if (buf[at] !== 0xff || (buf[at + 1] & 0xfe) !== 0xf8) {
+      // an ID3v1 tag may follow the last frame
+      if (left === Infinity && buf.toString('latin1', at, at + 3) === 'TAG') return;
+      throw new PcmError('FLAC frame sync lost (corrupt file?)');
+    }
+    let frame;
+    try {
+      frame = decodeFrame(buf, at, info);
+    } catch (err) {
+      if (!(err instanceof FrameEndError) || base + buf.length >= fileSize || want >= MAX_FLAC_FRAME) throw err;
+      want *= 2;
+      continue;
+    }
+    want = SLICE;
+    pos = base + frame.next;
+    const { decoded, bps, blockSize } = frame;
+    const scale = 2 ** (bps - 1);
+    const n = Math.min(blockSize, left);
+    left -= n;
+    yield decoded.map(d => {
+      const out = new Float32Array(n);
+      for (let i = 0; i < n; i++) out[i] = d[i] / scale;
+      return out;
+    });
+  }
+}
+
+function openFlac(fd, fileSize) {
+  let pos = id3Size(readAt(fd, 0, 10));
+  if (readAt(fd, pos, 4).toString('latin1') !== 'fLaC') throw new PcmError('Only WAV, AIFF and FLAC audio can be decoded');
+  pos += 4;
+  let info = null;
+  for (;;) {
+    // only STREAMINFO is read; pictures and other blocks are skipped on disk
+    const hdr = readAt(fd, pos, 4);
+    if (hdr.length < 4) throw new PcmError('FLAC metadata is truncated');
+    const last = hdr[0] & 0x80;
+    const type = hdr[0] & 0x7f;
+    const len = hdr.readUIntBE(1, 3);
+    if (type === 0) {
+      const b = readAt(fd, pos + 4, len);
+      if (b.length < 18) throw new PcmError('FLAC metadata is truncated');
+      info = {
+        sampleRate: (b[10] << 12) | (b[11] << 4) | (b[12] >> 4),
+        channels: ((b[12] >> 1) & 0x07) + 1,
+        bitDepth: (((b[12] & 0x01) << 4) | (b[13] >> 4)) + 1,
+        totalSamples: (b[13] & 0x0f) * 2 ** 32 + b.readUInt32BE(14)
+      };
+    }
+    pos += 4 + len;
+    if (last) break;
+  }
+  if (!info) throw new PcmError('FLAC file has no STREAMINFO');
+  return { sampleRate: info.sampleRate, channels: info.channels, bitDepth: info.bitDepth, blocks: flacFrames(fd, fileSize, pos, info) };
+}
+
+// { sampleRate, channels, bitDepth, blocks }. The file stays open until
+// `blocks` is read to the end (or a for...of over it stops early).
+function openPcm(file) {
+  const fd = fs.openSync(file, 'r');
+  let keepOpen = false;
+  try {
+    const size = fs.fstatSync(fd).size;
+    const head = readAt(fd, 0, 12);
+    const magic = head.toString('latin1', 0, 4);
+    const form = head.toString('latin1', 8, 12);
+    let pcm;
+    if (magic === 'RIFF' && form === 'WAVE') pcm = openWav(fd, size);
+    else if (magic === 'FORM' && (form === 'AIFF' || form === 'AIFC')) pcm = openAiff(fd, size, form === 'AIFC');
+    else pcm = openFlac(fd, size);
+    keepOpen = true;
+    const blocks = pcm.blocks;
+    pcm.blocks = (function* () {
+      try {
+        yield* blocks;
+      } finally {
+        fs.closeSync(fd);
+      }
+    })();
+    return pcm;
+  } finally {
+    if (!keepOpen) fs.closeSync(fd);
+  }
+}
+
+module.exports = { openPcm, PcmError };
@@ -0,0 +1,38 @@
+// lib/rate-limit.js
+// In-memory sliding-window rate limits, keyed by whatever the caller counts
+// (e.g. "ip:203.0.113.7" or "artist:<id>"). Counters live in this process and
+// start over when the server restarts.
+//
+//   const limiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 20 });
+//   const { allowed, retryAfter } = limiter.hit(key); // retryAfter in seconds
+
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map(); // key -> timestamps within the window, oldest first
+
+  // Count one attempt for `key` unless the limit is reached
+  function hit(key, now = Date.now()) {
+    const recent = (hits.get(key) || []).filter(t => t > now - windowMs);
+    if (recent.length >= max) {
+      hits.set(key, recent);
+      return { allowed: false, retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000) };
+    }
+    recent.push(now);
+    hits.set(key, recent);
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  function reset(key) {
+    hits.delete(key);
+  }
+
+  // forget keys whose attempts have all left the window
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((times, key) => { if (!times.length || times[times.length - 1] <= now - windowMs) hits.delete(key); });
+  }, windowMs);
+  sweep.unref();
+
+  return { windowMs, max, hit, reset };
+}
+
+module.exports = { createRateLimiter };
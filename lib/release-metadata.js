@@ -0,0 +1,61 @@
+// lib/release-metadata.js
+// Release metadata stores ask for beyond titles, checked when a release is
+// submitted (/submit, the resumable upload finalize step) and revised:
+//
+//   release  primaryArtist, label, upc, genre, subgenre, language, pLine, cLine
+//   track    isrc, composers, producers, lyricists (credits are lists of names),
+//            splits: the royalty split sheet, [{ name, role, master, publishing }]
+//            with shares in percent (lib/split-sheet.js exports it for signing)
+//
+// The checks themselves live in public/release-codes.js so the forms run the
+// same ones before uploading. UPC and ISRC are optional: releases without them
+// get codes assigned before delivery.
+
+const codes = require('../public/release-codes');
+
+const RELEASE_FIELDS = ['primaryArtist', 'label', 'upc', 'genre', 'subgenre', 'language', 'pLine', 'cLine'];
+const CREDIT_FIELDS = ['composers', 'producers', 'lyricists'];
+const TRACK_FIELDS = ['isrc'].concat(CREDIT_FIELDS, ['splits']);
+
+const LABELS = {
+  primaryArtist: 'Primary artist', label: 'Label', upc: 'UPC', genre: 'Genre', subgenre: 'Subgenre',
+  language: 'Language', pLine: '(P) line', cLine: '(C) line'
+};
+
+const MAX_LENGTH = 200;
+
+function text(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// The release fields of `input` (a request body), falling back to `current`
+// (the stored submission) for fields left out.
+// Returns { values, errors } with errors keyed by field, like the form's other field errors.
+function cleanRelease(input, current = {}) {
+  const values = {};
+  RELEASE_FIELDS.forEach(f => { values[f] = text(input[f] !== undefined ? input[f] : current[f]); });
+  const errors = codes.releaseProblems(values);
+  RELEASE_FIELDS.forEach(f => {
+    if (values[f].length > MAX_LENGTH) errors[f] = (errors[f] || []).concat(`${LABELS[f]} is longer than ${MAX_LENGTH} characters`);
+  });
+  values.upc = values.upc ? codes.normalizeUpc(values.upc) : null;
+  return { values, errors };
+}
+
+// The ISRC and credits of every track in `tracks`; current[i] is the stored
+// track the i-th one falls back to for fields left out (revisions), if any.
+// Returns { values: [{ isrc, composers, producers, lyricists, splits }], errors: [message] }.
+function cleanTracks(tracks, current = []) {
+  const errors = [];
+  const values = tracks.map((t, i) => {
+    const pick = f => (t[f] !== undefined ? t[f] : (current[i] || {})[f]);
+    const v = { isrc: codes.normalizeIsrc(pick('isrc')) || null };
+    CREDIT_FIELDS.forEach(f => { v[f] = codes.names(pick(f)); });
+    v.splits = codes.splits(pick('splits'));
+    if (v.splits.some(s => s.name.length > MAX_LENGTH)) errors.push(`Track ${i + 1}: split names are limited to ${MAX_LENGTH} characters`);
+    return v;
+  });
+  return { values, errors: codes.trackProblems(values).concat(errors) };
+}
+
+module.exports = { RELEASE_FIELDS, LABELS, TRACK_FIELDS, CREDIT_FIELDS, cleanRelease, cleanTracks };
@@ -0,0 +1,270 @@
+// lib/retention.js
+// Disk usage of uploads/ and what may be removed from it:
+//
+//   orphans   directories with no submission record (e.g. a /submit that failed
+//             after multer had written the files), files in a submission's
+//             directory that no version of it refers to, and resumable uploads
+//             (.incoming/<id>) that were never finished
+//   expired   the files of rejected and withdrawn submissions, RETENTION_DAYS after
+//             that decision (unset: kept forever). The record, its history and the
+//             track fingerprints stay; submission.purged = { at, reason, files, bytes }
+//             says the files are gone and the release can no longer be revised.
+//
+// Nothing modified within ORPHAN_GRACE (INCOMING_MAX_AGE for resumable uploads) is
+// an orphan yet, so uploads and revisions in progress are never touched. Orphans
+// are only reported until an admin purges them, and never removed while the
+// legacy data file (`legacyData`, data/submissions.json) waits to be imported into
+// an empty datastore: until then every upload directory looks like an orphan.
+//
+//   usage()                       sizes per submission and per artist, orphans
+//   purge({ dryRun, actor, ... }) what was removed, or with dryRun what would be
+//   start()                       with RETENTION_DAYS set, a purge of expired files
+//                                 every PURGE_EVERY, as the 'system' actor
+//
+// Purges that remove something are written to the audit log (`audit` option):
+// 'storage.purge' for the run and 'submission.files_purged' per expired submission.
+
+const fs = require('fs');
+const path = require('path');
+const workflow = require('./workflow');
+const { versionsOf } = require('./revisions');
+const { waveformFile } = require('./analysis-queue');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const ORPHAN_GRACE = DAY;
+const INCOMING_MAX_AGE = 7 * DAY;
+const PURGE_EVERY = 6 * HOUR;
+const EXPIRING = ['rejected', 'withdrawn'];
+const SHOWN = 100; // rows per list in usage()
+const SYSTEM = { type: 'system', id: null, name: 'Retention' };
+
+function retentionDays(env = process.env) {
+  const days = parseFloat(env.RETENTION_DAYS);
+  return days > 0 ? days : null;
+}
+
+// Every file below `dir`: [{ path, bytes, modified (ms) }]
+function walk(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...walk(full));
+    else if (entry.isFile()) {
+      const stat = fs.statSync(full);
+      files.push({ path: full, bytes: stat.size, modified: stat.mtimeMs });
+    }
+  });
+  return files;
+}
+
+function subdirs(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+}
+
+const sum = (list, key) => list.reduce((n, x) => n + x[key], 0);
+const newest = files => files.reduce((t, f) => Math.max(t, f.modified), 0);
+const bySize = (a, b) => b.bytes - a.bytes;
+
+// uploadsDir: where submission paths are relative to; days: retentionDays();
+// legacyData: the JSON file scripts/import-json.js reads;
+// audit(action, actor, target, details): the server's audit log
+function createRetention(db, { uploadsDir, days = retentionDays(), legacyData, audit }) {
+  const stored = p => path.relative(uploadsDir, p).split(path.sep).join('/');
+  let timer = null;
+  let running = false;
+
+  // Stored paths any version of `sub` refers to, with their waveforms
+  function referenced(sub) {
+    const refs = new Set();
+    const add = file => {
+      if (!file) return;
+      refs.add(file);
+      refs.add(stored(waveformFile(uploadsDir, file)));
+    };
+    const addRelease = r => {
+      add(r.cover);
+      (r.tracks || []).forEach(t => add(t.file));
+    };
+    addRelease(sub);
+    versionsOf(sub).forEach(v => addRelease(v.snapshot));
+    return refs;
+  }
+
+  // When the files of a rejected / withdrawn submission expire (ms), else null
+  function expiresAt(sub) {
+    const status = workflow.normalizeStatus(sub.status);
+    if (!days || sub.purged || !EXPIRING.includes(status)) return null;
+    const decided = (sub.history || []).filter(h => h.to === status).pop();
+    return Date.parse(decided ? decided.at : sub.updatedAt || sub.createdAt) + days * DAY;
+  }
+
+  // Why orphans may not be removed now, or null
+  async function orphansHeld() {
+    if (legacyData && fs.existsSync(legacyData) && !(await db.submissions.count())) {
+      return `${path.basename(legacyData)} has not been imported yet (npm run import-json)`;
+    }
+    return null;
+  }
+
+  // Everything under uploadsDir, sorted into submissions, orphans and resumable uploads
+  async function scan() {
+    const submissions = new Map((await db.submissions.list()).map(s => [s.id, s]));
+    const result = { submissions: [], orphans: [], incoming: [] };
+    subdirs(uploadsDir).filter(name => name !== '.incoming').forEach(name => {
+      const files = walk(path.join(uploadsDir, name));
+      const sub = submissions.get(name);
+      if (!sub) {
+        result.orphans.push({ path: name, reason: 'no submission', files: files.length, bytes: sum(files, 'bytes'), removableAt: newest(files) + ORPHAN_GRACE });
+        return;
+      }
+      const refs = referenced(sub);
+      files.filter(f => !refs.has(stored(f.path))).forEach(f => {
+        result.orphans.push({ path: stored(f.path), reason: 'not referenced', files: 1, bytes: f.bytes, removableAt: f.modified + ORPHAN_GRACE });
+      });
+      result.submissions.push({
+        submissionId: sub.id,
+        albumName: sub.albumName || null,
+        artistId: sub.artistId || null,
+        status: workflow.normalizeStatus(sub.status),
+        files: files.length,
+        bytes: sum(files, 'bytes'),
+        expiresAt: expiresAt(sub)
+      });
+    });
+    subdirs(path.join(uploadsDir, '.incoming')).forEach(id => {
+      const files = walk(path.join(uploadsDir, '.incoming', id));
+      result.incoming.push({ path: `.incoming/${id}`, reason: 'unfinished upload', files: files.length, bytes: sum(files, 'bytes'), removableAt: newest(files) + INCOMING_MAX_AGE });
+    });
+    return result;
+  }
+
+  async function usage(now = Date.now()) {
+    const { submissions, orphans, incoming } = await scan();
+    const held = await orphansHeld();
+    const artists = new Map();
+    submissions.forEach(s => {
+      const a = artists.get(s.artistId) || { artistId: s.artistId, name: null, submissions: 0, files: 0, bytes: 0 };
+      a.submissions++;
+      a.files += s.files;
+      a.bytes += s.bytes;
+      artists.set(s.artistId, a);
+    });
+    for (const a of artists.values()) {
+      const user = a.artistId ? await db.users.get({ id: a.artistId }) : null;
+      a.name = user ? user.name : null;
+    }
+    const loose = orphans.concat(incoming);
+    const expired = submissions.filter(s => s.expiresAt !== null && s.expiresAt <= now);
+    const removable = held ? [] : loose.filter(o => o.removableAt <= now);
+    const iso = t => (t === null ? null : new Date(t).toISOString());
+    return {
+      retentionDays: days,
+      bytes: sum(submissions, 'bytes') + sum(loose, 'bytes'),
+      submissions: {
+        count: submissions.length,
+        bytes: sum(submissions, 'bytes'),
+        largest: submissions.sort(bySize).slice(0, SHOWN).map(s => ({ ...s, expiresAt: iso(s.expiresAt) }))
+      },
+      artists: Array.from(artists.values()).sort(bySize).slice(0, SHOWN),
+      orphans: {
+        count: orphans.length,
+        bytes: sum(orphans, 'bytes'),
+        largest: orphans.sort(bySize).slice(0, SHOWN).map(o => ({ ...o, removableAt: iso(o.removableAt) }))
+      },
+      incoming: { count: incoming.length, bytes: sum(incoming, 'bytes') },
+      orphansHeld: held,
+      purgeable: {
+        orphans: { count: removable.length, bytes: sum(removable, 'bytes') },
+        expired: { count: expired.length, bytes: sum(expired, 'bytes') }
+      }
+    };
+  }
+
+  // Remove `dir` and then its parents up to uploadsDir while they are empty
+  function removeEmptyParents(dir) {
+    while (dir.startsWith(uploadsDir + path.sep) && fs.existsSync(dir) && !fs.readdirSync(dir).length) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  // Remove the orphans and / or expired files that are due. With dryRun (the
+  // default) nothing is touched and the answer lists what would go; orphansHeld
+  // says why orphans were left alone.
+  async function purge({ dryRun = true, orphans = true, expired = true, actor = SYSTEM, now = Date.now() } = {}) {
+    const found = await scan();
+    const held = orphans ? await orphansHeld() : null;
+    const dueOrphans = orphans && !held ? found.orphans.concat(found.incoming).filter(o => o.removableAt <= now) : [];
+    const dueExpired = expired ? found.submissions.filter(s => s.expiresAt !== null && s.expiresAt <= now) : [];
+    const result = {
+      dryRun,
+      orphans: dueOrphans.map(({ removableAt, ...o }) => o),
+      expired: dueExpired.map(({ expiresAt: at, ...s }) => ({ ...s, expiredAt: new Date(at).toISOString() })),
+      skipped: [],
+      orphansHeld: held
+    };
+    if (!dryRun) {
+      dueOrphans.forEach(o => {
+        const full = path.join(uploadsDir, o.path);
+        fs.rmSync(full, { recursive: true, force: true });
+        if (o.reason === 'not referenced') removeEmptyParents(path.dirname(full));
+      });
+      for (const s of result.expired) {
+        const purged = { at: new Date(now).toISOString(), reason: s.status, files: s.files, bytes: s.bytes };
+        // compare-and-set: a status change or another purge since the scan wins
+        const sub = await db.submissions.get({ id: s.submissionId });
+        const updated = sub && await db.submissions.update({ id: sub.id, status: sub.status, purged: { $exists: false } }, { $set: { purged } });
+        if (!updated || workflow.normalizeStatus(updated.status) !== s.status) {
+          result.skipped.push(s.submissionId);
+          continue;
+        }
+        fs.rmSync(path.join(uploadsDir, s.submissionId), { recursive: true, force: true });
+        await audit('submission.files_purged', actor, s.submissionId, { status: s.status, files: s.files, bytes: s.bytes, retentionDays: days });
+      }
+      result.expired = result.expired.filter(s => !result.skipped.includes(s.submissionId));
+    }
+    result.files = sum(result.orphans, 'files') + sum(result.expired, 'files');
+    result.bytes = sum(result.orphans, 'bytes') + sum(result.expired, 'bytes');
+    if (!dryRun && (result.orphans.length || result.expired.length)) {
+      await audit('storage.purge', actor, null, {
+        orphans: result.orphans.map(o => o.path),
+        expired: result.expired.map(s => s.submissionId),
+        files: result.files,
+        bytes: result.bytes
+      });
+    }
+    return result;
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      // orphans wait for an admin; only the retention policy runs by itself
+      await purge({ dryRun: false, orphans: false });
+    } catch (err) {
+      console.error('retention purge failed', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || !days) return;
+    timer = setInterval(tick, PURGE_EVERY);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { days, usage, purge, start, stop };
+}
+
+module.exports = { ORPHAN_GRACE, INCOMING_MAX_AGE, retentionDays, createRetention };
@@ -0,0 +1,143 @@
+// lib/revisions.js
+// Numbered versions of a submission. When a release comes back as rejected or
+// changes_requested the artist can revise it under the same id (replace some
+// tracks, the cover or metadata) instead of starting over. Each version is
+// kept in submission.versions as
+//   { version, createdAt, by: { type, id, name }, note, snapshot, changes }
+// where snapshot is the release as it stood in that version and changes is
+// the diff against the previous version (empty for version 1). The top-level
+// fields of the submission always hold the latest version.
+//
+// Tracks in a snapshot carry `source`: their position in the previous
+// version's tracks, or null for a track added in this version. That keeps the
+// diff right when tracks are removed or reordered.
+
+const { historyEntry, normalizeStatus, WorkflowError } = require('./workflow');
+const releaseMetadata = require('./release-metadata');
+
+// Statuses an artist can revise from (unless the files were purged, lib/retention.js)
+const REVISABLE = ['changes_requested', 'rejected'];
+
+// Metadata compared between versions
+const RELEASE_FIELDS = ['albumName', 'releaseDate', 'platforms'].concat(releaseMetadata.RELEASE_FIELDS); // numSongs follows the track list
+const TRACK_FIELDS = ['title', 'featured', 'explicit'].concat(releaseMetadata.TRACK_FIELDS);
+
+function canRevise(sub) {
+  return REVISABLE.includes(normalizeStatus(sub.status)) && !sub.purged;
+}
+
+function pick(obj, fields) {
+  return Object.fromEntries(fields.map(f => [f, obj[f]]));
+}
+
+function snapshot(sub) {
+  return {
+    albumName: sub.albumName,
+    releaseDate: sub.releaseDate,
+    platforms: sub.platforms || [],
+    ...pick(sub, releaseMetadata.RELEASE_FIELDS),
+    cover: sub.cover,
+    coverFileName: sub.cover ? sub.cover.split('/').pop() : null,
+    tracks: (sub.tracks || []).map(t => ({
+      title: t.title,
+      featured: t.featured || '',
+      explicit: t.explicit === true || t.explicit === 'true',
+      ...pick(t, releaseMetadata.TRACK_FIELDS),
+      file: t.file,
+      originalFileName: t.originalFileName,
+      source: t.source === undefined ? null : t.source
+    }))
+  };
+}
+
+function firstVersion(sub, actor) {
+  return {
+    version: 1,
+    createdAt: sub.createdAt,
+    by: { type: actor.type, id: actor.id || null, name: actor.name || null },
+    note: null,
+    snapshot: snapshot(sub),
+    changes: []
+  };
+}
+
+// Submissions created before versioning get their current state as version 1
+function versionsOf(sub) {
+  if (sub.versions && sub.versions.length) return sub.versions;
+  return [firstVersion(sub, { type: 'artist', id: sub.artistId })];
+}
+
+// Missing, empty and [] are the same, so fields added after a version was stored do not show up as changes
+function same(a, b) {
+  const value = v => (v === undefined || v === '' || (Array.isArray(v) && !v.length) ? null : v);
+  return JSON.stringify(value(a)) === JSON.stringify(value(b));
+}
+
+// What changed from one snapshot to the next. Track numbers are 1-based.
+//   { type: 'field', field, from, to }
+//   { type: 'cover', from, to }                          cover image replaced (file names)
+//   { type: 'track_field', track, field, from, to }
+//   { type: 'track_audio', track, from, to }             audio file replaced (file names)
+//   { type: 'track_moved', track, from }                 previously track `from`
+//   { type: 'track_added', track, title }
+//   { type: 'track_removed', track, title }              numbered as in the previous version
+function diffVersions(prev, next) {
+  const changes = [];
+  RELEASE_FIELDS.forEach(field => {
+    if (!same(prev[field], next[field])) changes.push({ type: 'field', field, from: prev[field], to: next[field] });
+  });
+  if (prev.cover !== next.cover) changes.push({ type: 'cover', from: prev.coverFileName, to: next.coverFileName });
+
+  const kept = new Set();
+  next.tracks.forEach((t, i) => {
+    const old = t.source === null ? null : prev.tracks[t.source];
+    if (!old) {
+      changes.push({ type: 'track_added', track: i + 1, title: t.title });
+      return;
+    }
+    kept.add(t.source);
+    if (t.source !== i) changes.push({ type: 'track_moved', track: i + 1, from: t.source + 1 });
+    TRACK_FIELDS.forEach(field => {
+      if (!same(old[field], t[field])) changes.push({ type: 'track_field', track: i + 1, field, from: old[field], to: t[field] });
+    });
+    if (old.file !== t.file) changes.push({ type: 'track_audio', track: i + 1, from: old.originalFileName, to: t.originalFileName });
+  });
+  prev.tracks.forEach((t, i) => {
+    if (!kept.has(i)) changes.push({ type: 'track_removed', track: i + 1, title: t.title });
+  });
+  return changes;
+}
+
+// Store `fields` (the new top-level values: albumName, tracks, cover, ...) as the
+// next version and send the submission back to review. Compare-and-set on the
+// status, like workflow.transition, so a revision cannot race a reviewer.
+async function applyRevision(submissions, sub, fields, actor, note) {
+  if (!canRevise(sub)) {
+    throw new WorkflowError(409, 'Only releases that were rejected or sent back for changes can be revised');
+  }
+  const versions = versionsOf(sub);
+  const prev = versions[versions.length - 1];
+  const version = prev.version + 1;
+  const snap = snapshot({ ...sub, ...fields });
+  const entry = {
+    version,
+    createdAt: new Date().toISOString(),
+    by: { type: actor.type, id: actor.id || null, name: actor.name || null },
+    note: note || null,
+    snapshot: snap,
+    changes: diffVersions(prev.snapshot, snap)
+  };
+  if (!entry.changes.length) throw new WorkflowError(400, 'The revision does not change anything');
+
+  const history = { ...historyEntry(normalizeStatus(sub.status), 'submitted', actor, note), version };
+  // `source` only describes this revision, it is not part of the track
+  const tracks = fields.tracks.map(({ source, ...t }) => t);
+  const updated = await submissions.update({ id: sub.id, status: sub.status }, {
+    $set: { ...fields, tracks, version, versions: versions.concat([entry]), status: 'submitted', adminNote: null, updatedAt: entry.createdAt },
+    $push: { history }
+  });
+  if (!updated) throw new WorkflowError(409, 'Submission was changed by someone else, reload and try again');
+  return updated;
+}
+
+module.exports = { REVISABLE, RELEASE_FIELDS, TRACK_FIELDS, canRevise, same, snapshot, firstVersion, versionsOf, diffVersions, applyRevision };
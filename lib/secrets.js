@@ -0,0 +1,18 @@
+// lib/secrets.js
+// Keys the server signs with (session cookies, file links): taken from the
+// environment when set, otherwise generated on first start and kept in the
+// settings collection so they survive restarts.
+
+const crypto = require('crypto');
+
+// `fromEnv` when given, else the value stored under settings key `name` (created the first time)
+async function storedSecret(db, name, fromEnv) {
+  if (fromEnv) return fromEnv;
+  const stored = await db.settings.get({ key: name });
+  if (stored) return stored.value;
+  const value = crypto.randomBytes(32).toString('hex');
+  await db.settings.insert({ key: name, value });
+  return value;
+}
+
+module.exports = { storedSecret };
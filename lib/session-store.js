@@ -0,0 +1,60 @@
+// lib/session-store.js
+// express-session store on the sessions collection (lib/db.js), so sign-ins
+// survive a restart. One document per session:
+//   { sid, data: JSON of the session, adminId, artistId, expiresAt }
+// adminId / artistId are copied out of the session so an account's sessions can
+// be ended together (endAdminSessions(), e.g. after a password reset).
+// Expired sessions are ignored on read and swept every SWEEP_EVERY.
+
+const session = require('express-session');
+
+const SWEEP_EVERY = 15 * 60 * 1000;
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // for sessions whose cookie has no expiry
+
+class SessionStore extends session.Store {
+  constructor(collection) {
+    super();
+    this.sessions = collection;
+    const sweep = setInterval(() => {
+      collection.datastore.removeAsync({ expiresAt: { $lt: new Date() } }, { multi: true })
+        .catch(err => console.error('session sweep failed', err));
+    }, SWEEP_EVERY);
+    sweep.unref();
+  }
+
+  get(sid, cb) {
+    this.sessions.get({ sid })
+      .then(doc => cb(null, doc && doc.expiresAt > new Date() ? JSON.parse(doc.data) : null))
+      .catch(cb);
+  }
+
+  set(sid, sess, cb) {
+    const fields = {
+      data: JSON.stringify(sess),
+      adminId: sess.adminId || null,
+      artistId: sess.artistId || null,
+      expiresAt: expiry(sess)
+    };
+    this.sessions.upsert({ sid }, { $set: { sid, ...fields } }).then(() => cb(null), cb);
+  }
+
+  touch(sid, sess, cb) {
+    this.sessions.update({ sid }, { $set: { expiresAt: expiry(sess) } }).then(() => cb(null), cb);
+  }
+
+  destroy(sid, cb) {
+    this.sessions.remove({ sid }).then(() => cb(null), cb);
+  }
+
+  // Sign an admin out everywhere, except the session `keepSid` (the one making the change)
+  endAdminSessions(adminId, keepSid) {
+    return this.sessions.datastore.removeAsync({ adminId, sid: { $ne: keepSid || null } }, { multi: true });
+  }
+}
+
+function expiry(sess) {
+  const expires = sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL);
+}
+
+module.exports = { SessionStore };
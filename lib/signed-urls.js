@@ -0,0 +1,73 @@
+// lib/signed-urls.js
+// Short-lived signed links to uploaded files. Nothing under uploads/ is served
+// as is: admins and the owning artist ask the API for links to a submission's
+// cover and audio, and GET /files/<file>?exp=&who=&sig= checks the link before
+// sending the file (with Range support) and logging the access.
+//
+//   exp  unix time (seconds) the link stops working
+//   who  "admin:<id>" or "artist:<id>", the account the link was made for
+//   sig  hex HMAC-SHA256 of "<file>\n<exp>\n<who>"
+//
+// The key is FILE_URL_SECRET, or a random one generated on first start and kept
+// in the settings collection (fileUrlKey()). FILE_URL_TTL sets how long links
+// work, in seconds (default 15 minutes).
+
+const crypto = require('crypto');
+const { storedSecret } = require('./secrets');
+
+const DEFAULT_TTL = 15 * 60;
+
+class SignedUrlError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// FILE_URL_SECRET, or the key stored in settings (created the first time)
+function fileUrlKey(db, env = process.env) {
+  return storedSecret(db, 'fileUrlKey', env.FILE_URL_SECRET);
+}
+
+function fileUrlTtl(env = process.env) {
+  const ttl = parseInt(env.FILE_URL_TTL, 10);
+  return ttl > 0 ? ttl : DEFAULT_TTL;
+}
+
+function createUrlSigner(key, { ttl = DEFAULT_TTL } = {}) {
+  const mac = (file, exp, who) => crypto.createHmac('sha256', key).update(`${file}\n${exp}\n${who}`).digest('hex');
+
+  const expiry = now => Math.floor(now / 1000) + ttl;
+
+  // When links signed at `now` stop working, as an ISO date
+  function expiresAt(now = Date.now()) {
+    return new Date(expiry(now) * 1000).toISOString();
+  }
+
+  // file: a stored upload path (track.file, submission.cover); who: "admin:<id>" / "artist:<id>"
+  function sign(file, who, now = Date.now()) {
+    const exp = expiry(now);
+    const path = file.split('/').map(encodeURIComponent).join('/');
+    const query = new URLSearchParams({ exp: String(exp), who, sig: mac(file, exp, who) });
+    return `/files/${path}?${query}`;
+  }
+
+  // The `who` of a valid link to `file`; throws SignedUrlError otherwise
+  function verify(file, query, now = Date.now()) {
+    const { exp, who, sig } = query;
+    if (typeof exp !== 'string' || typeof who !== 'string' || typeof sig !== 'string' || !/^\d+$/.test(exp)) {
+      throw new SignedUrlError(403, 'This link is not valid');
+    }
+    const expected = Buffer.from(mac(file, exp, who), 'hex');
+    const given = Buffer.from(sig, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new SignedUrlError(403, 'This link is not valid');
+    }
+    if (Number(exp) * 1000 < now) throw new SignedUrlError(410, 'This link has expired; reload the page for a new one');
+    return who;
+  }
+
+  return { ttl, expiresAt, sign, verify };
+}
+
+module.exports = { DEFAULT_TTL, SignedUrlError, fileUrlKey, fileUrlTtl, createUrlSigner };
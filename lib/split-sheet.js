@@ -0,0 +1,106 @@
+// lib/split-sheet.js
+// Royalty split sheet of a release, for the collaborators to check and sign:
+// every track's splits (track.splits, see lib/release-metadata.js) as CSV, one
+// row per contributor, or as a printable HTML page with a signature line for
+// every contributor. Tracks without splits are listed as such, not left out.
+
+const codes = require('../public/release-codes');
+const { csvCell } = require('./csv');
+
+const CSV_HEADERS = ['Release', 'Primary artist', 'UPC', 'Track', 'Title', 'ISRC', 'Name', 'Role', 'Master %', 'Publishing %'];
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "33.3" -> "33.30"
+function percent(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+// File name without the extension, e.g. "Night_Drive-splits"
+function fileBase(sub) {
+  return `${(sub.albumName || sub.id).replace(/[^a-z0-9_\-\.]/gi, '_')}-splits`;
+}
+
+function splitSheetCsv(sub) {
+  const release = [sub.albumName, sub.primaryArtist, sub.upc];
+  const lines = [CSV_HEADERS.map(csvCell).join(',')];
+  sub.tracks.forEach((t, i) => {
+    const track = release.concat([i + 1, t.title, t.isrc]);
+    const rows = codes.splits(t.splits);
+    if (!rows.length) lines.push(track.concat(['', '', '', '']).map(csvCell).join(','));
+    rows.forEach(s => lines.push(track.concat([s.name, s.role, percent(s.master), percent(s.publishing)]).map(csvCell).join(',')));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function trackTable(t, i) {
+  const rows = codes.splits(t.splits);
+  const heading = `<h2>${i + 1}. ${escapeHtml(t.title || 'Untitled')}${t.isrc ? ` <small>ISRC ${escapeHtml(t.isrc)}</small>` : ''}</h2>`;
+  if (!rows.length) return `${heading}\n<p class="none">No split sheet for this track yet.</p>`;
+  const total = kind => percent(rows.reduce((sum, s) => sum + Math.round(s[kind] * 100), 0) / 100);
+  return `${heading}
+<table>
+<thead><tr><th>Name</th><th>Role</th><th class="num">Master</th><th class="num">Publishing</th></tr></thead>
+<tbody>
+${rows.map(s => `<tr><td>${escapeHtml(s.name)}</td><td>${escapeHtml(s.role)}</td><td class="num">${percent(s.master)}%</td><td class="num">${percent(s.publishing)}%</td></tr>`).join('\n')}
+</tbody>
+<tfoot><tr><td colspan="2">Total</td><td class="num">${total('master')}%</td><td class="num">${total('publishing')}%</td></tr></tfoot>
+</table>`;
+}
+
+// A standalone page (inline styles, no scripts) that prints on A4 / Letter
+function splitSheetHtml(sub, now = new Date()) {
+  const names = [];
+  sub.tracks.forEach(t => codes.splits(t.splits).forEach(s => { if (!names.includes(s.name)) names.push(s.name); }));
+  const details = [
+    ['Primary artist', sub.primaryArtist],
+    ['Label', sub.label],
+    ['UPC', sub.upc],
+    ['Release date', sub.releaseDate],
+    ['Prepared', now.toISOString().slice(0, 10)]
+  ].filter(([, value]) => value).map(([label, value]) => `<div><b>${label}:</b> ${escapeHtml(value)}</div>`).join('\n');
+  const signatures = names.length
+    ? names.map(name => `<div class="sign"><div class="line"></div><div>${escapeHtml(name)}</div><div class="line date"></div><div>Date</div></div>`).join('\n')
+    : '<p class="none">Nobody to sign yet: no track has a split sheet.</p>';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Split sheet – ${escapeHtml(sub.albumName || sub.id)}</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; color: #111; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin: 24px 0 6px; }
+  h2 small { font-weight: normal; color: #555; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; }
+  tfoot td { font-weight: bold; }
+  .num { text-align: right; width: 90px; }
+  .none { color: #555; font-style: italic; }
+  .note { margin-top: 24px; }
+  .sign { display: grid; grid-template-columns: 3fr 1fr; column-gap: 24px; margin-top: 36px; }
+  .sign .line { border-bottom: 1px solid #111; height: 28px; }
+  .sign .line.date { grid-column: 2; grid-row: 1; }
+  .sign div:nth-child(4) { grid-column: 2; grid-row: 2; }
+  @media print { body { margin: 0; } h2, table, .sign { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Royalty split sheet: ${escapeHtml(sub.albumName || sub.id)}</h1>
+${details}
+${sub.tracks.map(trackTable).join('\n')}
+<p class="note">By signing, each contributor agrees to the master and publishing shares listed above for every track they appear on.</p>
+${signatures}
+</body>
+</html>
+`;
+}
+
+module.exports = { CSV_HEADERS, fileBase, splitSheetCsv, splitSheetHtml };
@@ -0,0 +1,138 @@
+// lib/submission-search.js
+// Search, filters, sorting and cursor pagination for the admin submissions list
+// (GET /admin/api/submissions). Query parameters:
+//
+//   q            words to find in album titles, track titles and featured artists;
+//                every word has to match somewhere (case-insensitive)
+//   status       one or more statuses, comma-separated (see lib/workflow.js)
+//   platform     one or more platforms, comma-separated; any of them matches
+//   releaseFrom  release date range, YYYY-MM-DD, both ends included
+//   releaseTo
+//   explicit     "true": at least one explicit track, "false": none
+//   duplicates   "true": a track is a likely duplicate of an earlier submission
+//                (lib/duplicates.js), "false": none is
+//   sort         a key of SORTS, default "newest"
+//   limit        page size, default 25, at most 100
+//   cursor       nextCursor from the previous page
+//
+// Pages are keyset-paginated: the cursor holds the sort value and id of the last
+// item, so new submissions arriving between requests do not shift the pages.
+
+const workflow = require('./workflow');
+
+const SORTS = {
+  newest: { field: 'createdAt', dir: -1, label: 'Newest first' },
+  oldest: { field: 'createdAt', dir: 1, label: 'Oldest first' },
+  release_asc: { field: 'releaseDate', dir: 1, label: 'Release date (earliest)' },
+  release_desc: { field: 'releaseDate', dir: -1, label: 'Release date (latest)' },
+  title: { field: 'albumName', dir: 1, label: 'Title A–Z' },
+  title_desc: { field: 'albumName', dir: -1, label: 'Title Z–A' }
+};
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+class SearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function list(value) {
+  return [].concat(value || []).join(',').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function encodeCursor(sort, doc) {
+  const { field } = SORTS[sort];
+  return Buffer.from(JSON.stringify({ sort, value: doc[field] === undefined ? null : doc[field], id: doc.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new SearchError('Invalid cursor');
+  }
+  if (!parsed || parsed.sort !== sort || typeof parsed.id !== 'string') throw new SearchError('The cursor belongs to a different sort order; start again without it');
+  return parsed;
+}
+
+// Turn the query parameters into { query, sort, limit, sortKey } for NeDB
+function parseSearch(params) {
+  const and = [];
+
+  const words = String(params.q || '').trim().split(/\s+/).filter(Boolean);
+  words.forEach(word => {
+    const re = new RegExp(escapeRegExp(word), 'i');
+    and.push({ $or: [{ albumName: re }, { 'tracks.title': re }, { 'tracks.featured': re }] });
+  });
+
+  const statuses = list(params.status);
+  const unknown = statuses.filter(s => !workflow.STATUS_LABELS[s]);
+  if (unknown.length) throw new SearchError(`Unknown status: ${unknown.join(', ')}`);
+  if (statuses.length) {
+    // records from before the review workflow may still say "pending"
+    const legacy = statuses.includes('submitted') ? ['pending'] : [];
+    and.push({ status: { $in: statuses.concat(legacy) } });
+  }
+
+  const platforms = list(params.platform);
+  if (platforms.length) and.push({ platforms: { $in: platforms } });
+
+  ['releaseFrom', 'releaseTo'].forEach(key => {
+    if (params[key] && !DATE.test(params[key])) throw new SearchError(`${key} must be a date (YYYY-MM-DD)`);
+  });
+  if (params.releaseFrom) and.push({ releaseDate: { $gte: params.releaseFrom } });
+  if (params.releaseTo) and.push({ releaseDate: { $lte: params.releaseTo } });
+
+  if (params.explicit !== undefined && params.explicit !== '') {
+    if (!['true', 'false'].includes(params.explicit)) throw new SearchError('explicit must be true or false');
+    const explicitTrack = { 'tracks.explicit': { $in: [true, 'true'] } };
+    and.push(params.explicit === 'true' ? explicitTrack : { $not: explicitTrack });
+  }
+
+  if (params.duplicates !== undefined && params.duplicates !== '') {
+    if (!['true', 'false'].includes(params.duplicates)) throw new SearchError('duplicates must be true or false');
+    and.push(params.duplicates === 'true' ? { possibleDuplicate: true } : { possibleDuplicate: { $ne: true } });
+  }
+
+  const sortKey = params.sort || 'newest';
+  if (!SORTS[sortKey]) throw new SearchError(`Unknown sort: ${sortKey}`);
+  const { field, dir } = SORTS[sortKey];
+
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : parseInt(params.limit, 10);
+  if (!(limit >= 1)) throw new SearchError('limit must be a positive number');
+
+  // everything but the cursor, so the total covers all pages
+  const filter = and.length ? { $and: and } : {};
+  let query = filter;
+  if (params.cursor) {
+    const { value, id } = decodeCursor(params.cursor, sortKey);
+    const past = dir < 0 ? '$lt' : '$gt';
+    query = { $and: and.concat({ $or: [{ [field]: { [past]: value } }, { [field]: value, id: { [past]: id } }] }) };
+  }
+
+  return { filter, query, sort: { [field]: dir, id: dir }, limit: Math.min(limit, MAX_LIMIT), sortKey };
+}
+
+// One page of submissions: { submissions, nextCursor, total }
+async function searchSubmissions(submissions, params) {
+  const { filter, query, sort, limit, sortKey } = parseSearch(params);
+  // one extra row tells whether there is a next page
+  const rows = await submissions.list(query, sort, limit + 1);
+  const page = rows.slice(0, limit);
+  return {
+    submissions: page,
+    nextCursor: rows.length > limit ? encodeCursor(sortKey, page[page.length - 1]) : null,
+    total: await submissions.count(filter)
+  };
+}
+
+module.exports = { SORTS, SearchError, parseSearch, searchSubmissions, MAX_LIMIT };
@@ -0,0 +1,87 @@
+// lib/totp.js
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 30-second steps, 6 digits),
+// the codes of authenticator apps, for optional admin two-factor sign-in.
+//
+//   generateSecret()                        base32 secret to show / put in the otpauth URL
+//   otpauthUrl(secret, account, issuer)     what an authenticator app scans or opens
+//   verifyCode(secret, code, { lastStep })  the time step the code belongs to, or null
+//
+// Codes one step either side of now are accepted (clock drift). The caller keeps
+// the returned step and passes it as lastStep next time, so a code works only once.
+
+const crypto = require('crypto');
+
+const STEP = 30; // seconds
+const DIGITS = 6;
+const DRIFT = 1; // steps
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of String(text).toUpperCase().replace(/[\s=-]/g, '')) {
+    const v = ALPHABET.indexOf(ch);
+    if (v < 0) throw new Error('Invalid base32 secret');
+    value = (value << 5) | v;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// The code for time step `step` (RFC 4226 dynamic truncation)
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = mac[mac.length - 1] & 0x0f;
+  const n = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(n).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP);
+}
+
+function verifyCode(secret, code, { lastStep = -1, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const step = currentStep(now);
+  for (let s = step - DRIFT; s <= step + DRIFT; s++) {
+    if (s <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, s)), Buffer.from(given))) return s;
+  }
+  return null;
+}
+
+function otpauthUrl(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP) });
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = { generateSecret, codeAt, currentStep, verifyCode, otpauthUrl };
@@ -0,0 +1,61 @@
+// lib/track-comments.js
+// Reviewer comments pinned to a moment of a track, made on the dashboard waveform.
+// Kept on the track as
+//   track.comments = [{ id, at, text, by: { type, id, name }, createdAt }]
+// where `at` is the position in seconds. Comments belong to the audio they were
+// made on: a revision that replaces the file drops them (see the revisions route).
+
+const { v4: uuidv4 } = require('uuid');
+const { WorkflowError } = require('./workflow');
+
+const MAX_TEXT = 1000;
+
+function trackAt(sub, position) {
+  if (!sub) throw new WorkflowError(404, 'Not found');
+  if (!Number.isInteger(position) || !sub.tracks[position]) throw new WorkflowError(404, 'Track not found');
+  return sub.tracks[position];
+}
+
+// Length of the track in seconds, when known
+function durationOf(track) {
+  if (track.analysis && track.analysis.duration) return track.analysis.duration;
+  return track.audio && track.audio.duration ? track.audio.duration : null;
+}
+
+async function addComment(submissions, id, position, { at, text }, actor) {
+  const track = trackAt(await submissions.get({ id }), position);
+  const seconds = Number(at);
+  text = String(text || '').trim();
+  if (!text) throw new WorkflowError(400, 'The comment is empty');
+  if (text.length > MAX_TEXT) throw new WorkflowError(400, `Comments are limited to ${MAX_TEXT} characters`);
+  const duration = durationOf(track);
+  if (!Number.isFinite(seconds) || seconds < 0 || (duration !== null && seconds > duration)) {
+    throw new WorkflowError(400, 'The comment time is outside the track');
+  }
+  const comment = {
+    id: uuidv4(),
+    at: Math.round(seconds * 100) / 100,
+    text,
+    by: { type: actor.type, id: actor.id || null, name: actor.name || null },
+    createdAt: new Date().toISOString()
+  };
+  // only if the track still has the audio the comment was made on
+  const updated = await submissions.update({ id, [`tracks.${position}.file`]: track.file }, {
+    $push: { [`tracks.${position}.comments`]: comment }
+  });
+  if (!updated) throw new WorkflowError(409, 'Submission was changed by someone else, reload and try again');
+  return comment;
+}
+
+// Admins remove their own comments only
+async function removeComment(submissions, id, position, commentId, actor) {
+  const track = trackAt(await submissions.get({ id }), position);
+  const comment = (track.comments || []).find(c => c.id === commentId);
+  if (!comment) throw new WorkflowError(404, 'Comment not found');
+  if (comment.by.type !== actor.type || comment.by.id !== actor.id) {
+    throw new WorkflowError(403, 'Only the author can remove a comment');
+  }
+  await submissions.update({ id }, { $pull: { [`tracks.${position}.comments`]: { id: commentId } } });
+}
+
+module.exports = { MAX_TEXT, addComment, removeComment };
@@ -0,0 +1,129 @@
+// lib/upload-policy.js
+// What may be uploaded and how it is stored. Uploads (multer for /submit,
+// lib/chunked-upload.js for resumable ones) land under a temporary name;
+// placeFiles() then checks every file's first bytes and moves it to a safe,
+// unique name. The name the artist chose is only kept as metadata
+// (track.originalFileName).
+//
+//   cover       PNG or JPEG
+//   trackFiles  WAV, AIFF / AIFC, FLAC or MP3
+//
+// Size caps (uploadLimits()): UPLOAD_MAX_TRACK_MB per audio file (default 1024),
+// the cover rule of lib/image-meta.js, and UPLOAD_MAX_SUBMISSION_MB for all files
+// of one submission or revision together (default 4096).
+
+const fs = require('fs');
+const path = require('path');
+const { COVER_SPEC } = require('./image-meta');
+
+const MB = 1024 * 1024;
+
+const ALLOWED = {
+  cover: ['png', 'jpeg'],
+  trackFiles: ['wav', 'aiff', 'flac', 'mp3']
+};
+const EXTENSIONS = { wav: '.wav', aiff: '.aiff', flac: '.flac', mp3: '.mp3', png: '.png', jpeg: '.jpg' };
+const LABELS = { wav: 'WAV', aiff: 'AIFF', flac: 'FLAC', mp3: 'MP3', png: 'PNG', jpeg: 'JPEG' };
+const EXPECTED = { cover: 'a PNG or JPEG image', trackFiles: 'WAV, AIFF, FLAC or MP3 audio' };
+const MAX_BASE_NAME = 80;
+
+function uploadLimits(env = process.env) {
+  const mb = (value, fallback) => (parseInt(value, 10) > 0 ? parseInt(value, 10) : fallback) * MB;
+  return {
+    trackFiles: mb(env.UPLOAD_MAX_TRACK_MB, 1024),
+    cover: COVER_SPEC.maxBytes,
+    submission: mb(env.UPLOAD_MAX_SUBMISSION_MB, 4096)
+  };
+}
+
+// "10.4 MB"
+function formatMb(bytes) {
+  return `${Math.round(bytes / MB * 10) / 10} MB`;
+}
+
+// Problems with declared or received sizes: [{ name, size, field }] -> [message]
+function sizeProblems(files, limits) {
+  const problems = [];
+  files.forEach(f => {
+    const max = limits[f.field];
+    if (max && f.size > max) problems.push(`${f.name} is ${formatMb(f.size)}; the limit is ${formatMb(max)}`);
+  });
+  const total = files.reduce((sum, f) => sum + f.size, 0);
+  if (total > limits.submission) problems.push(`The files add up to ${formatMb(total)}; one release can be at most ${formatMb(limits.submission)}`);
+  return problems;
+}
+
+// The file type from the first bytes: a key of EXTENSIONS, or null
+function sniffFile(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const read = (pos, len) => {
+      const buf = Buffer.alloc(len);
+      return buf.subarray(0, fs.readSync(fd, buf, 0, len, pos));
+    };
+    const head = read(0, 12);
+    if (head.length < 4) return null;
+    const tag = head.toString('latin1', 0, 4);
+    const form = head.toString('latin1', 8, 12);
+    if (tag === 'RIFF' && form === 'WAVE') return 'wav';
+    if (tag === 'FORM' && (form === 'AIFF' || form === 'AIFC')) return 'aiff';
+    if (head[0] === 0x89 && head.toString('latin1', 1, 4) === 'PNG') return 'png';
+    if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+
+    // FLAC and MP3 may start with an ID3v2 tag
+    let start = 0;
+    if (head.toString('latin1', 0, 3) === 'ID3' && head.length >= 10) {
+      start = 10 + ((head[6] & 0x7f) << 21 | (head[7] & 0x7f) << 14 | (head[8] & 0x7f) << 7 | (head[9] & 0x7f));
+    }
+    const b = read(start, 4);
+    if (b.length < 4) return null;
+    if (b.toString('latin1') === 'fLaC') return 'flac';
+    // MPEG audio frame: sync, a layer, a valid bitrate and sample rate
+    if (b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0 && (b[2] >> 4) !== 0x0f && ((b[2] >> 2) & 0x03) !== 0x03) return 'mp3';
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// A safe file name for `original` (letters, digits, "_" and "-", then the
+// extension of `type`) that is not in `taken` (lower-case names); adds it to `taken`
+function storedName(original, type, taken) {
+  const base = path.basename(String(original || '')).replace(/\.[^.]*$/, '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '_')
+    .replace(/^[_-]+|[_-]+$/g, '')
+    .slice(0, MAX_BASE_NAME) || 'file';
+  const ext = EXTENSIONS[type];
+  let name = base + ext;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base}-${n}${ext}`;
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+// Check and rename the uploaded files (multer's shape: { cover: [file], trackFiles:
+// [file] }, each { path, originalname }) inside destDir. Returns { files, rejected }:
+// the accepted files with their new path and `type`, and
+// [{ field, file: originalname, errors: [message] }] for the others (left in place).
+function placeFiles(files, destDir) {
+  const taken = new Set(fs.existsSync(destDir) ? fs.readdirSync(destDir).map(n => n.toLowerCase()) : []);
+  const accepted = {};
+  const rejected = [];
+  Object.keys(ALLOWED).forEach(field => {
+    accepted[field] = [];
+    (files[field] || []).forEach(f => {
+      const type = sniffFile(f.path);
+      if (!ALLOWED[field].includes(type)) {
+        const found = type ? `this is ${LABELS[type]}` : 'the file type is not recognised';
+        rejected.push({ field, file: f.originalname, errors: [`${found}; expected ${EXPECTED[field]}`] });
+        return;
+      }
+      const target = path.join(destDir, storedName(f.originalname, type, taken));
+      fs.renameSync(f.path, target);
+      accepted[field].push({ ...f, path: target, type });
+    });
+  });
+  return { files: accepted, rejected };
+}
+
+module.exports = { ALLOWED, uploadLimits, formatMb, sizeProblems, sniffFile, storedName, placeFiles };
@@ -0,0 +1,239 @@
+// lib/webhooks.js
+// Outbound webhooks. Admins register endpoints (db.webhooks) for some of the
+// EVENTS below; every event is queued as one delivery per endpoint in
+// db.deliveries and POSTed as JSON by a worker, with exponential-backoff retries:
+//
+//   webhook:  { id, url, description, events: [...], secret, active, createdAt, createdBy }
+//   delivery: { id, webhookId, url, event, eventId, payload, status: 'queued' | 'delivered' | 'failed',
+//               attempts, nextAttemptAt, lastStatus, lastError, createdAt, deliveredAt, replayOf }
+//
+// Payload: { id: <event id>, type: 'submission.approved', createdAt, data: { submission } }
+// where submission is the record exactly as server.js stores it. A replayed
+// delivery keeps the event id, so receivers can ignore duplicates.
+//
+// Every request is signed with the endpoint's secret:
+//   X-Tidalwav-Event:      submission.approved
+//   X-Tidalwav-Delivery:   <delivery id>
+//   X-Tidalwav-Signature:  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Receivers recompute the HMAC over the raw body and reject old timestamps.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENTS = ['submission.created', 'submission.approved', 'submission.rejected', 'submission.deleted'];
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE = 30 * 1000; // 30s, 1m, 2m, ... up to RETRY_MAX
+const RETRY_MAX = 60 * 60 * 1000;
+const TIMEOUT = 10 * 1000;
+const TICK_EVERY = 10 * 1000;
+const BATCH = 20;
+const DELIVERIES_SHOWN = 100;
+
+class WebhookError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function newSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+function sign(secret, body, timestamp) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// Validate { url, description, events } from the admin API
+function cleanWebhook(input, partial) {
+  const out = {};
+  if (!partial || input.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(input.url || ''));
+    } catch (e) {
+      throw new WebhookError(400, 'Please enter a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new WebhookError(400, 'Webhook URLs must use http or https');
+    out.url = url.toString();
+  }
+  if (!partial || input.description !== undefined) out.description = String(input.description || '').trim();
+  if (!partial || input.events !== undefined) {
+    const events = [].concat(input.events || []);
+    const unknown = events.filter(e => !EVENTS.includes(e));
+    if (unknown.length) throw new WebhookError(400, `Unknown event: ${unknown.join(', ')}`);
+    if (!events.length) throw new WebhookError(400, 'Choose at least one event');
+    out.events = EVENTS.filter(e => events.includes(e));
+  }
+  if (input.active !== undefined) out.active = input.active === true;
+  return out;
+}
+
+// POST a JSON body; resolves to the HTTP status, rejects on network errors / timeout
+function post(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'User-Agent': 'tidalwav-webhooks', ...headers },
+      timeout: TIMEOUT
+    }, res => {
+      res.resume(); // the response body is not used
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response after ${TIMEOUT / 1000}s`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function createWebhooks(db) {
+  let timer = null;
+  let running = false;
+
+  async function create(input, actor) {
+    const hook = {
+      id: uuidv4(),
+      ...cleanWebhook(input, false),
+      secret: newSecret(),
+      active: true,
+      createdAt: new Date().toISOString(),
+      createdBy: actor
+    };
+    return db.webhooks.insert(hook);
+  }
+
+  async function update(id, input) {
+    const set = cleanWebhook(input, true);
+    if (input.rotateSecret === true) set.secret = newSecret();
+    const updated = await db.webhooks.update({ id }, { $set: set });
+    if (!updated) throw new WebhookError(404, 'Webhook not found');
+    return updated;
+  }
+
+  async function remove(id) {
+    const n = await db.webhooks.remove({ id });
+    if (!n) throw new WebhookError(404, 'Webhook not found');
+  }
+
+  function queue(hook, event, eventId, payload, replayOf) {
+    const now = new Date().toISOString();
+    return db.deliveries.insert({
+      id: uuidv4(),
+      webhookId: hook.id,
+      url: hook.url,
+      event,
+      eventId,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastStatus: null,
+      lastError: null,
+      createdAt: now,
+      deliveredAt: null,
+      replayOf: replayOf || null
+    });
+  }
+
+  // Queue `event` for every active endpoint that wants it. Never throws: a
+  // webhook problem must not fail the request that triggered it.
+  async function emit(event, submission) {
+    try {
+      const hooks = await db.webhooks.list({ active: true, events: event });
+      if (!hooks.length) return;
+      const eventId = uuidv4();
+      const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data: { submission } };
+      for (const hook of hooks) await queue(hook, event, eventId, payload);
+      if (timer) setImmediate(tick);
+    } catch (err) {
+      console.error('webhook emit error', err);
+    }
+  }
+
+  // Send a delivery's payload again as a new delivery (same event id)
+  async function replay(deliveryId) {
+    const original = await db.deliveries.get({ id: deliveryId });
+    if (!original) throw new WebhookError(404, 'Delivery not found');
+    const hook = await db.webhooks.get({ id: original.webhookId });
+    if (!hook) throw new WebhookError(409, 'The webhook for this delivery was deleted');
+    const copy = await queue(hook, original.event, original.eventId, original.payload, original.id);
+    if (timer) setImmediate(tick);
+    return copy;
+  }
+
+  async function deliver(d) {
+    const hook = await db.webhooks.get({ id: d.webhookId });
+    if (!hook) {
+      await db.deliveries.update({ id: d.id }, { $set: { status: 'failed', lastError: 'Webhook was deleted' } });
+      return;
+    }
+    const body = JSON.stringify(d.payload);
+    const attempts = d.attempts + 1;
+    let status = null;
+    let error = null;
+    try {
+      status = await post(hook.url, body, {
+        'X-Tidalwav-Event': d.event,
+        'X-Tidalwav-Delivery': d.id,
+        'X-Tidalwav-Signature': sign(hook.secret, body, Math.floor(Date.now() / 1000))
+      });
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+    if (!error) {
+      await db.deliveries.update({ id: d.id }, {
+        $set: { status: 'delivered', attempts, lastStatus: status, lastError: null, deliveredAt: new Date().toISOString() }
+      });
+      return;
+    }
+    const wait = Math.min(RETRY_MAX, RETRY_BASE * 2 ** (attempts - 1));
+    await db.deliveries.update({ id: d.id }, {
+      $set: {
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+        attempts,
+        lastStatus: status,
+        lastError: error,
+        nextAttemptAt: new Date(Date.now() + wait).toISOString()
+      }
+    });
+  }
+
+  function listDeliveries(query = {}) {
+    return db.deliveries.list(query, { createdAt: -1 }, DELIVERIES_SHOWN);
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const due = await db.deliveries.list({ status: 'queued', nextAttemptAt: { $lte: new Date().toISOString() } }, { nextAttemptAt: 1 }, BATCH);
+      for (const d of due) await deliver(d);
+    } catch (err) {
+      console.error('webhook worker error', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, TICK_EVERY);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { list: () => db.webhooks.list(), create, update, remove, emit, replay, listDeliveries, tick, start, stop };
+}
+
+module.exports = { createWebhooks, WebhookError, EVENTS, sign, MAX_ATTEMPTS };
@@ -0,0 +1,163 @@
+// lib/workflow.js
+// Release review lifecycle. A submission moves through
+//
+//   submitted -> in_review -> changes_requested / approved / rejected
+//   approved -> delivered -> live
+//
+// and can be withdrawn until it is live (a live release is taken down by
+// withdrawing it). A rejected or changes_requested release goes back to
+// submitted when the artist revises it (lib/revisions.js).
+// Every transition is appended to submission.history as
+//   { from, to, at, by: { type: 'admin' | 'artist' | 'system', id, name }, note }
+//
+// Transitions are applied with a compare-and-set on the current status, so two
+// reviewers acting at the same time cannot both move the same submission.
+//
+// While a submission is in review, each track gets its own decision in
+// track.review = { status: 'pending' | 'accepted' | 'flagged', note, at, by }.
+// The album cannot be approved until every track is accepted.
+
+const STATUS_LABELS = {
+  submitted: 'Submitted',
+  in_review: 'In review',
+  changes_requested: 'Changes requested',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  delivered: 'Delivered',
+  live: 'Live',
+  withdrawn: 'Withdrawn'
+};
+
+const TRANSITIONS = {
+  submitted: ['in_review', 'withdrawn'],
+  in_review: ['changes_requested', 'approved', 'rejected', 'withdrawn'],
+  changes_requested: ['in_review', 'withdrawn'],
+  approved: ['in_review', 'delivered', 'withdrawn'],
+  rejected: [],
+  delivered: ['live', 'withdrawn'],
+  live: ['withdrawn'],
+  withdrawn: []
+};
+
+// Moves that need a reason the artist can act on
+const NOTE_REQUIRED = ['changes_requested', 'rejected'];
+
+const TRACK_REVIEW_STATUSES = ['pending', 'accepted', 'flagged'];
+
+// Records created before the lifecycle existed used "pending"
+const LEGACY_STATUSES = { pending: 'submitted' };
+
+class WorkflowError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function normalizeStatus(status) {
+  return LEGACY_STATUSES[status] || status;
+}
+
+function nextStatuses(status) {
+  return TRANSITIONS[normalizeStatus(status)] || [];
+}
+
+function trackReviewStatus(track) {
+  return (track.review && track.review.status) || 'pending';
+}
+
+// { pending, accepted, flagged } counts for a submission's tracks
+function trackSummary(sub) {
+  const summary = { pending: 0, accepted: 0, flagged: 0 };
+  (sub.tracks || []).forEach(t => { summary[trackReviewStatus(t)]++; });
+  return summary;
+}
+
+// Reason the album-level move is blocked by its tracks, or null
+function trackBlocker(sub, to) {
+  if (to !== 'approved') return null;
+  const tracks = sub.tracks || [];
+  if (!tracks.length) return 'A release needs at least one track before approval';
+  const missing = tracks.map((t, i) => (t.file ? null : i + 1)).filter(Boolean);
+  if (missing.length) return `Every track needs an audio file before approval (missing for track ${missing.join(', ')})`;
+  const summary = trackSummary(sub);
+  if (summary.pending || summary.flagged) {
+    return `All tracks must be accepted before approval (${summary.flagged} flagged, ${summary.pending} not reviewed)`;
+  }
+  return null;
+}
+
+function historyEntry(from, to, actor, note) {
+  return {
+    from: from || null,
+    to,
+    at: new Date().toISOString(),
+    by: { type: actor.type, id: actor.id || null, name: actor.name || null },
+    note: note || null
+  };
+}
+
+// Apply a transition. `extra` is merged into the $set (e.g. adminNote).
+// Resolves to the updated submission.
+async function transition(submissions, id, to, actor, note, extra = {}) {
+  if (!STATUS_LABELS[to]) throw new WorkflowError(400, `Unknown status: ${to}`);
+  const sub = await submissions.get({ id });
+  if (!sub) throw new WorkflowError(404, 'Not found');
+
+  const from = normalizeStatus(sub.status);
+  if (!nextStatuses(from).includes(to)) {
+    throw new WorkflowError(409, `Cannot move from ${STATUS_LABELS[from] || from} to ${STATUS_LABELS[to]}`);
+  }
+  if (NOTE_REQUIRED.includes(to) && !note) {
+    throw new WorkflowError(400, `A note is required when moving to ${STATUS_LABELS[to]}`);
+  }
+  const blocker = trackBlocker(sub, to);
+  if (blocker) throw new WorkflowError(409, blocker);
+
+  const entry = historyEntry(from, to, actor, note);
+  const updated = await submissions.update({ id, status: sub.status }, {
+    $set: { ...extra, status: to, updatedAt: entry.at },
+    $push: { history: entry }
+  });
+  if (!updated) throw new WorkflowError(409, 'Submission was changed by someone else, reload and try again');
+  return updated;
+}
+
+// Record a reviewer's decision on one track (by position in submission.tracks).
+// Only allowed while the submission is in review; flagging needs a note.
+async function setTrackReview(submissions, id, position, status, actor, note) {
+  if (!TRACK_REVIEW_STATUSES.includes(status)) throw new WorkflowError(400, `Unknown track review status: ${status}`);
+  if (status === 'flagged' && !note) throw new WorkflowError(400, 'A note is required when flagging a track');
+  const sub = await submissions.get({ id });
+  if (!sub) throw new WorkflowError(404, 'Not found');
+  if (!Number.isInteger(position) || !sub.tracks[position]) throw new WorkflowError(404, 'Track not found');
+  if (normalizeStatus(sub.status) !== 'in_review') {
+    throw new WorkflowError(409, 'Tracks can only be reviewed while the submission is in review');
+  }
+
+  const review = {
+    status,
+    note: note || null,
+    at: new Date().toISOString(),
+    by: { type: actor.type, id: actor.id || null, name: actor.name || null }
+  };
+  const updated = await submissions.update({ id, status: sub.status }, {
+    $set: { [`tracks.${position}.review`]: review, updatedAt: review.at }
+  });
+  if (!updated) throw new WorkflowError(409, 'Submission was changed by someone else, reload and try again');
+  return updated;
+}
+
+module.exports = {
+  STATUS_LABELS,
+  TRANSITIONS,
+  WorkflowError,
+  normalizeStatus,
+  nextStatuses,
+  historyEntry,
+  transition,
+  TRACK_REVIEW_STATUSES,
+  trackReviewStatus,
+  trackSummary,
+  setTrackReview
+};
@@ -0,0 +1,82 @@
+// admin-codes.js
+// Every ISRC and UPC issued from the label's pools (data from /admin/api/codes):
+// when and by whom it was issued, the track or release it was issued for and
+// the one that holds it now. Searchable by code or album title.
+
+(function () {
+  const listEl = document.getElementById('codes-list');
+  const msgEl = document.getElementById('codes-message');
+  const poolsEl = document.getElementById('pools');
+  const form = document.getElementById('codes-filter');
+
+  function formatDate(d) { return d ? new Date(d).toLocaleString() : '—'; }
+
+  function text(tag, className, value) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    node.textContent = value;
+    return node;
+  }
+
+  function describePools(pools) {
+    const parts = [];
+    parts.push(pools.isrc ? 'ISRC pool: ' + pools.isrc.prefix + ' from designation ' + pools.isrc.first : 'No ISRC pool (set ISRC_PREFIX)');
+    parts.push(pools.upc ? 'UPC block: ' + pools.upc.first + '–' + pools.upc.last : 'No UPC block (set UPC_FIRST / UPC_LAST)');
+    return parts.concat(pools.errors).join(' • ');
+  }
+
+  function issuedFor(c) {
+    return (c.albumName || 'Untitled') + (c.track ? ' — track ' + c.track + (c.trackTitle ? ' “' + c.trackTitle + '”' : '') : '');
+  }
+
+  function renderCodes(codes) {
+    listEl.innerHTML = '';
+    if (!codes.length) {
+      const tr = document.createElement('tr');
+      const td = text('td', 'muted', 'No codes issued yet');
+      td.colSpan = 5;
+      tr.appendChild(td);
+      listEl.appendChild(tr);
+      return;
+    }
+    codes.forEach((c) => {
+      const tr = document.createElement('tr');
+      const codeCell = document.createElement('td');
+      codeCell.appendChild(text('code', '', c.code));
+      tr.appendChild(codeCell);
+      tr.appendChild(text('td', '', c.type.toUpperCase()));
+      const issued = text('td', '', formatDate(c.issuedAt));
+      issued.appendChild(text('div', 'muted small', 'by ' + (c.issuedBy.name || c.issuedBy.type)));
+      tr.appendChild(issued);
+      tr.appendChild(text('td', '', issuedFor(c)));
+      const h = c.holder;
+      tr.appendChild(h
+        ? text('td', '', (h.albumName || 'Untitled') + (h.track ? ' — track ' + h.track + ' “' + (h.title || 'Untitled') + '”' : ''))
+        : text('td', 'released', 'Not on the release any more'));
+      listEl.appendChild(tr);
+    });
+  }
+
+  async function load() {
+    msgEl.textContent = '';
+    const params = new URLSearchParams();
+    Array.from(new FormData(form)).forEach(([k, v]) => { if (v) params.set(k, v); });
+    try {
+      const resp = await fetch('/admin/api/codes?' + params, { credentials: 'same-origin' });
+      const body = await resp.json();
+      if (!resp.ok) throw new Error(body.error || 'Request failed');
+      poolsEl.textContent = describePools(body.pools);
+      renderCodes(body.codes);
+    } catch (err) {
+      msgEl.classList.add('error');
+      msgEl.textContent = err.message || 'Network error';
+    }
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    load();
+  });
+  form.type.addEventListener('change', load);
+  load();
+})();
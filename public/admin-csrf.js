@@ -0,0 +1,24 @@
+// admin-csrf.js
+// Loaded by every signed-in admin page before its own script. Requests that change
+// something (POST / PUT / PATCH / DELETE) must carry the session's CSRF token,
+// which sign-in sets as the "csrf" cookie (lib/csrf.js):
+//   fetch(url, { method: 'POST', headers: csrfHeaders({ 'Content-Type': 'application/json' }), ... })
+// Also wires the "Sign out" buttons ([data-sign-out]), since signing out is a POST too.
+
+(function () {
+  function token() {
+    const m = document.cookie.match(/(?:^|;\s*)csrf=([^;]*)/);
+    return m ? decodeURIComponent(m[1]) : '';
+  }
+
+  window.csrfHeaders = function (headers) {
+    return Object.assign({}, headers, { 'X-CSRF-Token': token() });
+  };
+
+  document.addEventListener('click', async (e) => {
+    if (!e.target.closest('[data-sign-out]')) return;
+    e.preventDefault();
+    await fetch('/admin/logout', { method: 'POST', headers: window.csrfHeaders(), credentials: 'same-origin' }).catch(() => {});
+    window.location.href = '/admin/login';
+  });
+})();
@@ -1,11 +1,161 @@
 // externalized admin dashboard script (moved from admin-dashboard.html)
-async function fetchSubs() {
-  const res = await fetch('/admin/api/submissions');
-  return res.json();
-}
 
 function el(q) { return document.querySelector(q); }
 function formatDate(d) { return new Date(d).toLocaleString(); }
+function formatDuration(sec) {
+  const s = Math.round(sec);
+  return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+}
+// e.g. "FLAC • 44.1 kHz / 24-bit • Stereo • 3:42"
+function formatAudioSpecs(a) {
+  const parts = [a.codec === 'pcm' ? a.container.toUpperCase() + ' (PCM)' : a.codec.toUpperCase()];
+  let rate = (a.sampleRate / 1000) + ' kHz';
+  if (a.bitDepth) rate += ' / ' + a.bitDepth + '-bit';
+  else if (a.bitrate) rate += ' / ' + Math.round(a.bitrate / 1000) + ' kbps';
+  parts.push(rate);
+  parts.push(a.channels === 1 ? 'Mono' : a.channels === 2 ? 'Stereo' : a.channels + ' ch');
+  if (a.duration) parts.push(formatDuration(a.duration));
+  return parts.join(' • ');
+}
+// Measurements of lib/audio-analysis.js (track.analysis, filled in by the background queue)
+function formatAnalysis(a) {
+  if (!a) return 'Not analyzed';
+  if (a.status === 'pending') return 'Analysis pending…';
+  if (a.status === 'skipped') return 'Not analyzed: ' + a.reason;
+  if (a.status === 'failed') return 'Analysis failed: ' + a.error;
+  if (a.integratedLufs === null) return 'Silent';
+  return [
+    a.integratedLufs + ' LUFS',
+    'true peak ' + a.truePeakDbtp + ' dBTP',
+    a.clipEvents ? a.clipEvents + ' clipped passage(s)' : 'no clipping',
+    'silence ' + a.leadingSilence + ' s / ' + a.trailingSilence + ' s',
+    'DC ' + (a.dcOffset * 100).toFixed(2) + '%'
+  ].concat(a.monoInStereo ? ['mono in stereo'] : []).join(' • ');
+}
+
+// One match of lib/duplicates.js, e.g. 'track 2 "Intro" of "Night Drive" (92% similar audio, from 0:10)'
+function formatDuplicate(m) {
+  const how = m.match === 'identical' ? 'identical file' : Math.round(m.similarity * 100) + '% similar audio' + (m.offset > 0 ? ', from ' + formatDuration(m.offset) : '');
+  return 'track ' + (m.position + 1) + ' "' + (m.title || 'Untitled') + '" of "' + (m.albumName || m.submissionId) + '" (' + how + ')';
+}
+
+// Mirrors STATUS_LABELS in lib/workflow.js
+const STATUS_LABELS = {
+  submitted: 'Submitted',
+  in_review: 'In review',
+  changes_requested: 'Changes requested',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  delivered: 'Delivered',
+  live: 'Live',
+  withdrawn: 'Withdrawn'
+};
+// Button text for moving a submission into each status
+const TRANSITION_ACTIONS = {
+  in_review: 'Start review',
+  changes_requested: 'Request changes',
+  approved: 'Approve',
+  rejected: 'Reject',
+  delivered: 'Mark delivered',
+  live: 'Mark live',
+  withdrawn: 'Withdraw'
+};
+function statusLabel(st) { return STATUS_LABELS[st] || st; }
+const TRACK_REVIEW_LABELS = { pending: 'Not reviewed', accepted: 'Accepted', flagged: 'Flagged' };
+// Mirrors ROLE_LABELS in lib/admin-roles.js
+const ROLE_LABELS = { reviewer: 'Reviewer', manager: 'Manager', owner: 'Owner' };
+
+// One line per entry of version.changes (see diffVersions in lib/revisions.js)
+const CHANGE_FIELD_LABELS = {
+  albumName: 'Album name', releaseDate: 'Release date', platforms: 'Platforms',
+  primaryArtist: 'Primary artist', label: 'Label', upc: 'UPC', genre: 'Genre', subgenre: 'Subgenre',
+  language: 'Language', pLine: '(P) line', cLine: '(C) line',
+  title: 'title', featured: 'featured artists', explicit: 'explicit',
+  isrc: 'ISRC', composers: 'composers', producers: 'producers', lyricists: 'lyricists', splits: 'royalty splits'
+};
+// "Ann Lee (Composer) 50 / 50" per split row: master / publishing percent
+function splitText(s) {
+  return s.name + ' (' + s.role + ') ' + s.master + ' / ' + s.publishing;
+}
+function formatValue(v) {
+  if (Array.isArray(v)) return v.map(x => (x && typeof x === 'object' ? splitText(x) : x)).join(', ') || '—';
+  if (v === true) return 'yes';
+  if (v === false) return 'no';
+  return v ? String(v) : '—';
+}
+function describeChange(c) {
+  const fromTo = '“' + formatValue(c.from) + '” → “' + formatValue(c.to) + '”';
+  switch (c.type) {
+    case 'field': return CHANGE_FIELD_LABELS[c.field] + ': ' + fromTo;
+    case 'cover': return 'Cover replaced: ' + fromTo;
+    case 'track_field': return 'Track ' + c.track + ' ' + CHANGE_FIELD_LABELS[c.field] + ': ' + fromTo;
+    case 'track_audio': return 'Track ' + c.track + ' audio replaced: ' + fromTo;
+    case 'track_moved': return 'Track ' + c.track + ' was track ' + c.from;
+    case 'track_added': return 'Track ' + c.track + ' added: “' + formatValue(c.title) + '”';
+    case 'track_removed': return 'Track ' + c.track + ' removed: “' + formatValue(c.title) + '”';
+    default: return c.type;
+  }
+}
+
+// Peaks (light) and loudness (solid) of track.waveform; the played part in the accent
+// colour, clipped peaks in red, comments as cyan markers, the playhead in white
+function drawWaveform(canvas, wave, position, comments) {
+  const ratio = window.devicePixelRatio || 1;
+  const w = Math.round(canvas.clientWidth * ratio);
+  const h = Math.round(canvas.clientHeight * ratio);
+  if (canvas.width !== w) canvas.width = w;
+  if (canvas.height !== h) canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, w, h);
+  if (!wave || !wave.peaks.length || !w) return;
+  const mid = h / 2;
+  const played = wave.duration ? Math.min(1, position / wave.duration) * w : 0;
+  for (let x = 0; x < w; x++) {
+    const i = Math.min(wave.peaks.length - 1, Math.floor(x / w * wave.peaks.length));
+    const peak = Math.max(1, wave.peaks[i] * mid);
+    const rms = Math.max(1, wave.rms[i] * mid);
+    ctx.fillStyle = wave.peaks[i] >= 0.999 ? 'rgba(255,107,107,0.8)' : x < played ? 'rgba(124,92,255,0.45)' : 'rgba(154,164,178,0.3)';
+    ctx.fillRect(x, mid - peak, 1, peak * 2);
+    ctx.fillStyle = x < played ? '#7c5cff' : '#9aa4b2';
+    ctx.fillRect(x, mid - rms, 1, rms * 2);
+  }
+  ctx.fillStyle = '#00d4ff';
+  comments.forEach(c => ctx.fillRect(Math.round(c.at / wave.duration * w) - ratio, 0, 2 * ratio, h));
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(Math.round(played), 0, ratio, h);
+}
+
+// Release metadata (lib/release-metadata.js) as label / value lines for the detail view
+function releaseMetadataLines(s) {
+  const language = s.language ? (ReleaseCodes.LANGUAGES[s.language] || s.language) : null;
+  return [
+    ['Primary artist', s.primaryArtist],
+    ['Label', s.label],
+    ['UPC', s.upc || 'not assigned yet'],
+    ['Genre', s.genre ? s.genre + (s.subgenre ? ' / ' + s.subgenre : '') : null],
+    ['Language', language],
+    ['(P)', s.pLine],
+    ['(C)', s.cLine]
+  ].map(([label, value]) => label + ': ' + (value || '—'));
+}
+function trackCreditsLine(t) {
+  const credits = [['ISRC', t.isrc ? [t.isrc] : []], ['Composers', t.composers], ['Lyricists', t.lyricists], ['Producers', t.producers]]
+    .filter(([, names]) => names && names.length)
+    .map(([label, names]) => label + ': ' + names.join(', '));
+  return credits.join(' • ') || 'No ISRC or credits';
+}
+function trackSplitsLine(t) {
+  const splits = t.splits || [];
+  if (!splits.length) return 'No royalty splits';
+  const shares = kind => splits.filter(s => s[kind]).map(s => s.name + ' ' + s[kind] + '%').join(', ');
+  return 'Splits — master: ' + shares('master') + ' • publishing: ' + shares('publishing');
+}
+// "2 of 3 tracks have royalty splits"
+function splitSummary(s) {
+  const done = s.tracks.filter(t => t.splits && t.splits.length).length;
+  if (!done) return 'No royalty splits yet';
+  return done === s.tracks.length ? 'Royalty splits on every track' : done + ' of ' + s.tracks.length + ' tracks have royalty splits';
+}
 
 async function init() {
   const listEl = el('#submissions-list');
@@ -13,42 +163,254 @@ async function init() {
   const detailEmpty = el('#detail-empty');
   const detailTitle = el('#detail-title');
   const detailMeta = el('#detail-meta');
+  const detailRelease = el('#detail-release');
   const detailFiles = el('#detail-files');
-  const approveBtn = el('#approve-btn');
-  const rejectBtn = el('#reject-btn');
+  const transitionButtons = el('#transition-buttons');
+  const detailHistory = el('#detail-history');
+  const detailVersions = el('#detail-versions');
   const downloadLink = el('#download-link');
+  const ddexBtn = el('#ddex-btn');
+  const codesBtn = el('#codes-btn');
+  const packageControls = el('#package-controls');
+  const packageProfile = el('#package-profile');
   const adminNote = el('#admin-note');
   const detailMessage = el('#detail-message');
 
-  let subs = await fetchSubs();
-  function renderList() {
-    listEl.innerHTML = '<h3 style="margin-top:0">Submissions</h3>';
-    subs.forEach(s => {
-      const div = document.createElement('div');
-      div.className = 'item';
-      div.innerHTML = '<strong>' + (s.albumName || s.id) + '</strong><div class="muted small">' + s.status + ' • ' + formatDate(s.createdAt) + '</div>';
-      div.addEventListener('click', () => showDetail(s.id));
-      listEl.appendChild(div);
+  // who is signed in; owners also get the Users screen
+  const me = await (await fetch('/admin/api/me')).json();
+  el('#admin-whoami').textContent = me.admin.name + ' • ' + (ROLE_LABELS[me.admin.role] || me.admin.role);
+  if (me.permissions.includes('admins.manage')) el('#users-link').style.display = '';
+  if (me.permissions.includes('notifications.manage')) el('#notifications-link').style.display = '';
+  if (me.permissions.includes('webhooks.manage')) el('#webhooks-link').style.display = '';
+  if (me.permissions.includes('codes.view')) el('#codes-link').style.display = '';
+  if (me.permissions.includes('storage.manage')) el('#storage-link').style.display = '';
+  const deleteBtn = el('#delete-btn');
+  if (me.permissions.includes('submissions.delete')) deleteBtn.style.display = '';
+  const digestToggle = el('#digest-toggle');
+  digestToggle.checked = me.admin.digest;
+  digestToggle.addEventListener('change', async () => {
+    const r = await fetch('/admin/api/me', {
+      method: 'PATCH',
+      headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ digest: digestToggle.checked })
+    });
+    if (!r.ok) digestToggle.checked = !digestToggle.checked;
+  });
+
+  // two-factor sign-in with an authenticator app: set up (new key, then a code
+  // to confirm it) or turn off with a current code
+  const twoFactorPanel = el('#two-factor-panel');
+  const twoFactorBody = el('#two-factor-body');
+  const twoFactorMessage = el('#two-factor-message');
+  let twoFactorOn = me.admin.twoFactor;
+  async function twoFactorRequest(method, url, data) {
+    const r = await fetch(url, {
+      method,
+      headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+      body: data ? JSON.stringify(data) : undefined
     });
+    const b = await r.json();
+    if (!r.ok) throw new Error(b.error || 'Error');
+    return b;
   }
-  renderList();
+  function codeForm(label, onCode) {
+    const form = document.createElement('form');
+    form.className = 'row-actions';
+    const input = document.createElement('input');
+    input.inputMode = 'numeric';
+    input.maxLength = 6;
+    input.autocomplete = 'one-time-code';
+    input.placeholder = '6-digit code';
+    const button = document.createElement('button');
+    button.className = 'btn primary';
+    button.type = 'submit';
+    button.textContent = label;
+    form.appendChild(input);
+    form.appendChild(button);
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      try {
+        await onCode(input.value.trim());
+      } catch (err) {
+        twoFactorMessage.textContent = err.message;
+      }
+    });
+    return form;
+  }
+  function renderTwoFactor() {
+    twoFactorBody.innerHTML = '';
+    const status = document.createElement('p');
+    status.className = 'small';
+    twoFactorBody.appendChild(status);
+    if (twoFactorOn) {
+      status.textContent = 'On: signing in asks for a code from your authenticator app. Enter a current code to turn it off.';
+      twoFactorBody.appendChild(codeForm('Turn off', async code => {
+        await twoFactorRequest('DELETE', '/admin/api/me/two-factor', { code });
+        twoFactorOn = false;
+        renderTwoFactor();
+        twoFactorMessage.textContent = 'Two-factor sign-in is off';
+      }));
+      return;
+    }
+    status.textContent = 'Off: signing in only takes your password.';
+    const start = document.createElement('button');
+    start.className = 'btn';
+    start.type = 'button';
+    start.textContent = 'Set up';
+    start.addEventListener('click', async () => {
+      try {
+        const setup = await twoFactorRequest('POST', '/admin/api/me/two-factor');
+        start.remove();
+        const steps = document.createElement('p');
+        steps.className = 'small';
+        steps.textContent = 'Add this key to your authenticator app, or open the link on your phone, then enter the code it shows: ';
+        const key = document.createElement('code');
+        key.textContent = setup.secret.replace(/(.{4})/g, '$1 ').trim();
+        const link = document.createElement('a');
+        link.href = setup.otpauthUrl;
+        link.textContent = 'open in app';
+        steps.appendChild(key);
+        steps.appendChild(document.createTextNode(' • '));
+        steps.appendChild(link);
+        twoFactorBody.appendChild(steps);
+        twoFactorBody.appendChild(codeForm('Turn on', async code => {
+          await twoFactorRequest('POST', '/admin/api/me/two-factor/confirm', { code });
+          twoFactorOn = true;
+          renderTwoFactor();
+          twoFactorMessage.textContent = 'Two-factor sign-in is on';
+        }));
+      } catch (err) {
+        twoFactorMessage.textContent = err.message;
+      }
+    });
+    twoFactorBody.appendChild(start);
+  }
+  el('#two-factor-btn').addEventListener('click', () => {
+    const open = twoFactorPanel.style.display === 'none';
+    twoFactorPanel.style.display = open ? '' : 'none';
+    twoFactorMessage.textContent = '';
+    if (open) renderTwoFactor();
+  });
+
+  // submissions list: search / filters from the form, one page at a time,
+  // the next page loads when the end of the list scrolls into view
+  const filtersForm = el('#filters');
+  const itemsEl = el('#submissions-items');
+  const moreEl = el('#submissions-more');
+  const countEl = el('#submissions-count');
+  const filters = await (await fetch('/admin/api/submissions/filters')).json();
+  function addOptions(select, options) {
+    options.forEach(o => {
+      const opt = document.createElement('option');
+      opt.value = o.id;
+      opt.textContent = o.label;
+      select.appendChild(opt);
+    });
+  }
+  addOptions(filtersForm.status, filters.statuses);
+  addOptions(filtersForm.platform, filters.platforms.map(p => ({ id: p, label: p })));
+  addOptions(filtersForm.sort, filters.sorts);
+
+  let nextCursor = null;
+  let loading = false;
+  let generation = 0; // ignore pages that arrive after the filters changed
+
+  function renderItem(s) {
+    const div = document.createElement('div');
+    div.className = 'item';
+    const title = document.createElement('strong');
+    title.textContent = s.albumName || s.id;
+    const meta = document.createElement('div');
+    meta.className = 'muted small';
+    meta.textContent = statusLabel(s.status) + ' • ' + (s.releaseDate ? 'out ' + s.releaseDate + ' • ' : '') + formatDate(s.createdAt);
+    div.appendChild(title);
+    div.appendChild(meta);
+    if (s.possibleDuplicate) {
+      const dup = document.createElement('div');
+      dup.className = 'small';
+      dup.style.color = 'var(--danger)';
+      dup.textContent = 'Possible duplicate';
+      div.appendChild(dup);
+    }
+    div.addEventListener('click', () => showDetail(s.id));
+    itemsEl.appendChild(div);
+  }
+
+  async function loadPage(reset) {
+    if (loading && !reset) return;
+    if (!reset && !nextCursor) return;
+    const mine = reset ? ++generation : generation;
+    loading = true;
+    moreEl.textContent = 'Loading…';
+    const params = new URLSearchParams();
+    new FormData(filtersForm).forEach((v, k) => { if (v) params.set(k, v); });
+    if (!reset) params.set('cursor', nextCursor);
+    try {
+      const res = await fetch('/admin/api/submissions?' + params.toString());
+      const body = await res.json();
+      if (mine !== generation) return;
+      if (!res.ok) {
+        moreEl.textContent = body.error || 'Error';
+        return;
+      }
+      if (reset) itemsEl.innerHTML = '';
+      body.submissions.forEach(renderItem);
+      countEl.textContent = '(' + body.total + ')';
+      nextCursor = body.nextCursor;
+      moreEl.textContent = nextCursor ? '' : (body.total ? 'No more submissions' : 'Nothing matches these filters');
+    } finally {
+      if (mine === generation) loading = false;
+    }
+    // keep going while the list does not fill the panel yet
+    if (nextCursor && listEl.scrollHeight <= listEl.clientHeight) loadPage(false);
+  }
+  const reloadList = () => loadPage(true);
+
+  new IntersectionObserver(entries => {
+    if (entries.some(e => e.isIntersecting)) loadPage(false);
+  }, { root: listEl, rootMargin: '120px' }).observe(moreEl);
+
+  let searchTimer = null;
+  filtersForm.q.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(reloadList, 300);
+  });
+  filtersForm.addEventListener('change', e => { if (e.target.name !== 'q') reloadList(); });
+  filtersForm.addEventListener('submit', e => { e.preventDefault(); reloadList(); });
+  reloadList();
 
   async function showDetail(id) {
     const res = await fetch('/admin/api/submissions/' + id);
     const s = await res.json();
+    // signed, short-lived links to the cover and audio (uploads are not served directly)
+    const files = await (await fetch('/admin/api/submissions/' + id + '/files')).json();
     detailTitle.textContent = s.albumName || s.id;
-    detailMeta.textContent = 'Released: ' + (s.releaseDate || '—') + ' • Platforms: ' + (s.platforms.join(', ') || '—') + ' • Status: ' + s.status;
+    detailMeta.textContent = 'Released: ' + (s.releaseDate || '—') + ' • Platforms: ' + (s.platforms.join(', ') || '—') + ' • Status: ' + statusLabel(s.status) + ' • Version ' + s.versions.length + ' • Artist: ' + (s.artist ? s.artist.name + ' <' + s.artist.email + '>' : '—');
+    detailRelease.textContent = releaseMetadataLines(s).concat(splitSummary(s)).join(' • ');
     detailFiles.innerHTML = '';
+    if (s.purged) {
+      const gone = document.createElement('div');
+      gone.className = 'small';
+      gone.style.color = 'var(--danger)';
+      gone.textContent = 'Files removed on ' + formatDate(s.purged.at) + ' under the retention policy (' + statusLabel(s.purged.reason) + '): ' + s.purged.files + ' file(s), ' + (s.purged.bytes / 1048576).toFixed(1) + ' MB';
+      detailFiles.appendChild(gone);
+    }
 
     // cover preview
-    if (s.cover) {
-      const coverUrl = '/uploads/' + s.cover;
+    if (files.cover) {
       const img = document.createElement('img');
-      img.src = coverUrl;
+      img.src = files.cover;
       img.style.maxWidth = '100%';
       img.style.borderRadius = '8px';
       img.style.marginBottom = '8px';
       detailFiles.appendChild(img);
+      if (s.coverImage) {
+        const ci = s.coverImage;
+        const info = document.createElement('div');
+        info.className = 'muted small';
+        info.textContent = 'Cover: ' + ci.width + ' x ' + ci.height + ' • ' + ci.format.toUpperCase() + ' • ' + ci.colorSpace.toUpperCase() + ' • ' + (ci.bytes / 1048576).toFixed(1) + ' MB';
+        detailFiles.appendChild(info);
+      }
     }
 
     // tracks list with audio elements (if available)
@@ -59,55 +421,455 @@ async function init() {
       const name = document.createElement('div');
       name.innerHTML = '<strong>' + (idx+1) + '. ' + (t.title || 'Untitled') + '</strong> <span class="muted small">(' + explicitText + ')</span>';
       row.appendChild(name);
+      const credits = document.createElement('div');
+      credits.className = 'muted small';
+      credits.style.margin = '0';
+      credits.textContent = trackCreditsLine(t);
+      row.appendChild(credits);
+      const splits = document.createElement('div');
+      splits.className = 'muted small';
+      splits.style.margin = '0';
+      splits.textContent = trackSplitsLine(t);
+      row.appendChild(splits);
       if (t.file) {
-        const audio = document.createElement('audio');
-        audio.controls = true;
-        audio.src = '/uploads/' + t.file;
-        audio.style.width = '100%';
-        row.appendChild(audio);
+        // no link once the files were purged (lib/retention.js)
+        if (files.tracks[idx]) row.appendChild(trackPlayer(s, t, idx, files.tracks[idx]));
+        const specs = document.createElement('div');
+        specs.className = 'muted small';
+        specs.style.margin = '0';
+        specs.textContent = t.audio ? formatAudioSpecs(t.audio) : 'Audio specs not available';
+        row.appendChild(specs);
+        const analysis = document.createElement('div');
+        analysis.className = 'muted small';
+        analysis.style.margin = '0';
+        analysis.textContent = 'Analysis: ' + formatAnalysis(t.analysis);
+        row.appendChild(analysis);
+        // tracks outside the thresholds stand out
+        const problems = t.analysis && t.analysis.problems;
+        if (problems && problems.length) {
+          row.style.borderLeft = '3px solid var(--danger)';
+          row.style.paddingLeft = '8px';
+          const warn = document.createElement('div');
+          warn.className = 'small';
+          warn.style.color = 'var(--danger)';
+          warn.textContent = problems.join(' • ');
+          row.appendChild(warn);
+        }
+        // matches among earlier submissions, each opening that submission
+        if (t.duplicates && t.duplicates.length) {
+          row.style.borderLeft = '3px solid var(--danger)';
+          row.style.paddingLeft = '8px';
+          const dup = document.createElement('div');
+          dup.className = 'small';
+          dup.style.color = 'var(--danger)';
+          dup.textContent = 'Possible duplicate of ';
+          t.duplicates.forEach((m, i) => {
+            if (i) dup.appendChild(document.createTextNode('; '));
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = formatDuplicate(m);
+            link.onclick = e => { e.preventDefault(); showDetail(m.submissionId); };
+            dup.appendChild(link);
+          });
+          row.appendChild(dup);
+        }
       } else {
         const missing = document.createElement('div');
         missing.className = 'muted small';
         missing.textContent = 'Audio file not found for this track';
         row.appendChild(missing);
       }
+      row.appendChild(trackReviewControls(s, t, idx));
       detailFiles.appendChild(row);
     });
+    const ts = s.trackSummary;
+    const summary = document.createElement('div');
+    summary.className = 'muted small';
+    summary.textContent = 'Track review: ' + ts.accepted + ' accepted • ' + ts.flagged + ' flagged • ' + ts.pending + ' not reviewed';
+    detailFiles.appendChild(summary);
+    const analyses = s.tracks.map(t => t.analysis).filter(Boolean);
+    const flagged = analyses.filter(a => a.problems && a.problems.length).length;
+    const waiting = analyses.filter(a => a.status === 'pending').length;
+    const analysisSummary = document.createElement('div');
+    analysisSummary.className = 'muted small';
+    analysisSummary.textContent = 'Audio analysis: ' + (flagged ? flagged + ' track(s) outside the thresholds' : 'no problems found') + (waiting ? ' • ' + waiting + ' pending (reopen to refresh)' : '');
+    if (me.permissions.includes('submissions.review')) {
+      const rerun = document.createElement('button');
+      rerun.type = 'button';
+      rerun.className = 'btn ghost';
+      rerun.style.marginLeft = '8px';
+      rerun.textContent = 'Analyze again';
+      rerun.onclick = async () => {
+        const r = await fetch('/admin/api/submissions/' + s.id + '/analysis', { method: 'POST', headers: csrfHeaders() });
+        const b = await r.json();
+        if (!r.ok) {
+          detailMessage.textContent = b.error || 'Error';
+          return;
+        }
+        await showDetail(s.id);
+        detailMessage.textContent = 'Analysis queued';
+      };
+      analysisSummary.appendChild(rerun);
+    }
+    detailFiles.appendChild(analysisSummary);
+    // who opened the cover / audio (lib/signed-urls.js), newest first
+    if (s.fileAccess.total) {
+      const access = document.createElement('details');
+      access.className = 'small';
+      const summaryLine = document.createElement('summary');
+      summaryLine.className = 'muted';
+      summaryLine.textContent = 'File access (' + s.fileAccess.total + ')';
+      access.appendChild(summaryLine);
+      const ul = document.createElement('ul');
+      ul.style.paddingLeft = '18px';
+      s.fileAccess.recent.forEach(a => {
+        const li = document.createElement('li');
+        li.className = 'muted small';
+        const who = a.by.type === 'artist' ? 'artist ' + (a.by.name || '') : (a.by.name || a.by.type);
+        li.textContent = formatDate(a.at) + ' — ' + who + ': ' + a.file.split('/').pop() + (a.range ? ' (' + a.range + ')' : '');
+        ul.appendChild(li);
+      });
+      if (s.fileAccess.total > s.fileAccess.recent.length) {
+        const more = document.createElement('li');
+        more.className = 'muted small';
+        more.textContent = '… and ' + (s.fileAccess.total - s.fileAccess.recent.length) + ' earlier';
+        ul.appendChild(more);
+      }
+      access.appendChild(ul);
+      detailFiles.appendChild(access);
+    }
+    if (s.possibleDuplicate) {
+      const dupSummary = document.createElement('div');
+      dupSummary.className = 'small';
+      dupSummary.style.color = 'var(--danger)';
+      dupSummary.textContent = 'Duplicates: ' + s.tracks.filter(t => t.duplicates && t.duplicates.length).length + ' track(s) match earlier submissions';
+      detailFiles.appendChild(dupSummary);
+    }
 
-    // wire approve/download/reject
-    approveBtn.onclick = async () => {
-      detailMessage.textContent = 'Approving...';
-      const r = await fetch('/admin/api/submissions/' + s.id + '/approve', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ note: adminNote.value || null })
+    // Waveform (click to seek), audio player and reviewer comments pinned to moments of the track
+    function trackPlayer(s, t, idx, src) {
+      const base = '/admin/api/submissions/' + s.id + '/tracks/' + idx;
+      const box = document.createElement('div');
+      const canvas = document.createElement('canvas');
+      canvas.style.cssText = 'width:100%; height:64px; display:block; cursor:pointer; margin-top:4px;';
+      const waveNote = document.createElement('div');
+      waveNote.className = 'muted small';
+      waveNote.style.margin = '0';
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.preload = 'metadata';
+      audio.src = src;
+      audio.style.width = '100%';
+      // the link expired while the page was open: get a new one and carry on where it was
+      let renewed = false;
+      audio.addEventListener('loadedmetadata', () => { renewed = false; });
+      audio.addEventListener('error', async () => {
+        if (renewed) return;
+        renewed = true;
+        const r = await fetch('/admin/api/submissions/' + s.id + '/files');
+        if (!r.ok) return;
+        const at = audio.currentTime;
+        audio.src = (await r.json()).tracks[idx];
+        audio.currentTime = at;
       });
-      const b = await r.json();
-      if (r.ok) {
-        detailMessage.textContent = 'Approved';
-        subs = await fetchSubs(); renderList();
-        showDetail(s.id);
-      } else {
-        detailMessage.textContent = b.error || 'Error';
+      const list = document.createElement('ul');
+      list.style.cssText = 'padding-left:18px; margin:4px 0;';
+      box.appendChild(canvas);
+      box.appendChild(waveNote);
+      box.appendChild(audio);
+      box.appendChild(list);
+
+      const comments = (t.comments || []).slice();
+      let wave = null;
+      const duration = () => (wave && wave.duration) || audio.duration || 0;
+      const seek = sec => { audio.currentTime = sec; draw(); };
+      function draw() {
+        drawWaveform(canvas, wave, audio.currentTime, comments);
       }
-    };
-    rejectBtn.onclick = async () => {
-      detailMessage.textContent = 'Rejecting...';
-      const r = await fetch('/admin/api/submissions/' + s.id + '/reject', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ note: adminNote.value || null })
+      function renderComments() {
+        list.innerHTML = '';
+        comments.sort((a, b) => a.at - b.at).forEach(c => {
+          const li = document.createElement('li');
+          li.className = 'small';
+          const time = document.createElement('a');
+          time.href = '#';
+          time.textContent = formatDuration(c.at);
+          time.onclick = e => { e.preventDefault(); seek(c.at); };
+          li.appendChild(time);
+          li.appendChild(document.createTextNode(' — ' + (c.by.name || 'admin') + ': ' + c.text + ' '));
+          if (c.by.id === me.admin.id) {
+            const del = document.createElement('button');
+            del.type = 'button';
+            del.className = 'btn ghost';
+            del.textContent = 'Delete';
+            del.onclick = async () => {
+              const r = await fetch(base + '/comments/' + c.id, { method: 'DELETE', headers: csrfHeaders() });
+              const b = await r.json();
+              if (!r.ok) {
+                detailMessage.textContent = b.error || 'Error';
+                return;
+              }
+              comments.splice(comments.indexOf(c), 1);
+              renderComments();
+              draw();
+            };
+            li.appendChild(del);
+          }
+          list.appendChild(li);
+        });
+      }
+
+      canvas.addEventListener('click', e => {
+        const r = canvas.getBoundingClientRect();
+        if (duration()) seek((e.clientX - r.left) / r.width * duration());
+      });
+      canvas.addEventListener('mousemove', e => {
+        const r = canvas.getBoundingClientRect();
+        canvas.title = duration() ? formatDuration((e.clientX - r.left) / r.width * duration()) : '';
+      });
+      audio.addEventListener('timeupdate', draw);
+      audio.addEventListener('seeked', draw);
+
+      if (me.permissions.includes('submissions.review')) {
+        const form = document.createElement('form');
+        form.style.cssText = 'display:flex; gap:6px; align-items:center; flex-wrap:wrap;';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Comment at the playhead';
+        input.style.flex = '1';
+        input.style.minWidth = '140px';
+        const add = document.createElement('button');
+        add.type = 'submit';
+        add.className = 'btn ghost';
+        const label = () => { add.textContent = 'Comment at ' + formatDuration(audio.currentTime || 0); };
+        label();
+        audio.addEventListener('timeupdate', label);
+        audio.addEventListener('seeked', label);
+        form.addEventListener('submit', async e => {
+          e.preventDefault();
+          const r = await fetch(base + '/comments', {
+            method: 'POST',
+            headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ at: audio.currentTime || 0, text: input.value })
+          });
+          const b = await r.json();
+          if (!r.ok) {
+            detailMessage.textContent = b.error || 'Error';
+            return;
+          }
+          input.value = '';
+          comments.push(b.comment);
+          renderComments();
+          draw();
+        });
+        form.appendChild(input);
+        form.appendChild(add);
+        box.appendChild(form);
+      }
+
+      renderComments();
+      fetch(base + '/waveform').then(async r => {
+        const b = await r.json();
+        if (!r.ok) {
+          canvas.style.display = 'none';
+          waveNote.textContent = 'Waveform: ' + (b.error || 'not available');
+          return;
+        }
+        wave = b;
+        draw();
       });
+      return box;
+    }
+
+    // Accept / flag one track; only enabled while the submission is in review
+    function trackReviewControls(s, t, idx) {
+      const review = t.review || { status: 'pending', note: null };
+      const box = document.createElement('div');
+      box.style.display = 'flex';
+      box.style.gap = '6px';
+      box.style.alignItems = 'center';
+      box.style.flexWrap = 'wrap';
+      box.style.marginTop = '4px';
+
+      const state = document.createElement('span');
+      state.className = 'small';
+      state.style.color = review.status === 'accepted' ? 'var(--success)' : review.status === 'flagged' ? 'var(--danger)' : 'var(--muted)';
+      state.textContent = TRACK_REVIEW_LABELS[review.status] + (review.note ? ': ' + review.note : '');
+      box.appendChild(state);
+
+      if (s.status !== 'in_review') return box;
+      const note = document.createElement('input');
+      note.type = 'text';
+      note.placeholder = 'Track note (required to flag)';
+      note.style.flex = '1';
+      note.style.minWidth = '140px';
+      note.style.padding = '6px 8px';
+      const send = async (status) => {
+        detailMessage.textContent = 'Saving...';
+        const r = await fetch('/admin/api/submissions/' + s.id + '/tracks/' + idx + '/review', {
+          method: 'POST',
+          headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ status, note: note.value || null })
+        });
+        const b = await r.json();
+        if (r.ok) {
+          detailMessage.textContent = 'Track ' + (idx + 1) + ': ' + TRACK_REVIEW_LABELS[status];
+          showDetail(s.id);
+        } else {
+          detailMessage.textContent = b.error || 'Error';
+        }
+      };
+      const accept = document.createElement('button');
+      accept.className = 'btn ghost';
+      accept.textContent = 'Accept';
+      accept.onclick = () => send('accepted');
+      const flag = document.createElement('button');
+      flag.className = 'btn ghost';
+      flag.textContent = 'Flag';
+      flag.onclick = () => send('flagged');
+      box.appendChild(note);
+      box.appendChild(accept);
+      box.appendChild(flag);
+      return box;
+    }
+
+    // one button per move the workflow allows from the current status (and this admin's role allows)
+    transitionButtons.innerHTML = '';
+    s.allowedTransitions.forEach(to => {
+      const btn = document.createElement('button');
+      btn.className = 'btn ' + (to === 'approved' ? 'primary' : 'ghost');
+      btn.textContent = TRANSITION_ACTIONS[to] || statusLabel(to);
+      btn.onclick = async () => {
+        detailMessage.textContent = 'Saving...';
+        const r = await fetch('/admin/api/submissions/' + s.id + '/transition', {
+          method: 'POST',
+          headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ to, note: adminNote.value || null })
+        });
+        const b = await r.json();
+        if (r.ok) {
+          detailMessage.textContent = b.warning || statusLabel(to);
+          adminNote.value = '';
+          reloadList();
+          showDetail(s.id);
+        } else {
+          detailMessage.textContent = b.error || 'Error';
+        }
+      };
+      transitionButtons.appendChild(btn);
+    });
+
+    // audit timeline (status changes, ZIP downloads, DDEX exports, packages, assigned codes and split sheets), newest first
+    detailHistory.innerHTML = '';
+    const timeline = s.history.concat(s.downloads.map(d => ({ ...d, download: true })));
+    timeline.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+    timeline.forEach(h => {
+      const item = document.createElement('li');
+      item.className = 'small';
+      const who = h.by.type === 'artist' ? 'artist ' + (h.by.name || '') : (h.by.name || h.by.type);
+      if (h.download) {
+        const what = h.codes ? 'Codes assigned: ' + h.codes.map(c => c.code).join(', ')
+          : h.splitSheet ? 'Split sheet exported (' + (h.splitSheet === 'csv' ? 'CSV' : 'printable') + ')'
+          : h.packages ? 'Delivery package built (' + h.packages.join(', ') + ')' : h.ddex ? 'DDEX XML exported' : 'ZIP downloaded';
+        item.textContent = formatDate(h.at) + ' — ' + what + ' by ' + who;
+        detailHistory.appendChild(item);
+        return;
+      }
+      item.textContent = formatDate(h.at) + ' — ' + (h.from ? statusLabel(h.from) + ' → ' : '') + statusLabel(h.to) + ' by ' + who + (h.version ? ' (version ' + h.version + ')' : '');
+      if (h.note) {
+        const note = document.createElement('div');
+        note.className = 'muted small';
+        note.style.margin = '0';
+        note.textContent = '“' + h.note + '”';
+        item.appendChild(note);
+      }
+      detailHistory.appendChild(item);
+    });
+
+    // what the artist changed in each revision, newest first
+    detailVersions.innerHTML = '';
+    s.versions.slice().reverse().forEach(v => {
+      const item = document.createElement('li');
+      item.className = 'small';
+      item.textContent = 'Version ' + v.version + ' — ' + formatDate(v.createdAt) + (v.version === 1 ? ' (original submission)' : '');
+      if (v.note) {
+        const note = document.createElement('div');
+        note.className = 'muted small';
+        note.style.margin = '0';
+        note.textContent = '“' + v.note + '”';
+        item.appendChild(note);
+      }
+      if (v.changes.length) {
+        const ul = document.createElement('ul');
+        ul.style.paddingLeft = '18px';
+        v.changes.forEach(c => {
+          const li = document.createElement('li');
+          li.className = 'muted small';
+          li.textContent = describeChange(c);
+          ul.appendChild(li);
+        });
+        item.appendChild(ul);
+      }
+      detailVersions.appendChild(item);
+    });
+
+    downloadLink.href = '/admin/download/' + s.id;
+    ddexBtn.style.display = s.ddexExportable ? '' : 'none';
+    ddexBtn.onclick = () => saveExport('/admin/api/submissions/' + s.id + '/ddex', '.ern.xml');
+    el('#splits-csv-btn').onclick = () => saveExport('/admin/api/submissions/' + s.id + '/splits.csv', '-splits.csv');
+    el('#splits-print-link').href = '/admin/api/submissions/' + s.id + '/splits.html';
+
+    // approved releases still without a UPC / ISRCs (e.g. a pool ran out at approval)
+    const missing = s.missingCodes;
+    codesBtn.style.display = missing && (missing.upc || missing.isrc) && me.permissions.includes('submissions.decide') ? '' : 'none';
+    codesBtn.onclick = async () => {
+      detailMessage.textContent = 'Assigning codes...';
+      const r = await fetch('/admin/api/submissions/' + s.id + '/codes', { method: 'POST', headers: csrfHeaders() });
       const b = await r.json();
-      if (r.ok) {
-        detailMessage.textContent = 'Rejected';
-        subs = await fetchSubs(); renderList();
-        showDetail(s.id);
-      } else {
+      // codes from a pool that did not run out are kept, so reload either way
+      await showDetail(s.id);
+      detailMessage.textContent = r.ok ? 'Codes assigned' : (b.error || 'Error');
+    };
+
+    // one package per store the artist selected (delivery-profiles/*.json), or all of them
+    packageControls.style.display = s.ddexExportable && s.deliveryProfiles.length ? 'inline-flex' : 'none';
+    packageProfile.innerHTML = '';
+    [{ id: 'all', name: 'All selected stores' }].concat(s.deliveryProfiles).forEach(p => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.name;
+      packageProfile.appendChild(opt);
+    });
+    el('#package-btn').onclick = () => saveExport('/admin/api/submissions/' + s.id + '/packages/' + packageProfile.value, '-' + packageProfile.value + '.zip');
+
+    // exports are checked on the server; show what blocks them instead of saving an error page
+    async function saveExport(url, suffix) {
+      detailMessage.textContent = '';
+      const r = await fetch(url);
+      if (!r.ok) {
+        const b = await r.json().catch(() => ({}));
+        detailMessage.textContent = (b.error || 'Error') + (b.details && b.details.length ? ': ' + b.details.join('; ') : '');
+        return;
+      }
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(await r.blob());
+      a.download = (s.albumName || s.id).replace(/[^a-z0-9_\-\.]/gi, '_') + suffix;
+      a.click();
+      URL.revokeObjectURL(a.href);
+      showDetail(s.id);
+    }
+    deleteBtn.onclick = async () => {
+      if (!confirm('Delete "' + (s.albumName || s.id) + '" and all its files? This cannot be undone.')) return;
+      const r = await fetch('/admin/api/submissions/' + s.id, { method: 'DELETE', headers: csrfHeaders() });
+      const b = await r.json();
+      if (!r.ok) {
         detailMessage.textContent = b.error || 'Error';
+        return;
       }
+      detailContent.style.display = 'none';
+      detailEmpty.style.display = '';
+      reloadList();
     };
-    downloadLink.href = '/admin/download/' + s.id;
     detailEmpty.style.display = 'none';
     detailContent.style.display = '';
   }
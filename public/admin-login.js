@@ -1,29 +1,62 @@
 // admin-login.js
-// Small client-side helper to show error messages when redirected with ?err=1
-// and to do minimal client-side validation before submit.
+// Small client-side helper for the admin sign-in page: shows the error the server
+// redirected with (?err=1 wrong email or password, ?err=locked&wait=N after too many
+// failed attempts, ?err=code / ?err=expired for the two-factor step), switches to
+// the two-factor code form on ?step=code and does minimal validation before submit.
 
 (function () {
   const msgEl = document.getElementById('login-message');
   const form = document.getElementById('admin-login-form');
+  const email = document.getElementById('email');
   const password = document.getElementById('password');
+  const codeForm = document.getElementById('admin-code-form');
+  const codeMsg = document.getElementById('code-message');
+  const code = document.getElementById('code');
 
-  // Show server-provided error via query string (?err=1)
+  function showError(target, text) {
+    target.textContent = text;
+    target.classList.remove('success');
+    target.classList.add('error');
+  }
+
+  // Show server-provided error via query string
   const params = new URLSearchParams(window.location.search);
-  if (params.get('err')) {
-    msgEl.textContent = 'Invalid password. Please try again.';
-    msgEl.classList.add('error');
+  const err = params.get('err');
+  if (params.get('step') === 'code') {
+    form.style.display = 'none';
+    codeForm.style.display = '';
+    code.focus();
+    if (err === 'code') showError(codeMsg, 'That code is not right. Check the clock of your device and try the next code.');
+  } else if (err === 'locked') {
+    showError(msgEl, 'Too many failed sign-ins. Try again in ' + (params.get('wait') || 'a few') + ' minute(s).');
+  } else if (err === 'expired') {
+    showError(msgEl, 'The sign-in took too long. Please enter your email and password again.');
+  } else if (err) {
+    showError(msgEl, 'Invalid email or password. Please try again.');
   }
 
   // Minimal client-side validation to prevent empty submit
   form.addEventListener('submit', (e) => {
+    if (!email.value || !email.value.includes('@')) {
+      e.preventDefault();
+      showError(msgEl, 'Please enter your admin email.');
+      email.focus();
+      return false;
+    }
     if (!password.value || password.value.trim().length === 0) {
       e.preventDefault();
-      msgEl.textContent = 'Please enter the admin password.';
-      msgEl.classList.remove('success');
-      msgEl.classList.add('error');
+      showError(msgEl, 'Please enter your password.');
       password.focus();
       return false;
     }
     // allow submit to server
   });
+
+  codeForm.addEventListener('submit', (e) => {
+    if (!/^\d{6}$/.test(code.value.trim())) {
+      e.preventDefault();
+      showError(codeMsg, 'Please enter the 6-digit code.');
+      code.focus();
+    }
+  });
 })();
\ No newline at end of file
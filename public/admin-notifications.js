@@ -0,0 +1,170 @@
+// admin-notifications.js
+// Email templates editor and outbox view (data from /admin/api/notifications).
+// Templates can be previewed with example values, saved or reset to the
+// built-in text; failed messages in the outbox can be sent again.
+
+(function () {
+  const listEl = document.getElementById('templates-list');
+  const form = document.getElementById('template-form');
+  const titleEl = document.getElementById('template-title');
+  const editor = document.getElementById('template-editor');
+  const subjectEl = document.getElementById('template-subject');
+  const textEl = document.getElementById('template-text');
+  const varsEl = document.getElementById('template-variables');
+  const templateMsg = document.getElementById('template-message');
+  const previewOut = document.getElementById('preview-output');
+  const outboxEl = document.getElementById('outbox-list');
+  const outboxMsg = document.getElementById('outbox-message');
+  const filterEl = document.getElementById('outbox-filter');
+
+  const STATUS_LABELS = { queued: 'Queued', sent: 'Sent', failed: 'Failed' };
+  let templates = [];
+  let current = null;
+
+  function formatDate(d) { return d ? new Date(d).toLocaleString() : '—'; }
+
+  function text(tag, className, value) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    node.textContent = value;
+    return node;
+  }
+
+  function showMessage(target, type, value) {
+    target.classList.remove('success', 'error');
+    if (type) target.classList.add(type);
+    target.textContent = value;
+  }
+
+  async function api(method, url, data) {
+    const resp = await fetch(url, {
+      method,
+      headers: csrfHeaders(data ? { 'Content-Type': 'application/json' } : {}),
+      body: data ? JSON.stringify(data) : undefined,
+      credentials: 'same-origin'
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(body.error || 'Request failed');
+    return body;
+  }
+
+  function renderTemplates() {
+    listEl.innerHTML = '';
+    templates.forEach((t) => {
+      const div = document.createElement('div');
+      div.className = 'item' + (current && current.name === t.name ? ' active' : '');
+      div.appendChild(text('strong', '', t.label));
+      div.appendChild(text('div', 'muted small', t.customized ? 'Edited ' + formatDate(t.updatedAt) + (t.updatedBy ? ' by ' + t.updatedBy.name : '') : 'Default text'));
+      div.addEventListener('click', () => select(t));
+      listEl.appendChild(div);
+    });
+  }
+
+  function select(t) {
+    current = t;
+    titleEl.textContent = t.label;
+    subjectEl.value = t.subject;
+    textEl.value = t.text;
+    varsEl.textContent = 'Placeholders: ' + t.variables.map(v => '{{' + v + '}}').join(' ') + ' — wrap optional parts in {{#name}}…{{/name}}';
+    previewOut.style.display = 'none';
+    showMessage(templateMsg, '', '');
+    editor.style.display = '';
+    renderTemplates();
+  }
+
+  function useTemplate(t) {
+    templates = templates.map(x => (x.name === t.name ? t : x));
+    select(t);
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!current) return;
+    try {
+      const body = await api('PUT', '/admin/api/notifications/templates/' + current.name, { subject: subjectEl.value, text: textEl.value });
+      useTemplate(body.template);
+      showMessage(templateMsg, 'success', 'Template saved');
+    } catch (err) {
+      showMessage(templateMsg, 'error', err.message);
+    }
+  });
+
+  document.getElementById('template-preview').addEventListener('click', async () => {
+    try {
+      const body = await api('POST', '/admin/api/notifications/preview', { subject: subjectEl.value, text: textEl.value });
+      previewOut.textContent = 'Subject: ' + body.subject + '\n\n' + body.text;
+      previewOut.style.display = '';
+    } catch (err) {
+      showMessage(templateMsg, 'error', err.message);
+    }
+  });
+
+  document.getElementById('template-reset').addEventListener('click', async () => {
+    if (!current || !confirm('Replace this template with the built-in text?')) return;
+    try {
+      const body = await api('DELETE', '/admin/api/notifications/templates/' + current.name);
+      useTemplate(body.template);
+      showMessage(templateMsg, 'success', 'Template reset to default');
+    } catch (err) {
+      showMessage(templateMsg, 'error', err.message);
+    }
+  });
+
+  function renderOutbox(outbox) {
+    outboxEl.innerHTML = '';
+    if (!outbox.length) {
+      const tr = document.createElement('tr');
+      const td = text('td', 'muted', 'No messages');
+      td.colSpan = 6;
+      tr.appendChild(td);
+      outboxEl.appendChild(tr);
+      return;
+    }
+    outbox.forEach((m) => {
+      const tr = document.createElement('tr');
+      tr.appendChild(text('td', '', formatDate(m.createdAt)));
+      tr.appendChild(text('td', '', m.to));
+      tr.appendChild(text('td', '', m.subject));
+      const status = text('td', 'st-' + m.status, STATUS_LABELS[m.status] || m.status);
+      if (m.status === 'sent') status.title = 'Sent ' + formatDate(m.sentAt);
+      if (m.lastError) status.appendChild(text('div', 'muted small', m.lastError));
+      tr.appendChild(status);
+      tr.appendChild(text('td', '', String(m.attempts)));
+      const actions = document.createElement('td');
+      if (m.status === 'failed') {
+        const btn = text('button', 'btn ghost', 'Retry');
+        btn.addEventListener('click', async () => {
+          try {
+            await api('POST', '/admin/api/notifications/outbox/' + m.id + '/retry');
+            showMessage(outboxMsg, 'success', 'Message queued again');
+          } catch (err) {
+            showMessage(outboxMsg, 'error', err.message);
+          }
+          load();
+        });
+        actions.appendChild(btn);
+      }
+      tr.appendChild(actions);
+      outboxEl.appendChild(tr);
+    });
+  }
+
+  async function load() {
+    try {
+      const status = filterEl.value;
+      const data = await api('GET', '/admin/api/notifications' + (status ? '?status=' + status : ''));
+      document.getElementById('smtp-status').textContent = data.enabled
+        ? 'Sending through ' + data.config.host + ':' + data.config.port + ' as ' + data.config.from + ' • admin digest every ' + data.config.digestHours + 'h'
+        : 'Email is off: set SMTP_HOST (and SMTP_PORT) on the server to send notifications';
+      templates = data.templates;
+      if (current) current = templates.find(t => t.name === current.name) || null;
+      renderTemplates();
+      renderOutbox(data.outbox);
+    } catch (err) {
+      showMessage(outboxMsg, 'error', err.message || 'Network error');
+    }
+  }
+
+  filterEl.addEventListener('change', load);
+  load();
+})();
@@ -0,0 +1,151 @@
+// admin-storage.js
+// Owner screen for the disk space of uploads (data from /admin/api/storage, see
+// lib/retention.js): usage per artist and per release, orphaned files, and a
+// purge of what the retention policy allows, previewed as a dry run first.
+
+(function () {
+  const summaryEl = document.getElementById('summary');
+  const policyEl = document.getElementById('policy');
+  const form = document.getElementById('purge-form');
+  const previewBtn = document.getElementById('preview-btn');
+  const purgeMsg = document.getElementById('purge-message');
+  const purgeList = document.getElementById('purge-list');
+  const msgEl = document.getElementById('storage-message');
+
+  // Mirrors STATUS_LABELS in lib/workflow.js
+  const STATUS_LABELS = {
+    submitted: 'Submitted',
+    in_review: 'In review',
+    changes_requested: 'Changes requested',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    delivered: 'Delivered',
+    live: 'Live',
+    withdrawn: 'Withdrawn'
+  };
+
+  function formatDate(d) { return d ? new Date(d).toLocaleString() : '—'; }
+
+  function formatBytes(n) {
+    if (n < 1024 * 1024) return Math.ceil(n / 1024) + ' KB';
+    if (n < 1024 * 1024 * 1024) return (n / 1048576).toFixed(1) + ' MB';
+    return (n / 1073741824).toFixed(2) + ' GB';
+  }
+
+  // usage() and purge() say why orphaned files may not be removed yet
+  function heldNote(r) {
+    return r.orphansHeld ? ' Orphaned files are kept while ' + r.orphansHeld + '.' : '';
+  }
+
+  function text(tag, className, value) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    node.textContent = value;
+    return node;
+  }
+
+  function showMessage(target, type, value) {
+    target.classList.remove('success', 'error');
+    if (type) target.classList.add(type);
+    target.textContent = value;
+  }
+
+  // rows: arrays of cell values; numbers in `sizes` columns are formatted as bytes
+  function fillTable(id, rows, empty, sizes) {
+    const body = document.getElementById(id);
+    body.innerHTML = '';
+    if (!rows.length) {
+      const td = text('td', 'muted', empty);
+      td.colSpan = body.parentNode.querySelectorAll('th').length;
+      const tr = document.createElement('tr');
+      tr.appendChild(td);
+      body.appendChild(tr);
+      return;
+    }
+    rows.forEach((cells) => {
+      const tr = document.createElement('tr');
+      cells.forEach((value, i) => {
+        tr.appendChild(sizes.includes(i) ? text('td', 'size', formatBytes(value)) : text('td', '', value));
+      });
+      body.appendChild(tr);
+    });
+  }
+
+  function render(u) {
+    summaryEl.textContent = formatBytes(u.bytes) + ' in total • ' + u.submissions.count + ' release(s): ' + formatBytes(u.submissions.bytes) +
+      ' • orphaned: ' + formatBytes(u.orphans.bytes) + ' • unfinished uploads: ' + u.incoming.count + ' (' + formatBytes(u.incoming.bytes) + ')';
+    policyEl.textContent = (u.retentionDays
+      ? 'Rejected and withdrawn releases lose their files ' + u.retentionDays + ' day(s) after the decision.'
+      : 'Rejected and withdrawn releases keep their files (RETENTION_DAYS is not set).') +
+      ' Due now: ' + u.purgeable.orphans.count + ' orphaned item(s) (' + formatBytes(u.purgeable.orphans.bytes) + '), ' +
+      u.purgeable.expired.count + ' expired release(s) (' + formatBytes(u.purgeable.expired.bytes) + ').' +
+      heldNote(u);
+    fillTable('artists-list', u.artists.map((a) => [a.name || a.artistId || 'No account', a.submissions, a.files, a.bytes]), 'Nothing stored yet', [3]);
+    fillTable('submissions-list', u.submissions.largest.map((s) => [
+      s.albumName || s.submissionId, STATUS_LABELS[s.status] || s.status, s.files, s.bytes, s.expiresAt ? formatDate(s.expiresAt) : '—'
+    ]), 'Nothing stored yet', [3]);
+    fillTable('orphans-list', u.orphans.largest.map((o) => [o.path, o.reason, o.files, o.bytes, formatDate(o.removableAt)]), 'No orphaned files', [3]);
+  }
+
+  async function load() {
+    try {
+      const resp = await fetch('/admin/api/storage', { credentials: 'same-origin' });
+      const body = await resp.json();
+      if (!resp.ok) throw new Error(body.error || 'Request failed');
+      render(body);
+    } catch (err) {
+      showMessage(msgEl, 'error', err.message || 'Network error');
+    }
+  }
+
+  async function purge(dryRun) {
+    const resp = await fetch('/admin/api/storage/purge', {
+      method: 'POST',
+      headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ dryRun, orphans: form.orphans.checked, expired: form.expired.checked }),
+      credentials: 'same-origin'
+    });
+    const body = await resp.json();
+    if (!resp.ok) throw new Error(body.error || 'Request failed');
+    return body;
+  }
+
+  function listResult(r) {
+    purgeList.innerHTML = '';
+    r.expired.forEach((s) => purgeList.appendChild(text('li', '', (s.albumName || s.submissionId) + ' (' + (STATUS_LABELS[s.status] || s.status) + ', expired ' + formatDate(s.expiredAt) + '): ' + s.files + ' file(s), ' + formatBytes(s.bytes))));
+    r.orphans.forEach((o) => purgeList.appendChild(text('li', '', o.path + ' (' + o.reason + '): ' + o.files + ' file(s), ' + formatBytes(o.bytes))));
+  }
+
+  const summarize = (r) => (r.expired.length + ' release(s) and ' + r.orphans.length + ' orphaned item(s), ' + r.files + ' file(s), ' + formatBytes(r.bytes));
+
+  previewBtn.addEventListener('click', async () => {
+    try {
+      const r = await purge(true);
+      listResult(r);
+      showMessage(purgeMsg, '', (r.files ? 'A purge would remove ' + summarize(r) + ':' : 'Nothing to remove.') + heldNote(r));
+    } catch (err) {
+      showMessage(purgeMsg, 'error', err.message);
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const preview = await purge(true);
+      if (!preview.files) {
+        purgeList.innerHTML = '';
+        showMessage(purgeMsg, '', 'Nothing to remove.' + heldNote(preview));
+        return;
+      }
+      if (!confirm('Remove ' + summarize(preview) + '? This cannot be undone.')) return;
+      const r = await purge(false);
+      listResult(r);
+      showMessage(purgeMsg, 'success', 'Removed ' + summarize(r) + (r.skipped.length ? ' (' + r.skipped.length + ' release(s) changed meanwhile and were kept)' : ''));
+      load();
+    } catch (err) {
+      showMessage(purgeMsg, 'error', err.message);
+    }
+  });
+
+  load();
+})();
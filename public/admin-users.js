@@ -0,0 +1,150 @@
+// admin-users.js
+// Owner-only screen to manage admin accounts (data from /admin/api/admins):
+// add admins, change their role, disable / re-enable them, reset a password,
+// end a sign-in lockout, turn off two-factor sign-in for someone who lost their
+// device and delete accounts. The server refuses to remove the last active owner.
+
+(function () {
+  const listEl = document.getElementById('admins-list');
+  const msgEl = document.getElementById('admins-message');
+  const form = document.getElementById('add-admin-form');
+  const addMsg = document.getElementById('add-message');
+  const roleSelect = document.getElementById('new-role');
+
+  // Mirrors ROLE_LABELS in lib/admin-roles.js
+  const ROLE_LABELS = { reviewer: 'Reviewer', manager: 'Manager', owner: 'Owner' };
+
+  function formatDate(d) { return d ? new Date(d).toLocaleString() : 'never'; }
+
+  function text(tag, className, value) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    node.textContent = value;
+    return node;
+  }
+
+  function showMessage(target, type, value) {
+    target.classList.remove('success', 'error');
+    if (type) target.classList.add(type);
+    target.textContent = value;
+  }
+
+  async function api(method, url, data) {
+    const resp = await fetch(url, {
+      method,
+      headers: csrfHeaders(data ? { 'Content-Type': 'application/json' } : {}),
+      body: data ? JSON.stringify(data) : undefined,
+      credentials: 'same-origin'
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(body.error || 'Request failed');
+    return body;
+  }
+
+  function roleOptions(select, roles, current) {
+    select.innerHTML = '';
+    roles.forEach((r) => {
+      const opt = text('option', '', ROLE_LABELS[r] || r);
+      opt.value = r;
+      opt.selected = r === current;
+      select.appendChild(opt);
+    });
+  }
+
+  // Run a change, then reload the list; errors (e.g. last owner) are shown
+  async function change(method, url, data, done) {
+    try {
+      await api(method, url, data);
+      showMessage(msgEl, 'success', done);
+    } catch (err) {
+      showMessage(msgEl, 'error', err.message);
+    }
+    load();
+  }
+
+  function renderAdmin(a, roles) {
+    const tr = document.createElement('tr');
+    if (a.disabled) tr.className = 'disabled';
+    tr.appendChild(text('td', '', a.name + (a.disabled ? ' (disabled)' : '')));
+    const emailCell = text('td', 'small', a.email);
+    if (a.twoFactor) emailCell.appendChild(text('div', 'muted small', 'Two-factor sign-in'));
+    if (a.lockedUntil) emailCell.appendChild(text('div', 'small', 'Locked until ' + formatDate(a.lockedUntil)));
+    tr.appendChild(emailCell);
+
+    const roleCell = document.createElement('td');
+    const select = document.createElement('select');
+    roleOptions(select, roles, a.role);
+    select.addEventListener('change', () => change('PATCH', '/admin/api/admins/' + a.id, { role: select.value }, a.name + ' is now ' + ROLE_LABELS[select.value]));
+    roleCell.appendChild(select);
+    tr.appendChild(roleCell);
+
+    tr.appendChild(text('td', 'small', formatDate(a.lastLoginAt)));
+
+    const actions = document.createElement('td');
+    const box = document.createElement('div');
+    box.className = 'row-actions';
+    const toggle = text('button', 'btn ghost', a.disabled ? 'Enable' : 'Disable');
+    toggle.addEventListener('click', () => change('PATCH', '/admin/api/admins/' + a.id, { disabled: !a.disabled }, a.name + (a.disabled ? ' enabled' : ' disabled')));
+    const reset = text('button', 'btn ghost', 'Reset password');
+    reset.addEventListener('click', () => {
+      const password = prompt('New password for ' + a.name + ':');
+      if (password) change('PATCH', '/admin/api/admins/' + a.id, { password }, 'Password changed for ' + a.name);
+    });
+    const del = text('button', 'btn ghost', 'Delete');
+    del.addEventListener('click', () => {
+      if (confirm('Delete the admin account of ' + a.name + '? Their past actions stay in the history.')) {
+        change('DELETE', '/admin/api/admins/' + a.id, null, a.name + ' deleted');
+      }
+    });
+    const buttons = [toggle, reset];
+    if (a.lockedUntil) {
+      const unlock = text('button', 'btn ghost', 'Unlock');
+      unlock.addEventListener('click', () => change('PATCH', '/admin/api/admins/' + a.id, { unlock: true }, a.name + ' can sign in again'));
+      buttons.push(unlock);
+    }
+    if (a.twoFactor) {
+      const twoFactor = text('button', 'btn ghost', 'Turn off two-factor');
+      twoFactor.addEventListener('click', () => {
+        if (confirm('Turn off two-factor sign-in for ' + a.name + '? They will sign in with their password only until they set it up again.')) {
+          change('PATCH', '/admin/api/admins/' + a.id, { twoFactor: false }, 'Two-factor sign-in turned off for ' + a.name);
+        }
+      });
+      buttons.push(twoFactor);
+    }
+    buttons.push(del);
+    buttons.forEach((b) => box.appendChild(b));
+    actions.appendChild(box);
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  async function load() {
+    try {
+      const { admins, roles } = await api('GET', '/admin/api/admins');
+      if (!roleSelect.options.length) roleOptions(roleSelect, roles, 'reviewer');
+      listEl.innerHTML = '';
+      admins.forEach((a) => listEl.appendChild(renderAdmin(a, roles)));
+    } catch (err) {
+      showMessage(msgEl, 'error', err.message || 'Network error');
+    }
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const body = await api('POST', '/admin/api/admins', {
+        name: document.getElementById('new-name').value.trim(),
+        email: document.getElementById('new-email').value.trim(),
+        role: roleSelect.value,
+        password: document.getElementById('new-password').value
+      });
+      showMessage(addMsg, 'success', body.admin.name + ' added as ' + ROLE_LABELS[body.admin.role]);
+      form.reset();
+      load();
+    } catch (err) {
+      showMessage(addMsg, 'error', err.message);
+    }
+  });
+
+  load();
+})();
@@ -0,0 +1,198 @@
+// admin-webhooks.js
+// Owner screen for outbound webhooks (data from /admin/api/webhooks): add
+// endpoints, pick their events, pause / resume, rotate the signing secret,
+// delete them, and browse the delivery log with a Replay button per delivery.
+
+(function () {
+  const hooksEl = document.getElementById('webhooks-list');
+  const hooksMsg = document.getElementById('webhooks-message');
+  const form = document.getElementById('add-webhook-form');
+  const newEvents = document.getElementById('new-events');
+  const deliveriesEl = document.getElementById('deliveries-list');
+  const deliveriesMsg = document.getElementById('deliveries-message');
+  const filterEl = document.getElementById('deliveries-filter');
+
+  const STATUS_LABELS = { queued: 'Queued', delivered: 'Delivered', failed: 'Failed' };
+  let hooks = [];
+
+  function formatDate(d) { return d ? new Date(d).toLocaleString() : '—'; }
+
+  function text(tag, className, value) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    node.textContent = value;
+    return node;
+  }
+
+  function showMessage(target, type, value) {
+    target.classList.remove('success', 'error');
+    if (type) target.classList.add(type);
+    target.textContent = value;
+  }
+
+  async function api(method, url, data) {
+    const resp = await fetch(url, {
+      method,
+      headers: csrfHeaders(data ? { 'Content-Type': 'application/json' } : {}),
+      body: data ? JSON.stringify(data) : undefined,
+      credentials: 'same-origin'
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(body.error || 'Request failed');
+    return body;
+  }
+
+  function eventCheckboxes(container, events, selected) {
+    container.innerHTML = '';
+    events.forEach((ev) => {
+      const label = document.createElement('label');
+      label.className = 'small';
+      label.style.cssText = 'display:inline-flex; align-items:center; gap:6px;';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = ev;
+      box.checked = selected.includes(ev);
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(ev));
+      container.appendChild(label);
+    });
+  }
+
+  function checkedEvents(container) {
+    return Array.from(container.querySelectorAll('input:checked')).map(i => i.value);
+  }
+
+  async function change(method, url, data, done) {
+    try {
+      await api(method, url, data);
+      showMessage(hooksMsg, 'success', done);
+    } catch (err) {
+      showMessage(hooksMsg, 'error', err.message);
+    }
+    load();
+  }
+
+  function renderHook(h, events) {
+    const div = document.createElement('div');
+    div.className = 'hook' + (h.active ? '' : ' inactive');
+    div.appendChild(text('strong', '', (h.description || h.url) + (h.active ? '' : ' (paused)')));
+    div.appendChild(text('div', 'muted small', h.url));
+    const secret = document.createElement('div');
+    secret.className = 'small';
+    secret.appendChild(document.createTextNode('Signing secret: '));
+    secret.appendChild(text('code', '', h.secret));
+    div.appendChild(secret);
+
+    const eventsBox = document.createElement('div');
+    eventsBox.style.cssText = 'display:flex; gap:12px; flex-wrap:wrap; margin-top:6px;';
+    eventCheckboxes(eventsBox, events, h.events);
+    eventsBox.addEventListener('change', () => change('PATCH', '/admin/api/webhooks/' + h.id, { events: checkedEvents(eventsBox) }, 'Events updated'));
+    div.appendChild(eventsBox);
+
+    const actions = document.createElement('div');
+    actions.className = 'row-actions';
+    const toggle = text('button', 'btn ghost', h.active ? 'Pause' : 'Resume');
+    toggle.addEventListener('click', () => change('PATCH', '/admin/api/webhooks/' + h.id, { active: !h.active }, h.active ? 'Endpoint paused' : 'Endpoint resumed'));
+    const rotate = text('button', 'btn ghost', 'Rotate secret');
+    rotate.addEventListener('click', () => {
+      if (confirm('Generate a new signing secret? The receiver must be updated before the next delivery.')) {
+        change('PATCH', '/admin/api/webhooks/' + h.id, { rotateSecret: true }, 'Secret rotated');
+      }
+    });
+    const del = text('button', 'btn ghost', 'Delete');
+    del.addEventListener('click', () => {
+      if (confirm('Delete this endpoint? Queued deliveries to it will be dropped.')) change('DELETE', '/admin/api/webhooks/' + h.id, null, 'Endpoint deleted');
+    });
+    [toggle, rotate, del].forEach((b) => actions.appendChild(b));
+    div.appendChild(actions);
+    return div;
+  }
+
+  function renderDeliveries(deliveries) {
+    deliveriesEl.innerHTML = '';
+    if (!deliveries.length) {
+      const tr = document.createElement('tr');
+      const td = text('td', 'muted', 'No deliveries yet');
+      td.colSpan = 6;
+      tr.appendChild(td);
+      deliveriesEl.appendChild(tr);
+      return;
+    }
+    deliveries.forEach((d) => {
+      const tr = document.createElement('tr');
+      tr.appendChild(text('td', '', formatDate(d.createdAt) + (d.replayOf ? ' (replay)' : '')));
+      const eventCell = text('td', '', d.event);
+      const details = document.createElement('details');
+      details.appendChild(text('summary', 'muted small', 'Payload'));
+      details.appendChild(text('pre', '', JSON.stringify(d.payload, null, 2)));
+      eventCell.appendChild(details);
+      tr.appendChild(eventCell);
+      tr.appendChild(text('td', 'small', d.url));
+      const status = text('td', 'st-' + d.status, (STATUS_LABELS[d.status] || d.status) + (d.lastStatus ? ' (HTTP ' + d.lastStatus + ')' : ''));
+      if (d.lastError) status.appendChild(text('div', 'muted small', d.lastError));
+      if (d.status === 'queued' && d.attempts) status.appendChild(text('div', 'muted small', 'Next try ' + formatDate(d.nextAttemptAt)));
+      tr.appendChild(status);
+      tr.appendChild(text('td', '', String(d.attempts)));
+      const actions = document.createElement('td');
+      const btn = text('button', 'btn ghost', 'Replay');
+      btn.addEventListener('click', async () => {
+        try {
+          await api('POST', '/admin/api/webhooks/deliveries/' + d.id + '/replay');
+          showMessage(deliveriesMsg, 'success', 'Delivery queued again');
+        } catch (err) {
+          showMessage(deliveriesMsg, 'error', err.message);
+        }
+        load();
+      });
+      actions.appendChild(btn);
+      tr.appendChild(actions);
+      deliveriesEl.appendChild(tr);
+    });
+  }
+
+  async function load() {
+    try {
+      const filter = filterEl.value;
+      const data = await api('GET', '/admin/api/webhooks' + (filter ? '?webhookId=' + encodeURIComponent(filter) : ''));
+      hooks = data.webhooks;
+      if (!newEvents.children.length) eventCheckboxes(newEvents, data.events, data.events);
+      hooksEl.innerHTML = '';
+      if (!hooks.length) hooksEl.appendChild(text('div', 'muted small', 'No endpoints yet.'));
+      hooks.forEach((h) => hooksEl.appendChild(renderHook(h, data.events)));
+
+      filterEl.innerHTML = '';
+      const all = text('option', '', 'All endpoints');
+      all.value = '';
+      filterEl.appendChild(all);
+      hooks.forEach((h) => {
+        const opt = text('option', '', h.description || h.url);
+        opt.value = h.id;
+        opt.selected = h.id === filter;
+        filterEl.appendChild(opt);
+      });
+      renderDeliveries(data.deliveries);
+    } catch (err) {
+      showMessage(hooksMsg, 'error', err.message || 'Network error');
+    }
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      await api('POST', '/admin/api/webhooks', {
+        url: document.getElementById('new-url').value.trim(),
+        description: document.getElementById('new-description').value.trim(),
+        events: checkedEvents(newEvents)
+      });
+      showMessage(hooksMsg, 'success', 'Endpoint added');
+      form.reset();
+      newEvents.querySelectorAll('input').forEach((i) => { i.checked = true; });
+      load();
+    } catch (err) {
+      showMessage(hooksMsg, 'error', err.message);
+    }
+  });
+
+  filterEl.addEventListener('change', load);
+  load();
+})();
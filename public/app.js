@@ -1,8 +1,11 @@
 // Client-side logic for album submission form
 // - dynamic track entries
-// - validates cover size minimum 3000x3000
-// - bundles metadata + files into FormData and POSTs to /submit
+// - validates cover is square and between 3000x3000 and 6000x6000 (the server re-checks)
+// - uploads cover + audio in resumable chunks via /api/uploads (resumable-upload.js),
+//   then finalizes with the metadata
 // - maps each track to selected audio file by file name
+// - checks UPC / ISRC codes and (P)/(C) lines with release-codes.js, the same checks /submit runs
+// - royalty splits per track with split-editor.js
 
 (function () {
   const el = (s) => document.querySelector(s);
@@ -15,9 +18,24 @@
   const coverInfo = el('#cover-info');
   const form = el('#album-form');
   const msg = el('#form-message');
+  const submitBtn = el('#submit-btn');
 
   let trackCount = parseInt(numSongsInput.value || '1', 10);
 
+  const RELEASE_FIELDS = ['primaryArtist', 'label', 'upc', 'genre', 'subgenre', 'language', 'pLine', 'cLine'];
+  let accountName = '';
+
+  // Mirrors COVER_SPEC in lib/image-meta.js; the server has the final say
+  const COVER_MIN = 3000;
+  const COVER_MAX = 6000;
+
+  function coverProblem(w, h) {
+    if (w !== h) return `Image must be square: ${w} x ${h}`;
+    if (w < COVER_MIN) return `Image too small: ${w} x ${h} — minimum ${COVER_MIN}x${COVER_MIN}`;
+    if (w > COVER_MAX) return `Image too large: ${w} x ${h} — maximum ${COVER_MAX}x${COVER_MAX}`;
+    return '';
+  }
+
   function createTrack(index) {
     const wrapper = document.createElement('div');
     wrapper.className = 'field';
@@ -32,10 +50,34 @@
         </label>
         <input type="file" accept="audio/*" class="track-file" style="min-width:200px">
       </div>
+      <div style="display:flex; gap:8px; flex-wrap:wrap; margin-top:8px;">
+        <input type="text" class="track-isrc" placeholder="ISRC (optional)" style="flex:1; min-width:140px">
+        <input type="text" class="track-composers" placeholder="Composers, comma-separated" style="flex:2; min-width:160px" required>
+        <input type="text" class="track-lyricists" placeholder="Lyricists (optional)" style="flex:2; min-width:160px">
+        <input type="text" class="track-producers" placeholder="Producers (optional)" style="flex:2; min-width:160px">
+      </div>
     `;
+    wrapper.appendChild(SplitEditor.create([]));
     return wrapper;
   }
 
+  function fillSelects() {
+    ReleaseCodes.GENRES.forEach((g) => el('#genre').appendChild(new Option(g, g)));
+    Object.entries(ReleaseCodes.LANGUAGES)
+      .sort((a, b) => a[1].localeCompare(b[1]))
+      .forEach(([code, name]) => el('#language').appendChild(new Option(name, code)));
+  }
+
+  // The account name is the usual primary artist
+  async function prefillArtist() {
+    try {
+      const resp = await fetch('/api/auth/me', { credentials: 'same-origin' });
+      if (!resp.ok) return;
+      accountName = (await resp.json()).user.name || '';
+      if (!el('#primaryArtist').value) el('#primaryArtist').value = accountName;
+    } catch (e) { /* signed out: the submit step asks to sign in */ }
+  }
+
   function renderTracks(count) {
     tracksContainer.innerHTML = '';
     for (let i = 0; i < count; i++) {
@@ -43,6 +85,54 @@
     }
   }
 
+  function sendJSON(method, url, data) {
+    return fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: data ? JSON.stringify(data) : undefined,
+      credentials: 'same-origin'
+    });
+  }
+
+  function showSignInMessage(text) {
+    showMessage((text || 'Please sign in to continue') + ' — ', 'error');
+    const link = document.createElement('a');
+    link.href = '/account';
+    link.textContent = 'sign in or create an account';
+    msg.appendChild(link);
+  }
+
+  function fieldError(row, text) {
+    const err = document.createElement('div');
+    err.className = 'small field-error error';
+    err.textContent = text;
+    row.appendChild(err);
+  }
+
+  // Show per-field validation errors returned by /submit (or found before uploading)
+  function showFieldErrors(fields) {
+    elAll('.field-error').forEach(e => e.remove());
+    RELEASE_FIELDS.forEach((name) => {
+      if (fields[name]) fieldError(el('#' + name).closest('.field'), fields[name].join('; '));
+    });
+    (fields.tracks || []).forEach((text) => {
+      const m = /^Track (\d+)/.exec(text);
+      const row = m && tracksContainer.querySelectorAll('.field')[m[1] - 1];
+      if (row) fieldError(row, text);
+    });
+    if (fields.cover) {
+      coverInfo.textContent = fields.cover.join('; ');
+      coverInfo.classList.add('error');
+    }
+    (fields.trackFiles || []).forEach((text) => {
+      const row = elAll('#tracks-container .field').find((f) => {
+        const file = f.querySelector('.track-file').files[0];
+        return file && text.startsWith(file.name + ':');
+      });
+      if (row) fieldError(row, text);
+    });
+  }
+
   function showMessage(text, type = '') {
     msg.classList.remove('success', 'error');
     if (type) msg.classList.add(type);
@@ -60,11 +150,12 @@
     const img = new Image();
     const url = URL.createObjectURL(f);
     img.onload = function () {
-      if (img.naturalWidth >= 3000 && img.naturalHeight >= 3000) {
+      const problem = coverProblem(img.naturalWidth, img.naturalHeight);
+      if (!problem) {
         coverInfo.textContent = `OK — ${img.naturalWidth} x ${img.naturalHeight}`;
         coverInfo.classList.remove('error');
       } else {
-        coverInfo.textContent = `Image too small: ${img.naturalWidth} x ${img.naturalHeight} — minimum 3000x3000`;
+        coverInfo.textContent = problem;
         coverInfo.classList.add('error');
       }
       URL.revokeObjectURL(url);
@@ -97,11 +188,14 @@
 
   // initial tracks
   renderTracks(trackCount);
+  fillSelects();
+  prefillArtist();
 
   // Form submit
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     showMessage('Submitting...', '');
+    elAll('.field-error').forEach(e => e.remove());
 
     // validate cover
     const coverFile = coverInput.files && coverInput.files[0];
@@ -111,18 +205,18 @@
     }
 
     // Quick client-side dimension recheck
-    const ok = await new Promise((resolve) => {
+    const problem = await new Promise((resolve) => {
       const img = new Image();
       const url = URL.createObjectURL(coverFile);
       img.onload = function () {
-        resolve(img.naturalWidth >= 3000 && img.naturalHeight >= 3000);
+        resolve(coverProblem(img.naturalWidth, img.naturalHeight));
         URL.revokeObjectURL(url);
       };
-      img.onerror = () => resolve(false);
+      img.onerror = () => resolve('Cover image could not be read');
       img.src = url;
     });
-    if (!ok) {
-      showMessage('Cover image must be at least 3000x3000', 'error');
+    if (problem) {
+      showMessage(problem, 'error');
       return;
     }
 
@@ -142,6 +236,11 @@
         title,
         featured,
         explicit,
+        isrc: f.querySelector('.track-isrc').value.trim(),
+        composers: f.querySelector('.track-composers').value,
+        lyricists: f.querySelector('.track-lyricists').value,
+        producers: f.querySelector('.track-producers').value,
+        splits: SplitEditor.read(f.querySelector('.split-editor')),
         fileName: file ? file.name : null
       };
     });
@@ -154,45 +253,65 @@
       }
     }
 
-    const fd = new FormData();
-    fd.append('albumName', el('#albumName').value.trim());
-    fd.append('releaseDate', el('#releaseDate').value);
-    fd.append('platforms', sel.join(','));
-    fd.append('numSongs', String(trackCount));
-    fd.append('tracks', JSON.stringify(tracks));
-
-    // append cover
-    fd.append('cover', coverFile, coverFile.name);
+    const release = {};
+    RELEASE_FIELDS.forEach((name) => { release[name] = el('#' + name).value.trim(); });
+    const problems = ReleaseCodes.releaseProblems(release);
+    const trackProblems = ReleaseCodes.trackProblems(tracks);
+    if (trackProblems.length) problems.tracks = trackProblems;
+    if (Object.keys(problems).length) {
+      showFieldErrors(problems);
+      showMessage('Please fix the highlighted release details', 'error');
+      return;
+    }
 
-    // append each audio file (field name trackFiles)
+    // files to upload: cover first, then each track's audio (field name trackFiles)
+    const uploads = [{ file: coverFile, field: 'cover', row: coverInput.closest('.field') }];
     trackEls.forEach((f) => {
       const fileInput = f.querySelector('.track-file');
       const file = fileInput.files && fileInput.files[0];
-      if (file) {
-        fd.append('trackFiles', file, file.name);
-      }
+      if (file) uploads.push({ file, field: 'trackFiles', row: f });
     });
 
-    // submit
+    submitBtn.disabled = true;
     try {
-      const resp = await fetch('/submit', {
-        method: 'POST',
-        body: fd
+      showMessage('Uploading files...', '');
+      const uploadId = await ResumableUpload.send(uploads);
+
+      showMessage('Finalizing submission...', '');
+      const resp = await sendJSON('POST', `/api/uploads/${uploadId}/finalize`, {
+        albumName: el('#albumName').value.trim(),
+        releaseDate: el('#releaseDate').value,
+        platforms: sel.join(','),
+        numSongs: String(trackCount),
+        ...release,
+        tracks: JSON.stringify(tracks)
       });
       const body = await resp.json();
+      if (resp.status === 401) {
+        showSignInMessage(body.error);
+        return;
+      }
+      // after an error the same files are sent again, and the upload is reused if the server kept it
       if (!resp.ok) {
+        if (body.fields) showFieldErrors(body.fields);
         showMessage(body.error || 'Submission failed', 'error');
         return;
       }
-      showMessage('Submission successful — ID: ' + body.id, 'success');
+      ResumableUpload.forget();
+      showMessage('Submission successful — ID: ' + body.id + '. Follow its review under My releases.', 'success');
       form.reset();
       renderTracks(1);
       trackCount = 1;
       numSongsInput.value = '1';
       coverInfo.textContent = '';
+      el('#primaryArtist').value = accountName;
+      elAll('.upload-progress').forEach(e => e.remove());
     } catch (err) {
       console.error(err);
-      showMessage('Network error', 'error');
+      if (err.status === 401) showSignInMessage(err.message);
+      else showMessage(err.message || 'Network error', 'error');
+    } finally {
+      submitBtn.disabled = false;
     }
   });
 
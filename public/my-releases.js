@@ -0,0 +1,398 @@
+// my-releases.js
+// Lists the signed-in artist's submissions with their review status,
+// admin note, timestamps, review history and track list (data from
+// /api/my/submissions), and lets the artist withdraw a release or revise one
+// that was rejected or sent back for changes (new files go through
+// resumable-upload.js, then POST /api/my/submissions/:id/revisions). Release
+// codes, credits and royalty splits (split-editor.js) are checked with
+// release-codes.js before sending. The split sheet can be downloaded as CSV
+// or opened as a page to print and sign. Tracks play from short-lived signed
+// links (/api/my/submissions/:id/files), fetched when the artist presses Listen.
+
+(function () {
+  const listEl = document.getElementById('releases-list');
+  const msgEl = document.getElementById('releases-message');
+
+  // Mirrors STATUS_LABELS in lib/workflow.js
+  const STATUS_LABELS = {
+    submitted: 'Submitted',
+    in_review: 'In review',
+    changes_requested: 'Changes requested',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    delivered: 'Delivered',
+    live: 'Live',
+    withdrawn: 'Withdrawn'
+  };
+
+  function formatDate(d) { return d ? new Date(d).toLocaleString() : '—'; }
+  function statusLabel(st) { return STATUS_LABELS[st] || st; }
+
+  function text(tag, className, value) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    node.textContent = value;
+    return node;
+  }
+
+  function input(type, className, value) {
+    const node = document.createElement('input');
+    node.type = type;
+    if (className) node.className = className;
+    if (type === 'checkbox') node.checked = !!value;
+    else if (type !== 'file') node.value = value || '';
+    return node;
+  }
+
+  // options: [[value, label]]
+  function select(options, value) {
+    const node = document.createElement('select');
+    options.forEach(([v, label]) => node.appendChild(new Option(label, v)));
+    node.value = value || '';
+    return node;
+  }
+
+  function labelled(label, control) {
+    const field = document.createElement('div');
+    field.className = 'field';
+    field.appendChild(text('label', '', label));
+    field.appendChild(control);
+    return field;
+  }
+
+  function renderRelease(s) {
+    const div = document.createElement('div');
+    div.className = 'release';
+    div.appendChild(text('h3', '', s.albumName || 'Untitled release'));
+
+    const meta = document.createElement('div');
+    meta.className = 'muted small';
+    meta.style.margin = '0';
+    meta.appendChild(text('span', 'status ' + s.status, statusLabel(s.status)));
+    meta.appendChild(document.createTextNode(
+      ' • Release date: ' + (s.releaseDate || '—') +
+      ' • Platforms: ' + (s.platforms.join(', ') || '—')
+    ));
+    div.appendChild(meta);
+
+    const times = (s.version > 1 ? 'Version ' + s.version + ' • ' : '') + 'Submitted ' + formatDate(s.createdAt) + (s.updatedAt ? ' • Last reviewed ' + formatDate(s.updatedAt) : '');
+    const timesEl = text('div', 'muted small', times);
+    timesEl.style.margin = '0';
+    div.appendChild(timesEl);
+
+    if (s.adminNote) div.appendChild(text('div', 'note small', 'Note from the review team: ' + s.adminNote));
+    if (s.filesRemovedAt) div.appendChild(text('div', 'muted small', 'The audio and cover of this release were removed on ' + formatDate(s.filesRemovedAt) + '.'));
+
+    const ol = document.createElement('ol');
+    s.tracks.forEach((t, i) => {
+      const explicit = (t.explicit === true || t.explicit === 'true') ? ' (Explicit)' : '';
+      const featured = t.featured ? ' feat. ' + t.featured : '';
+      const li = text('li', 'small', (t.title || 'Untitled') + featured + explicit + ' ');
+      if (!s.filesRemovedAt) li.appendChild(listenButton(s, i));
+      // flagged tracks tell the artist what to fix
+      if (t.review && t.review.status === 'flagged') {
+        const flag = text('div', 'small', 'Needs changes' + (t.review.note ? ': ' + t.review.note : ''));
+        flag.style.color = 'var(--danger)';
+        li.appendChild(flag);
+      }
+      ol.appendChild(li);
+    });
+    div.appendChild(ol);
+
+    if (s.tracks.some((t) => t.splits.length)) {
+      const sheet = text('div', 'small', 'Split sheet: ');
+      const base = '/api/my/submissions/' + encodeURIComponent(s.id) + '/splits.';
+      const csv = text('a', '', 'CSV');
+      csv.href = base + 'csv';
+      const print = text('a', '', 'print and sign');
+      print.href = base + 'html';
+      print.target = '_blank';
+      [csv, document.createTextNode(' • '), print].forEach((n) => sheet.appendChild(n));
+      div.appendChild(sheet);
+    }
+
+    if (s.history.length > 1) {
+      const details = document.createElement('details');
+      details.className = 'small';
+      details.style.marginTop = '8px';
+      details.appendChild(text('summary', 'muted', 'Review history'));
+      const ul = document.createElement('ul');
+      s.history.forEach((h) => {
+        const who = h.by === 'artist' ? 'you' : 'the review team';
+        const what = h.version ? 'Version ' + h.version + ' submitted' : statusLabel(h.to);
+        const li = text('li', '', formatDate(h.at) + ' — ' + what + ' by ' + who + (h.note ? ': ' + h.note : ''));
+        ul.appendChild(li);
+      });
+      details.appendChild(ul);
+      div.appendChild(details);
+    }
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display:flex; gap:8px; margin-top:8px;';
+    if (s.canRevise) {
+      const btn = text('button', 'btn primary', 'Revise');
+      btn.addEventListener('click', () => {
+        btn.disabled = true;
+        div.appendChild(reviseForm(s, () => { btn.disabled = false; }));
+      });
+      actions.appendChild(btn);
+    }
+    if (s.canWithdraw) {
+      const btn = text('button', 'btn ghost', s.status === 'live' ? 'Request takedown' : 'Withdraw');
+      btn.addEventListener('click', () => withdraw(s));
+      actions.appendChild(btn);
+    }
+    if (actions.children.length) div.appendChild(actions);
+    return div;
+  }
+
+  // Swaps itself for a player of track i once the signed link is in
+  function listenButton(s, i) {
+    const btn = text('button', 'btn ghost', 'Listen');
+    btn.type = 'button';
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      const res = await fetch('/api/my/submissions/' + encodeURIComponent(s.id) + '/files');
+      const body = await res.json();
+      if (!res.ok || !body.tracks[i]) {
+        btn.disabled = false;
+        msgEl.textContent = body.error || 'The audio of this track is not available';
+        return;
+      }
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.autoplay = true;
+      audio.src = body.tracks[i];
+      audio.style.cssText = 'display:block; width:100%; margin-top:4px;';
+      btn.replaceWith(audio);
+    });
+    return btn;
+  }
+
+  // One editable track row; source is the track's position in the current
+  // version, or null for a track added in this revision
+  function reviseTrackRow(t, source) {
+    const row = document.createElement('div');
+    row.className = 'field revise-track';
+    row.dataset.source = source === null ? '' : String(source);
+    const line = document.createElement('div');
+    line.style.cssText = 'display:flex; gap:8px; flex-wrap:wrap; align-items:center;';
+    const title = input('text', 'track-title', t.title);
+    title.placeholder = 'Song Title';
+    title.style.cssText = 'flex:2; min-width:160px';
+    const featured = input('text', 'track-featured', t.featured);
+    featured.placeholder = 'Featured Artists (optional)';
+    featured.style.cssText = 'flex:1; min-width:140px';
+    const explicitLabel = document.createElement('label');
+    explicitLabel.style.cssText = 'display:inline-flex; align-items:center; gap:6px;';
+    explicitLabel.appendChild(input('checkbox', 'track-explicit', t.explicit === true || t.explicit === 'true'));
+    explicitLabel.appendChild(document.createTextNode(' Explicit'));
+    const file = input('file', 'track-file');
+    file.accept = 'audio/*';
+    const remove = text('button', 'btn ghost', 'Remove');
+    remove.type = 'button';
+    remove.addEventListener('click', () => row.remove());
+    [title, featured, explicitLabel, file, remove].forEach(n => line.appendChild(n));
+    const credits = document.createElement('div');
+    credits.style.cssText = 'display:flex; gap:8px; flex-wrap:wrap; margin-top:8px;';
+    [
+      ['track-isrc', t.isrc, 'ISRC (optional)'],
+      ['track-composers', (t.composers || []).join(', '), 'Composers, comma-separated'],
+      ['track-lyricists', (t.lyricists || []).join(', '), 'Lyricists (optional)'],
+      ['track-producers', (t.producers || []).join(', '), 'Producers (optional)']
+    ].forEach(([className, value, placeholder]) => {
+      const field = input('text', className, value);
+      field.placeholder = placeholder;
+      field.style.cssText = 'flex:1; min-width:140px';
+      credits.appendChild(field);
+    });
+    row.appendChild(text('label', '', source === null ? 'New track' : 'Track ' + (source + 1) + (t.originalFileName ? ' — ' + t.originalFileName : '')));
+    row.appendChild(line);
+    row.appendChild(credits);
+    row.appendChild(SplitEditor.create(t.splits));
+    if (source !== null) row.appendChild(text('div', 'muted small', 'Choose a file only to replace the audio'));
+    return row;
+  }
+
+  // Inline form to revise a release: metadata, cover, tracks (replace, add,
+  // remove) and a note for the review team
+  function reviseForm(s, onClose) {
+    const form = document.createElement('form');
+    form.className = 'revise';
+    form.style.marginTop = '12px';
+    form.appendChild(text('h4', '', 'Revise release (version ' + (s.version + 1) + ')'));
+
+    const albumName = input('text', '', s.albumName);
+    const releaseDate = input('date', '', s.releaseDate);
+    const platforms = input('text', '', s.platforms.join(', '));
+    const cover = input('file', '');
+    cover.accept = 'image/png,image/jpeg';
+    form.appendChild(labelled('Album name', albumName));
+    form.appendChild(labelled('Release date', releaseDate));
+    form.appendChild(labelled('Platforms (comma-separated)', platforms));
+
+    // release metadata, checked with release-codes.js like the submission form
+    const release = {
+      primaryArtist: input('text', '', s.primaryArtist),
+      label: input('text', '', s.label),
+      upc: input('text', '', s.upc),
+      genre: select([['', 'Choose a genre']].concat(ReleaseCodes.GENRES.map(g => [g, g])), s.genre),
+      subgenre: input('text', '', s.subgenre),
+      language: select([['', 'Choose a language']].concat(Object.entries(ReleaseCodes.LANGUAGES).sort((a, b) => a[1].localeCompare(b[1]))), s.language),
+      pLine: input('text', '', s.pLine),
+      cLine: input('text', '', s.cLine)
+    };
+    [
+      ['primaryArtist', 'Primary artist'], ['label', 'Label (optional)'], ['upc', 'UPC / EAN (optional)'],
+      ['genre', 'Genre'], ['subgenre', 'Subgenre (optional)'], ['language', 'Language of the lyrics'],
+      ['pLine', '(P) line, e.g. 2026 Night Records'], ['cLine', '(C) line, e.g. 2026 Night Records']
+    ].forEach(([name, label]) => form.appendChild(labelled(label, release[name])));
+    const coverField = labelled('New cover (optional, keeps the current cover if empty)', cover);
+    form.appendChild(coverField);
+
+    const tracksEl = document.createElement('div');
+    s.tracks.forEach((t, i) => tracksEl.appendChild(reviseTrackRow(t, i)));
+    form.appendChild(tracksEl);
+    const addBtn = text('button', 'btn ghost', 'Add track');
+    addBtn.type = 'button';
+    addBtn.addEventListener('click', () => tracksEl.appendChild(reviseTrackRow({}, null)));
+    form.appendChild(addBtn);
+
+    const note = document.createElement('textarea');
+    note.style.cssText = 'width:100%; height:60px; margin-top:6px; border-radius:8px; padding:8px';
+    form.appendChild(labelled('What did you change? (shown to the review team)', note));
+
+    const submit = text('button', 'btn primary', 'Send revision');
+    submit.type = 'submit';
+    const cancel = text('button', 'btn ghost', 'Cancel');
+    cancel.type = 'button';
+    cancel.addEventListener('click', () => { form.remove(); onClose(); });
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display:flex; gap:8px; margin-top:8px;';
+    buttons.appendChild(submit);
+    buttons.appendChild(cancel);
+    form.appendChild(buttons);
+    const formMsg = text('div', 'message small', '');
+    form.appendChild(formMsg);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      formMsg.className = 'message small';
+      const rows = Array.from(tracksEl.querySelectorAll('.revise-track'));
+      if (!rows.length) {
+        formMsg.classList.add('error');
+        formMsg.textContent = 'A release needs at least one track';
+        return;
+      }
+      const uploads = [];
+      const coverFile = cover.files[0];
+      if (coverFile) uploads.push({ file: coverFile, field: 'cover', row: coverField });
+      const tracks = rows.map((row) => {
+        const file = row.querySelector('.track-file').files[0];
+        if (file) uploads.push({ file, field: 'trackFiles', row });
+        return {
+          title: row.querySelector('.track-title').value.trim(),
+          featured: row.querySelector('.track-featured').value.trim(),
+          explicit: row.querySelector('.track-explicit').checked,
+          isrc: row.querySelector('.track-isrc').value.trim(),
+          composers: ReleaseCodes.names(row.querySelector('.track-composers').value),
+          lyricists: ReleaseCodes.names(row.querySelector('.track-lyricists').value),
+          producers: ReleaseCodes.names(row.querySelector('.track-producers').value),
+          splits: SplitEditor.read(row.querySelector('.split-editor')),
+          source: row.dataset.source === '' ? null : Number(row.dataset.source),
+          fileName: file ? file.name : null
+        };
+      });
+      const values = {};
+      Object.keys(release).forEach((name) => { values[name] = release[name].value.trim(); });
+      const problems = Object.values(ReleaseCodes.releaseProblems(values)).concat(ReleaseCodes.trackProblems(tracks));
+      if (problems.length) {
+        formMsg.classList.add('error');
+        formMsg.textContent = problems.flat().join(' — ');
+        return;
+      }
+
+      submit.disabled = true;
+      try {
+        let uploadId = null;
+        if (uploads.length) {
+          formMsg.textContent = 'Uploading files...';
+          uploadId = await ResumableUpload.send(uploads);
+        }
+        formMsg.textContent = 'Sending revision...';
+        const resp = await fetch(`/api/my/submissions/${s.id}/revisions`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            uploadId,
+            albumName: albumName.value.trim(),
+            releaseDate: releaseDate.value,
+            platforms: platforms.value,
+            ...values,
+            tracks,
+            note: note.value.trim() || null
+          }),
+          credentials: 'same-origin'
+        });
+        const body = await resp.json().catch(() => ({}));
+        // the server has consumed (or discarded) the upload either way
+        if (uploadId && resp.status !== 409) ResumableUpload.forget();
+        if (!resp.ok) throw new Error(body.error || 'Could not send revision');
+        load();
+      } catch (err) {
+        formMsg.classList.add('error');
+        formMsg.textContent = err.message || 'Network error';
+      } finally {
+        submit.disabled = false;
+      }
+    });
+    return form;
+  }
+
+  async function withdraw(s) {
+    const note = prompt(`Withdraw "${s.albumName || 'this release'}"? This cannot be undone. Reason (optional):`);
+    if (note === null) return;
+    try {
+      const resp = await fetch(`/api/my/submissions/${s.id}/withdraw`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ note: note.trim() || null }),
+        credentials: 'same-origin'
+      });
+      const body = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(body.error || 'Could not withdraw release');
+      load();
+    } catch (err) {
+      msgEl.classList.add('error');
+      msgEl.textContent = err.message;
+    }
+  }
+
+  async function load() {
+    try {
+      const resp = await fetch('/api/my/submissions', { credentials: 'same-origin' });
+      if (resp.status === 401) {
+        msgEl.classList.add('error');
+        msgEl.textContent = 'Please sign in to see your releases — ';
+        const link = text('a', '', 'go to sign in');
+        link.href = '/account';
+        msgEl.appendChild(link);
+        return;
+      }
+      const subs = await resp.json();
+      if (!resp.ok) throw new Error(subs.error || 'Could not load releases');
+      listEl.innerHTML = '';
+      if (!subs.length) {
+        listEl.appendChild(text('div', 'muted small', 'You have not submitted any releases yet.'));
+        return;
+      }
+      subs.forEach((s) => listEl.appendChild(renderRelease(s)));
+    } catch (err) {
+      console.error(err);
+      msgEl.classList.add('error');
+      msgEl.textContent = err.message || 'Network error';
+    }
+  }
+
+  load();
+})();
@@ -0,0 +1,191 @@
+// release-codes.js
+// Release identifiers and metadata vocabularies shared by the submission forms
+// (loaded with a <script> tag as window.ReleaseCodes) and the server
+// (require('./public/release-codes') in lib/release-metadata.js), so the browser
+// and /submit accept exactly the same values: releaseProblems() and trackProblems()
+// are the checks both run.
+//
+//   ISRC  CC-XXX-YY-NNNNN: country (2 letters), registrant (3 letters / digits),
+//         year (2 digits), designation (5 digits). ISRCs have no check digit,
+//         so only the format can be verified. Stored without hyphens.
+//   UPC   12-digit UPC-A or 13-digit EAN-13 ending in a GS1 mod-10 check digit
+//   (P) / (C) lines  "2026 Night Records": the year, then the rights owner
+//   Splits  per track [{ name, role, master, publishing }], shares in percent with
+//           up to 2 decimals; master and publishing each add up to 100
+
+(function (root) {
+  const GENRES = [
+    'Alternative', 'Ambient', 'Blues', "Children's Music", 'Christian & Gospel', 'Classical', 'Comedy',
+    'Country', 'Dance', 'Electronic', 'Folk', 'Hip-Hop/Rap', 'Holiday', 'Jazz', 'K-Pop', 'Latin',
+    'Metal', 'New Age', 'Pop', 'Punk', 'R&B/Soul', 'Reggae', 'Rock', 'Singer/Songwriter',
+    'Soundtrack', 'Spoken Word', 'World'
+  ];
+
+  // ISO 639-1 codes; zxx (ISO 639-2) marks instrumentals
+  const LANGUAGES = {
+    ar: 'Arabic', zh: 'Chinese', cs: 'Czech', da: 'Danish', nl: 'Dutch', en: 'English',
+    fi: 'Finnish', fr: 'French', de: 'German', el: 'Greek', he: 'Hebrew', hi: 'Hindi',
+    hu: 'Hungarian', id: 'Indonesian', it: 'Italian', ja: 'Japanese', ko: 'Korean',
+    no: 'Norwegian', fa: 'Persian', pl: 'Polish', pt: 'Portuguese', ro: 'Romanian',
+    ru: 'Russian', es: 'Spanish', sw: 'Swahili', sv: 'Swedish', th: 'Thai', tr: 'Turkish',
+    uk: 'Ukrainian', vi: 'Vietnamese', yo: 'Yoruba', zxx: 'Instrumental (no lyrics)'
+  };
+
+  const SPLIT_ROLES = ['Artist', 'Featured artist', 'Composer', 'Lyricist', 'Producer', 'Publisher', 'Label', 'Other'];
+  const MAX_SPLITS = 50;
+
+  function normalizeIsrc(value) {
+    return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  function isrcProblem(value) {
+    const isrc = normalizeIsrc(value);
+    if (!/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc)) {
+      return 'ISRC must look like CC-XXX-YY-NNNNN (country, registrant, year, 5-digit number)';
+    }
+    return '';
+  }
+
+  // GS1 check digit for the digits before it (UPC-A, EAN-13)
+  function gtinCheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      // weights 3, 1, 3, ... counted from the digit next to the check digit
+      const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+      sum += Number(digits[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  function normalizeUpc(value) {
+    return String(value || '').replace(/[\s-]/g, '');
+  }
+
+  function upcProblem(value) {
+    const upc = normalizeUpc(value);
+    if (!/^\d{12,13}$/.test(upc)) return 'UPC must be 12 digits (or a 13-digit EAN)';
+    if (gtinCheckDigit(upc.slice(0, -1)) !== Number(upc.slice(-1))) return 'UPC check digit does not match, please check for typos';
+    return '';
+  }
+
+  // kind: 'P' or 'C'
+  function lineProblem(value, kind) {
+    const m = /^(\d{4})\s+(\S.*)$/.exec(String(value || '').trim());
+    if (!m) return `(${kind}) line must be the year followed by the rights owner, e.g. "${new Date().getFullYear()} Your Label"`;
+    const year = Number(m[1]);
+    if (year < 1900 || year > new Date().getFullYear() + 1) return `(${kind}) line year ${m[1]} is not plausible`;
+    return '';
+  }
+
+  // "Ann Lee, Bo Kim" or ['Ann Lee', 'Bo Kim'] -> ['Ann Lee', 'Bo Kim']
+  function names(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(s => String(s).trim()).filter(Boolean);
+  }
+
+  // "12.5" -> 12.5, blank -> 0, anything else (more than 2 decimals too) -> NaN
+  function share(value) {
+    const s = String(value === undefined || value === null ? '' : value).trim().replace(/%$/, '');
+    if (!s) return 0;
+    return /^\d+(\.\d{1,2})?$/.test(s) ? Number(s) : NaN;
+  }
+
+  // Split rows from the form or a request body, with blank rows left out
+  function splits(value) {
+    return (Array.isArray(value) ? value : [])
+      .filter(s => s && typeof s === 'object')
+      .map(s => ({
+        name: String(s.name || '').trim(),
+        role: String(s.role || '').trim(),
+        master: share(s.master),
+        publishing: share(s.publishing)
+      }))
+      .filter(s => s.name || s.role || s.master || s.publishing);
+  }
+
+  // Problems with one track's split sheet; no rows at all is fine (no split sheet yet)
+  function splitProblems(rows, label) {
+    const problems = [];
+    if (!rows.length) return problems;
+    if (rows.length > MAX_SPLITS) problems.push(`${label} has more than ${MAX_SPLITS} split entries`);
+    // totals in hundredths of a percent, so 33.33 + 33.33 + 33.34 is exactly 100
+    const totals = { master: 0, publishing: 0 };
+    rows.forEach((s, i) => {
+      const who = s.name || `split entry ${i + 1}`;
+      if (!s.name) problems.push(`${label}: split entry ${i + 1} needs a name`);
+      if (!SPLIT_ROLES.includes(s.role)) problems.push(`${label}: ${who} needs a role (${SPLIT_ROLES.join(', ')})`);
+      ['master', 'publishing'].forEach(kind => {
+        const v = s[kind];
+        if (Number.isNaN(v) || v < 0 || v > 100) {
+          problems.push(`${label}: ${who}'s ${kind} share must be a percentage from 0 to 100 with at most 2 decimals`);
+        } else {
+          totals[kind] += Math.round(v * 100);
+        }
+      });
+      if (s.master === 0 && s.publishing === 0) problems.push(`${label}: ${who} has no master or publishing share`);
+    });
+    ['master', 'publishing'].forEach(kind => {
+      if (totals[kind] !== 10000) problems.push(`${label}: ${kind} shares add up to ${totals[kind] / 100}%, not 100%`);
+    });
+    return problems;
+  }
+
+  // Problems with the release fields, keyed by field: { upc: ['...'], ... }
+  function releaseProblems(values) {
+    const problems = {};
+    const fail = (field, message) => { (problems[field] = problems[field] || []).push(message); };
+    if (!values.primaryArtist) fail('primaryArtist', 'Primary artist is required');
+    if (values.upc) {
+      const problem = upcProblem(values.upc);
+      if (problem) fail('upc', problem);
+    }
+    if (!values.genre) fail('genre', 'Genre is required');
+    else if (!GENRES.includes(values.genre)) fail('genre', `Unknown genre "${values.genre}"`);
+    if (!values.language) fail('language', 'Language is required');
+    else if (!LANGUAGES[values.language]) fail('language', `Unknown language "${values.language}"`);
+    [['pLine', 'P'], ['cLine', 'C']].forEach(([field, kind]) => {
+      const problem = lineProblem(values[field], kind);
+      if (problem) fail(field, problem);
+    });
+    return problems;
+  }
+
+  // Problems with the ISRCs, credits and splits of a track list, as "Track N ..." messages
+  function trackProblems(tracks) {
+    const problems = [];
+    const seen = {};
+    tracks.forEach((t, i) => {
+      const label = `Track ${i + 1}`;
+      if (!names(t.composers).length) problems.push(`${label} needs at least one composer`);
+      problems.push(...splitProblems(splits(t.splits), label));
+      if (!t.isrc) return;
+      const isrc = normalizeIsrc(t.isrc);
+      const problem = isrcProblem(isrc);
+      if (problem) problems.push(`${label}: ${problem}`);
+      else if (seen[isrc]) problems.push(`${label} has the same ISRC as track ${seen[isrc]}`);
+      seen[isrc] = i + 1;
+    });
+    return problems;
+  }
+
+  const api = {
+    GENRES,
+    LANGUAGES,
+    SPLIT_ROLES,
+    normalizeIsrc,
+    isrcProblem,
+    gtinCheckDigit,
+    normalizeUpc,
+    upcProblem,
+    lineProblem,
+    names,
+    share,
+    splits,
+    splitProblems,
+    releaseProblems,
+    trackProblems
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ReleaseCodes = api;
+})(this);
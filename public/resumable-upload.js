@@ -0,0 +1,144 @@
+// resumable-upload.js
+// Browser side of the resumable upload protocol in server.js (/api/uploads):
+// declares the files, PUTs each one in chunks with a progress bar in its form
+// row, and after a network or server error asks which ranges the server has
+// and continues from there. Used by the submission form (app.js) and the
+// revise form on My releases (my-releases.js).
+//
+//   const uploadId = await ResumableUpload.send([{ file, field: 'cover' | 'trackFiles', row }]);
+//   ...POST /api/uploads/<uploadId>/finalize (or a revision) with the metadata...
+//   ResumableUpload.forget(); // once the server has consumed the upload
+
+(function () {
+  const MAX_RETRIES = 8;
+  const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+  // the upload in progress, reused when the same files are sent again after a failure
+  let currentUpload = null;
+
+  function HttpError(status, message) {
+    const err = new Error(message || 'Upload failed');
+    err.status = status;
+    return err;
+  }
+
+  async function getJSON(url) {
+    const resp = await fetch(url, { credentials: 'same-origin' });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw HttpError(resp.status, body.error);
+    return body;
+  }
+
+  // Progress bar + status line appended to the file's form row
+  function progressFor(row) {
+    let box = row.querySelector('.upload-progress');
+    if (!box) {
+      box = document.createElement('div');
+      box.className = 'upload-progress small muted';
+      box.innerHTML = '<progress max="100" value="0" style="width:100%"></progress><div class="upload-status"></div>';
+      row.appendChild(box);
+    }
+    const bar = box.querySelector('progress');
+    const status = box.querySelector('.upload-status');
+    return (received, size, note) => {
+      const pct = size ? Math.floor((received / size) * 100) : bar.value;
+      bar.value = pct;
+      status.textContent = note || `${pct}% — ${(received / 1048576).toFixed(1)} of ${(size / 1048576).toFixed(1)} MB`;
+    };
+  }
+
+  // Byte ranges in [0, size) the server does not have yet
+  function missingRanges(ranges, size) {
+    const gaps = [];
+    let pos = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > pos) gaps.push([pos, start]);
+      pos = Math.max(pos, end);
+    });
+    if (pos < size) gaps.push([pos, size]);
+    return gaps;
+  }
+
+  async function startUpload(uploads) {
+    const signature = uploads.map(u => [u.field, u.file.name, u.file.size, u.file.lastModified].join(':')).join('|');
+    if (currentUpload && currentUpload.signature === signature) {
+      // unless the server has used or discarded it since
+      const kept = await getJSON(`/api/uploads/${currentUpload.id}`).then(() => true, err => {
+        if (err.status !== 404) throw err;
+        return false;
+      });
+      if (kept) return currentUpload.id;
+    }
+    const resp = await fetch('/api/uploads', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ files: uploads.map(u => ({ name: u.file.name, size: u.file.size, field: u.field })) }),
+      credentials: 'same-origin'
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw HttpError(resp.status, body.error);
+    currentUpload = { id: body.id, signature, chunkSize: body.chunkSize };
+    return body.id;
+  }
+
+  // Upload one file in chunks; on a network or server error, wait and ask the
+  // server which ranges it has, then continue from there.
+  async function uploadFile(uploadId, index, { file, row }) {
+    const progress = progressFor(row);
+    const chunkSize = currentUpload.chunkSize;
+    let attempt = 0;
+    for (;;) {
+      try {
+        const status = await getJSON(`/api/uploads/${uploadId}`);
+        const info = status.files[index];
+        let received = info.received;
+        progress(received, file.size);
+        for (const [start, end] of missingRanges(info.ranges, file.size)) {
+          for (let pos = start; pos < end; pos += chunkSize) {
+            const stop = Math.min(pos + chunkSize, end);
+            const resp = await fetch(`/api/uploads/${uploadId}/files/${index}`, {
+              method: 'PUT',
+              headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${pos}-${stop - 1}/${file.size}`
+              },
+              body: file.slice(pos, stop),
+              credentials: 'same-origin'
+            });
+            if (!resp.ok) {
+              const body = await resp.json().catch(() => ({}));
+              throw HttpError(resp.status, body.error);
+            }
+            received += stop - pos;
+            attempt = 0;
+            progress(received, file.size);
+          }
+        }
+        progress(file.size, file.size, 'Uploaded');
+        return;
+      } catch (err) {
+        // client errors (bad request, not found, signed out) will not fix themselves
+        if (err.status && err.status < 500) throw err;
+        attempt++;
+        if (attempt > MAX_RETRIES) throw HttpError(0, `Upload of ${file.name} failed after ${MAX_RETRIES} retries`);
+        const wait = Math.min(30000, 1000 * 2 ** attempt);
+        progress(0, 0, `Connection problem — resuming in ${Math.round(wait / 1000)}s (attempt ${attempt} of ${MAX_RETRIES})`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  // Upload every file and resolve to the upload id once the server has them all
+  async function send(uploads) {
+    const uploadId = await startUpload(uploads);
+    // one file at a time keeps the connection free for resuming
+    for (let i = 0; i < uploads.length; i++) {
+      await uploadFile(uploadId, i, uploads[i]);
+    }
+    return uploadId;
+  }
+
+  window.ResumableUpload = {
+    send,
+    forget: () => { currentUpload = null; }
+  };
+})();
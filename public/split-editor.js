@@ -0,0 +1,109 @@
+// split-editor.js
+// Royalty split editor for one track, used by the submission form (app.js) and
+// the revise form on My releases (my-releases.js): a row per contributor with
+// name, role and master / publishing share, and running totals that turn red
+// until each adds up to 100%. The checks are ReleaseCodes.splitProblems.
+//
+//   const editor = SplitEditor.create(track.splits); // append it to the track row
+//   SplitEditor.read(editor);                        // [{ name, role, master, publishing }]
+
+(function () {
+  function splitRow(s) {
+    const row = document.createElement('div');
+    row.className = 'split-row';
+    row.style.cssText = 'display:flex; gap:8px; flex-wrap:wrap; align-items:center; margin-top:6px;';
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'split-name';
+    name.placeholder = 'Contributor name';
+    name.value = s.name || '';
+    name.style.cssText = 'flex:2; min-width:160px';
+    const role = document.createElement('select');
+    role.className = 'split-role';
+    role.style.cssText = 'flex:1; min-width:120px';
+    role.appendChild(new Option('Role', ''));
+    ReleaseCodes.SPLIT_ROLES.forEach((r) => role.appendChild(new Option(r, r)));
+    role.value = s.role || '';
+    const share = (className, value, placeholder) => {
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.inputMode = 'decimal';
+      field.className = className;
+      field.placeholder = placeholder;
+      field.value = value ? String(value) : '';
+      field.style.cssText = 'width:110px';
+      return field;
+    };
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn ghost';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      const editor = row.closest('.split-editor');
+      row.remove();
+      updateTotals(editor);
+    });
+    [name, role, share('split-master', s.master, 'Master %'), share('split-publishing', s.publishing, 'Publishing %'), remove]
+      .forEach((n) => row.appendChild(n));
+    return row;
+  }
+
+  function read(editor) {
+    return Array.from(editor.querySelectorAll('.split-row')).map((row) => ({
+      name: row.querySelector('.split-name').value.trim(),
+      role: row.querySelector('.split-role').value,
+      master: row.querySelector('.split-master').value.trim(),
+      publishing: row.querySelector('.split-publishing').value.trim()
+    }));
+  }
+
+  function updateTotals(editor) {
+    const rows = ReleaseCodes.splits(read(editor));
+    const totals = editor.querySelector('.split-totals');
+    if (!rows.length) {
+      totals.textContent = 'No splits yet (optional; master and publishing each add up to 100%)';
+      totals.classList.remove('error');
+      return;
+    }
+    // hundredths, as in splitProblems
+    const total = (kind) => rows.reduce((sum, s) => sum + Math.round((s[kind] || 0) * 100), 0) / 100;
+    const master = total('master');
+    const publishing = total('publishing');
+    totals.textContent = 'Master ' + master + '% • Publishing ' + publishing + '%';
+    totals.classList.toggle('error', master !== 100 || publishing !== 100);
+  }
+
+  function create(splits) {
+    const editor = document.createElement('div');
+    editor.className = 'split-editor';
+    editor.style.marginTop = '8px';
+    const heading = document.createElement('div');
+    heading.className = 'small';
+    heading.textContent = 'Royalty splits';
+    const rows = document.createElement('div');
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display:flex; gap:8px; align-items:center; margin-top:6px;';
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'btn ghost';
+    add.textContent = 'Add contributor';
+    add.addEventListener('click', () => {
+      rows.appendChild(splitRow({}));
+      updateTotals(editor);
+    });
+    const totals = document.createElement('span');
+    totals.className = 'small muted split-totals';
+    footer.appendChild(add);
+    footer.appendChild(totals);
+    (splits || []).forEach((s) => rows.appendChild(splitRow(s)));
+    editor.appendChild(heading);
+    editor.appendChild(rows);
+    editor.appendChild(footer);
+    editor.addEventListener('input', () => updateTotals(editor));
+    editor.addEventListener('change', () => updateTotals(editor));
+    updateTotals(editor);
+    return editor;
+  }
+
+  window.SplitEditor = { create, read };
+})();
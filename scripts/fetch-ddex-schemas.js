@@ -0,0 +1,155 @@
+// scripts/fetch-ddex-schemas.js
+// Downloads the DDEX ERN 4.3 schema used to validate DDEX exports (lib/ddex.js)
+// into DDEX_SCHEMA_DIR (default schemas/ddex/ern-43). Every <xs:import> /
+// <xs:include> is downloaded as well and its schemaLocation rewritten to the
+// local file, so validation works offline.
+//
+// Then the messages lib/ddex.js builds for two sample releases (a full album on
+// every platform and a bare single) are validated against it, so a schema that
+// does not load or an export that no longer matches it shows up here instead of
+// on an admin's download. --check does only that, with the installed schema.
+//
+//   npm run fetch-ddex-schemas
+//   npm run fetch-ddex-schemas -- --check
+//   DDEX_SCHEMA_URL=https://mirror.example/release-notification.xsd npm run fetch-ddex-schemas
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const ddex = require('../lib/ddex');
+
+const { SCHEMA_DIR, SCHEMA_FILE } = ddex;
+
+const START_URL = process.env.DDEX_SCHEMA_URL || 'http://service.ddex.net/xml/ern/43/release-notification.xsd';
+
+function get(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    client.get(url, { timeout: 30000 }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        return resolve(get(new URL(res.headers.location, url).toString(), redirects - 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`${url}: HTTP ${res.statusCode}`));
+      }
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    }).on('timeout', function () { this.destroy(new Error(`${url}: timed out`)); }).on('error', reject);
+  });
+}
+
+const SAMPLE_CONFIG = {
+  sender: { dpid: 'PADPIDA0000000000S', name: 'tidal.wav' },
+  recipient: { dpid: 'PADPIDA0000000000R', name: 'Sample DSP' }
+};
+const SAMPLE_ARTIST = { id: 'sample-artist', name: 'Ann Lee' };
+const SAMPLE_RELEASES = [
+  {
+    id: 'sample-album',
+    status: 'approved',
+    albumName: 'Night & Day <Deluxe>',
+    releaseDate: '2026-12-01',
+    primaryArtist: 'Ann Lee',
+    label: 'Night Records',
+    upc: '123456789012',
+    genre: 'Pop',
+    subgenre: 'Synthpop',
+    language: 'en',
+    pLine: '2026 Night Records',
+    cLine: '2026 Ann Lee',
+    platforms: Object.keys(ddex.PLATFORM_DEALS),
+    cover: 'sample-album/cover.jpg',
+    tracks: [
+      {
+        title: 'First Light',
+        featured: 'Bo Kim & Cy',
+        explicit: true,
+        isrc: 'US-AB1-26-00001',
+        composers: ['Ann Lee', 'Bo Kim'],
+        lyricists: ['Ann Lee'],
+        producers: ['Cy'],
+        file: 'sample-album/01.flac',
+        audio: { codec: 'flac', duration: 222.5 }
+      },
+      {
+        title: 'Second Wind',
+        explicit: false,
+        file: 'sample-album/02.wav',
+        audio: { codec: 'pcm', duration: 3725 }
+      }
+    ]
+  },
+  {
+    id: 'sample-single',
+    status: 'approved',
+    albumName: 'Just One',
+    releaseDate: '2026-12-01',
+    platforms: ['Spotify'],
+    cover: 'sample-single/cover.png',
+    tracks: [{ title: 'Just One', file: 'sample-single/01.mp3', audio: { codec: 'mp3', duration: 61 } }]
+  }
+];
+
+// Build and validate the sample messages; resolves to the number of problems found
+async function checkSamples() {
+  let failures = 0;
+  for (const sub of SAMPLE_RELEASES) {
+    const options = { artist: SAMPLE_ARTIST, config: SAMPLE_CONFIG };
+    const problems = ddex.checkRelease(sub, options);
+    const errors = problems.length ? problems : await ddex.validate(ddex.buildNewReleaseMessage(sub, options));
+    if (!errors.length) {
+      console.log(`${sub.id}: valid ERN 4.3 NewReleaseMessage`);
+      continue;
+    }
+    failures += errors.length;
+    console.error(`${sub.id}:`);
+    errors.forEach(e => console.error(`  ${e}`));
+  }
+  return failures;
+}
+
+async function download() {
+  fs.mkdirSync(SCHEMA_DIR, { recursive: true });
+  const seen = new Map(); // url -> local file name
+  const queue = [START_URL];
+  while (queue.length) {
+    const url = queue.shift();
+    let xsd = await get(url);
+    xsd = xsd.replace(/(<xs:(?:import|include)\b[^>]*\bschemaLocation=")([^"]+)"/g, (m, head, location) => {
+      const absolute = new URL(location, url).toString();
+      if (!seen.has(absolute)) {
+        seen.set(absolute, path.basename(new URL(absolute).pathname));
+        queue.push(absolute);
+      }
+      return `${head}${seen.get(absolute)}"`;
+    });
+    const name = url === START_URL ? SCHEMA_FILE : seen.get(url);
+    fs.writeFileSync(path.join(SCHEMA_DIR, name), xsd);
+    console.log(`${url} -> ${path.join(SCHEMA_DIR, name)}`);
+  }
+}
+
+async function main() {
+  if (!process.argv.includes('--check')) {
+    try {
+      await download();
+    } catch (err) {
+      console.error('Could not download the DDEX schema:', err.message);
+      console.error(`Download ${START_URL} and the files it imports by hand into ${SCHEMA_DIR}.`);
+      process.exit(1);
+    }
+  }
+  if (await checkSamples()) {
+    console.error('The DDEX export does not match the ERN 4.3 schema in ' + SCHEMA_DIR);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+// scripts/import-json.js
+// One-time import of the old JSON files (data/submissions.json, data/users.json)
+// into the embedded datastore. Safe to run more than once: records whose id is
+// already in the datastore are skipped.
+//
+// Upload paths are normalized on the way in: records created on Windows store
+// "<id>\\file.mp3", which would not resolve on Linux. The old "pending" status
+// becomes "submitted" (see lib/workflow.js).
+//
+// Stop the server first (the datastore is owned by one process), then:
+//   npm run import-json            import
+//   npm run import-json -- --dry-run   only report what would be imported
+
+const fs = require('fs');
+const path = require('path');
+const { openDB, toStoredPath } = require('../lib/db');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const dryRun = process.argv.includes('--dry-run');
+
+function readJSON(file) {
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data)) throw new Error(`${file} does not contain an array`);
+  return data;
+}
+
+function normalizeSubmission(sub) {
+  return {
+    artistId: null,
+    updatedAt: null,
+    ...sub,
+    status: sub.status === 'pending' ? 'submitted' : sub.status,
+    cover: toStoredPath(sub.cover || null),
+    tracks: (sub.tracks || []).map(t => ({ ...t, file: toStoredPath(t.file || null) }))
+  };
+}
+
+async function importInto(collection, records, label) {
+  let imported = 0;
+  let skipped = 0;
+  for (const record of records) {
+    if (!record.id || await collection.get({ id: record.id })) {
+      skipped++;
+      continue;
+    }
+    if (!dryRun) await collection.insert(record);
+    imported++;
+  }
+  console.log(`${label}: ${imported} ${dryRun ? 'to import' : 'imported'}, ${skipped} skipped`);
+}
+
+async function main() {
+  const db = await openDB(DATA_DIR);
+  const submissions = readJSON(path.join(DATA_DIR, 'submissions.json')).map(normalizeSubmission);
+  const users = readJSON(path.join(DATA_DIR, 'users.json'));
+  await importInto(db.users, users, 'users');
+  await importInto(db.submissions, submissions, 'submissions');
+  if (!dryRun) {
+    await db.users.datastore.compactDatafileAsync();
+    await db.submissions.datastore.compactDatafileAsync();
+  }
+}
+
+main().then(() => process.exit(0)).catch(err => {
+  console.error('import failed:', err.message);
+  process.exit(1);
+});
@@ -1,13 +1,66 @@
 // server.js
 // Simple Express server to accept album submissions (audio files + metadata),
-// store uploads on disk, keep a JSON submissions DB, and provide an admin dashboard
-// to approve/reject and download submissions as zip files.
+// store uploads on disk, keep submissions in an embedded datastore (lib/db.js), and provide an admin dashboard
+// to approve/reject and download submissions as zip files. Artists sign up / sign in
+// through /account and every submission records the artist who created it.
 //
-// ADMIN PASSWORD:
-// - Set environment variable ADMIN_PASS to customize admin password
-// - Default (for demo only): "adminpass"
+// ADMIN ACCOUNTS:
+// - Every admin signs in with their own email + password and has a role
+//   (reviewer, manager, owner; see lib/admin-roles.js)
+// - While there are no admin accounts, the first owner is created at startup from
+//   ADMIN_EMAIL (default "admin@tidalwav.local") and ADMIN_PASS (default, demo only: "adminpass")
+// - Owners add and manage the other admins under /admin/users
+//
+// EMAIL: artists are emailed when their submission is received, approved, rejected
+// or sent back for changes (lib/notifications.js). Set SMTP_HOST / SMTP_PORT to turn it on.
+//
+// WEBHOOKS: owners register endpoints under /admin/webhooks that receive signed JSON
+// events (submission.created / approved / rejected / deleted), see lib/webhooks.js.
+//
+// DDEX: approved releases can be downloaded as an ERN 4.3 NewReleaseMessage
+// (lib/ddex.js). Set DDEX_SENDER_DPID and run `npm run fetch-ddex-schemas` once.
+//
+// DELIVERY PACKAGES: each store's folder layout, file names, metadata sidecar and
+// artwork / audio rules come from a JSON profile in delivery-profiles/ (lib/delivery.js).
+//
+// AUDIO ANALYSIS: every uploaded WAV / AIFF / FLAC track is decoded in the background
+// and measured (loudness, true peak, clipping, silence, mono, DC offset; lib/analysis-queue.js).
+// The same pass stores the waveform the dashboard draws; reviewers pin comments
+// to moments of a track (lib/track-comments.js).
+//
+// FILES: uploads are never served as is. Admins and the owning artist get short-lived
+// signed links (GET .../files, lib/signed-urls.js) that /files/ checks, answering Range
+// requests for playback; every access is logged in the audit log. Set FILE_URL_SECRET.
+//
+// ADMIN SIGN-IN: sessions are kept in the datastore (lib/session-store.js) and signed with
+// SESSION_SECRET (comma-separated to rotate: the first signs, all are accepted) or a key
+// generated on first start; set SESSION_COOKIE_SECURE=true when served over HTTPS. Admin
+// requests that change something need the session's CSRF token (lib/csrf.js), repeated
+// failed sign-ins lock the account for a growing time (lib/login-guard.js) and admins
+// can turn on two-factor codes from an authenticator app (lib/totp.js).
+//
+// UPLOAD LIMITS: files are stored under safe, unique names after a magic-byte check
+// (lib/upload-policy.js), with size caps per file and per release (UPLOAD_MAX_TRACK_MB,
+// UPLOAD_MAX_SUBMISSION_MB) and hourly upload limits per account and per IP address
+// (UPLOAD_RATE_ACCOUNT, UPLOAD_RATE_IP).
+//
+// STORAGE: owners see the disk usage per submission and per artist under /admin/storage.
+// Upload directories without a submission and unfinished resumable uploads are listed
+// there and removed when an owner purges them; the files of rejected and withdrawn
+// releases are purged automatically RETENTION_DAYS after that decision (unset: kept).
+// Purges can be previewed as a dry run and are audited (lib/retention.js).
+//
+// DUPLICATES: every uploaded track is hashed and fingerprinted in that pass and compared
+// with the tracks of earlier submissions (lib/duplicates.js); likely duplicates are flagged.
+//
+// SPLIT SHEETS: each track can carry its royalty splits; artists and admins export
+// them as CSV or as a printable page for signing (lib/split-sheet.js).
+//
+// CODES: releases approved without a UPC / ISRCs get them from the label's pools
+// (ISRC_PREFIX, UPC_FIRST / UPC_LAST, see lib/code-pool.js); every issued code is listed under /admin/codes.
 //
 // Run: npm install && npm start
+// Upgrading from data/submissions.json: stop the server and run `npm run import-json` once.
 
 const express = require('express');
 const path = require('path');
@@ -16,53 +69,200 @@ const multer = require('multer');
 const session = require('express-session');
 const archiver = require('archiver');
 const { v4: uuidv4 } = require('uuid');
+const { probeAudio, checkAudioSpec } = require('./lib/audio-meta');
+const { probeImage, checkCoverSpec } = require('./lib/image-meta');
+const { hashPassword, verifyPassword } = require('./lib/passwords');
+const chunkedUpload = require('./lib/chunked-upload');
+const uploadPolicy = require('./lib/upload-policy');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { SessionStore } = require('./lib/session-store');
+const { storedSecret } = require('./lib/secrets');
+const csrf = require('./lib/csrf');
+const { createLoginGuard } = require('./lib/login-guard');
+const totp = require('./lib/totp');
+const { createRetention } = require('./lib/retention');
+const { openDB, toStoredPath } = require('./lib/db');
+const workflow = require('./lib/workflow');
+const revisions = require('./lib/revisions');
+const adminRoles = require('./lib/admin-roles');
+const { createNotifier } = require('./lib/notifications');
+const { createWebhooks, WebhookError, EVENTS: WEBHOOK_EVENTS } = require('./lib/webhooks');
+const ddex = require('./lib/ddex');
+const delivery = require('./lib/delivery');
+const search = require('./lib/submission-search');
+const releaseMetadata = require('./lib/release-metadata');
+const { createCodePool, CodePoolError } = require('./lib/code-pool');
+const splitSheet = require('./lib/split-sheet');
+const { createAnalysisQueue, waveformFile } = require('./lib/analysis-queue');
+const { createDuplicateIndex } = require('./lib/duplicates');
+const signedUrls = require('./lib/signed-urls');
+const trackComments = require('./lib/track-comments');
 
 const app = express();
 
 // --- File system paths and DB setup (must be declared BEFORE middleware that uses them) ---
 const DATA_DIR = path.join(__dirname, 'data');
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
-const DB_FILE = path.join(DATA_DIR, 'submissions.json');
+// only used to create the first owner account
+const ADMIN_EMAIL = (process.env.ADMIN_EMAIL || 'admin@tidalwav.local').toLowerCase();
 const ADMIN_PASS = process.env.ADMIN_PASS || 'adminpass';
+const ADMIN_MIN_PASSWORD = 8;
+// sessions end after this long without a request
+const SESSION_IDLE = (parseFloat(process.env.SESSION_IDLE_HOURS) || 12) * 60 * 60 * 1000;
+// time to enter the two-factor code after the password was accepted
+const TWO_FACTOR_WAIT = 5 * 60 * 1000;
+const TOTP_ISSUER = 'tidal.wav';
+// signed-link accesses listed in the submission detail
+const FILE_ACCESS_SHOWN = 20;
+// per-file and per-release size caps, see lib/upload-policy.js
+const UPLOAD_LIMITS = uploadPolicy.uploadLimits();
+// room for the form fields next to the files of a /submit request
+const FORM_ALLOWANCE = 1024 * 1024;
+// uploads started (POST /submit, POST /api/uploads) per hour
+const UPLOAD_RATE_WINDOW = 60 * 60 * 1000;
+const uploadRate = {
+  ip: createRateLimiter({ windowMs: UPLOAD_RATE_WINDOW, max: parseInt(process.env.UPLOAD_RATE_IP, 10) || 60 }),
+  account: createRateLimiter({ windowMs: UPLOAD_RATE_WINDOW, max: parseInt(process.env.UPLOAD_RATE_ACCOUNT, 10) || 20 })
+};
 
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-if (!fs.existsSync(DB_FILE)) fs.writeFileSync(DB_FILE, JSON.stringify([]), 'utf8');
 
-function readDB() {
-  try {
-    return JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
-  } catch (e) {
-    return [];
-  }
+// Collections: db.submissions, db.users, db.admins, db.audit (opened before the server starts listening)
+let db = null;
+// Email queue (lib/notifications.js), webhooks (lib/webhooks.js), the ISRC / UPC
+// pools (lib/code-pool.js), the audio analysis queue (lib/analysis-queue.js) and
+// the duplicate index it feeds (lib/duplicates.js) and the signer of file links
+// (lib/signed-urls.js), the session store, the sign-in lockout and the upload
+// retention (lib/retention.js), created once the datastore is open
+let notifier = null;
+let webhooks = null;
+let codePool = null;
+let analysisQueue = null;
+let duplicates = null;
+let urlSigner = null;
+let sessionStore = null;
+let sessionMiddleware = null;
+let loginGuard = null;
+let retention = null;
+
+// Express 4 does not catch rejected promises; hand them to the error handler instead
+const asyncRoute = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// Never send password hashes to the browser
+function publicUser(u) {
+  return { id: u.id, name: u.name, email: u.email, createdAt: u.createdAt };
 }
-function writeDB(data) {
-  fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2), 'utf8');
+function publicAdmin(a) {
+  return {
+    id: a.id,
+    name: a.name,
+    email: a.email,
+    role: a.role,
+    disabled: !!a.disabled,
+    digest: !!a.digest,
+    twoFactor: !!a.totp,
+    lockedUntil: a.lockedUntil && Date.parse(a.lockedUntil) > Date.now() ? a.lockedUntil : null,
+    createdAt: a.createdAt,
+    lastLoginAt: a.lastLoginAt || null
+  };
 }
 
 // --- Express setup ---
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(session({
-  secret: 'tidalwav-demo-secret',
-  resave: false,
-  saveUninitialized: true,
-  cookie: { secure: false }
-}));
+// the session middleware needs the stored secret, so it is created at startup
+app.use((req, res, next) => sessionMiddleware(req, res, next));
+// state-changing admin requests need the session's CSRF token
+app.use('/admin', csrf.checkToken({ open: ['/login', '/login/code'] }));
 
 // Serve public files at web root (so /styles.css and /app.js work)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve uploaded files
-app.use('/uploads', express.static(UPLOADS_DIR));
+// Uploaded files, only through signed links from fileUrls(); sendFile answers
+// Range requests (206 / 416), so players seek without loading the whole file.
+// Every access is logged as 'file.access' against the account the link was made for.
+app.get('/files/*', asyncRoute(async (req, res) => {
+  const file = req.params[0];
+  const who = urlSigner.verify(file, req.query);
+  const [type, id] = who.split(':');
+  const account = type === 'admin' ? await db.admins.get({ id }) : type === 'artist' ? await db.users.get({ id }) : null;
+  if (!account || account.disabled) return res.status(403).json({ error: 'This link is no longer valid' });
+  const full = path.resolve(UPLOADS_DIR, file);
+  if (!full.startsWith(UPLOADS_DIR + path.sep)) return res.status(404).json({ error: 'Not found' });
+  await audit('file.access', { type, id, name: account.name }, file.split('/')[0], { file, range: req.headers.range || null, ip: req.ip });
+  const maxAge = Math.max(0, Number(req.query.exp) - Math.floor(Date.now() / 1000));
+  res.sendFile(full, { headers: { 'Cache-Control': `private, max-age=${maxAge}` } }, err => {
+    if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.status === 404 ? 'File missing' : 'Could not read the file' });
+  });
+}));
+
+// Signed links to a submission's cover and track audio for one account ("admin:<id>" / "artist:<id>")
+function fileUrls(sub, who) {
+  const now = Date.now();
+  const link = file => (file && !sub.purged ? urlSigner.sign(file, who, now) : null);
+  return {
+    expiresAt: urlSigner.expiresAt(now),
+    cover: link(sub.cover),
+    tracks: sub.tracks.map(t => link(t.file))
+  };
+}
+
+// Who performed a workflow transition (recorded in submission.history)
+function adminActor(req) {
+  return { type: 'admin', id: req.admin.id, name: req.admin.name };
+}
+function artistActor(user) {
+  return { type: 'artist', id: user.id, name: user.name };
+}
+
+// Admin auth: loads the signed-in admin into req.admin and checks one permission
+// from lib/admin-roles.js. JSON APIs answer 401 / 403, pages redirect to the login.
+// The account is re-read on every request, so disabling an admin or changing
+// their role takes effect immediately.
+function requirePermission(permission) {
+  return asyncRoute(async (req, res, next) => {
+    const admin = req.session && req.session.adminId && await db.admins.get({ id: req.session.adminId });
+    const api = req.originalUrl.startsWith('/admin/api/');
+    if (!admin || admin.disabled) {
+      return api ? res.status(401).json({ error: 'Please sign in as an admin' }) : res.redirect('/admin/login');
+    }
+    if (!adminRoles.can(admin.role, permission)) {
+      return api ? res.status(403).json({ error: 'Your admin role does not allow this' }) : res.status(403).send('Forbidden');
+    }
+    req.admin = admin;
+    next();
+  });
+}
 
-// Simple auth middleware for admin
-function requireAdmin(req, res, next) {
-  if (req.session && req.session.isAdmin) return next();
-  return res.redirect('/admin/login');
+// Append to the admin audit log: action like 'submission.download', target is an id
+function audit(action, actor, target, details) {
+  return db.audit.insert({ at: new Date().toISOString(), action, by: actor, target: target || null, details: details || null });
 }
 
-// Multer storage: store into a temp folder per submission id
+// Artist auth: JSON APIs answer 401 instead of redirecting. Sets req.artist.
+const requireArtist = asyncRoute(async (req, res, next) => {
+  const user = req.session && req.session.artistId && await db.users.get({ id: req.session.artistId });
+  if (!user) return res.status(401).json({ error: 'Please sign in to continue' });
+  req.artist = user;
+  next();
+});
+
+// 429 once the artist, or their IP address, started too many uploads this hour.
+// Chunks are not counted: their sizes were declared (and capped) when the upload started.
+function limitUploads(req, res, next) {
+  for (const [limiter, key] of [[uploadRate.ip, `ip:${req.ip}`], [uploadRate.account, `artist:${req.artist.id}`]]) {
+    const { allowed, retryAfter } = limiter.hit(key);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many uploads; try again in ${Math.ceil(retryAfter / 60)} minute(s)` });
+    }
+  }
+  next();
+}
+
+// Multer storage: store into a temp folder per submission id, under a temporary
+// name until placeUploads() has checked the content
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     // req._subId is set in the single-upload middleware before file handling
@@ -72,24 +272,121 @@ const storage = multer.diskStorage({
     cb(null, dest);
   },
   filename: function (req, file, cb) {
-    // preserve original filename
-    cb(null, file.originalname);
+    // never the artist's name for it: two tracks may share one
+    cb(null, `${uuidv4()}.upload`);
   }
 });
 
-const upload = multer({ storage });
+// the cover is held to its smaller cap once received (checkCoverFile)
+const upload = multer({ storage, limits: { fileSize: UPLOAD_LIMITS.trackFiles, files: 201 } });
+
+// Resumable (chunked) uploads are staged in uploads/.incoming until finalized
+const incoming = chunkedUpload.createStore(UPLOADS_DIR, { limits: UPLOAD_LIMITS });
 
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Artist account page (sign in / sign up), kept at the project root
+app.get('/account', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+app.get('/account/app.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'app.js'));
+});
+
+// Start a fresh session for the artist (avoids session fixation)
+function signInArtist(req, user, cb) {
+  req.session.regenerate(err => {
+    if (err) return cb(err);
+    req.session.artistId = user.id;
+    cb(null);
+  });
+}
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    if (!email.includes('@') || email.length < 5) return res.status(400).json({ error: 'Please enter a valid email' });
+    if (password.length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+
+    if (await db.users.get({ email })) {
+      return res.status(409).json({ error: 'An account with that email already exists' });
+    }
+    const user = {
+      id: uuidv4(),
+      name: name || email.split('@')[0],
+      email,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    try {
+      await db.users.insert(user);
+    } catch (e) {
+      // unique email index: someone registered the same address meanwhile
+      if (e.errorType === 'uniqueViolated') return res.status(409).json({ error: 'An account with that email already exists' });
+      throw e;
+    }
+
+    signInArtist(req, user, err => {
+      if (err) return res.status(500).json({ error: 'Internal server error' });
+      res.status(201).json({ ok: true, user: publicUser(user) });
+    });
+  } catch (err) {
+    console.error('register error', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    const user = await db.users.get({ email });
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    signInArtist(req, user, err => {
+      if (err) return res.status(500).json({ error: 'Internal server error' });
+      res.json({ ok: true, user: publicUser(user) });
+    });
+  } catch (err) {
+    console.error('login error', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  delete req.session.artistId;
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', requireArtist, (req, res) => {
+  res.json({ user: publicUser(req.artist) });
+});
+
+// Delete the signed-in account; the email must be re-typed as confirmation
+app.delete('/api/auth/account', requireArtist, asyncRoute(async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  if (email !== req.artist.email) return res.status(400).json({ error: 'Email does not match the signed-in account' });
+  await db.users.remove({ id: req.artist.id });
+  delete req.session.artistId;
+  res.json({ ok: true });
+}));
+
 // Submit endpoint: expects multipart/form-data
 // fields:
 // - albumName, releaseDate, platforms (comma-separated), numSongs, cover (single file)
 // - tracks: a JSON string representing array of tracks metadata (title, featured, explicit)
 // - trackFiles: multiple files (audio) field name trackFiles
-app.post('/submit', (req, res, next) => {
+// Requires a signed-in artist; the submission records their id as artistId.
+app.post('/submit', requireArtist, limitUploads, (req, res, next) => {
+  if (Number(req.get('Content-Length')) > UPLOAD_LIMITS.submission + FORM_ALLOWANCE) {
+    return res.status(413).json({ error: `One release can be at most ${uploadPolicy.formatMb(UPLOAD_LIMITS.submission)}` });
+  }
   // pre-generate submission id and attach so multer's destination can use it
   req._subId = uuidv4();
   next();
@@ -97,130 +394,818 @@ app.post('/submit', (req, res, next) => {
   { name: 'cover', maxCount: 1 },
   { name: 'trackFiles', maxCount: 200 }
 ]), (req, res) => {
+  createSubmission(req, res, req._subId, req.files);
+});
+
+function parsePlatforms(value) {
+  return [].concat(value || []).join(',').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Cover art: the browser only checks the minimum size, the artwork rules are enforced here.
+// Returns { coverImage, errors } where errors is null when the cover is fine.
+function checkCoverFile(coverFile) {
   try {
-    const subId = req._subId;
-    const dest = path.join(UPLOADS_DIR, subId);
+    const coverImage = probeImage(coverFile.path);
+    const problems = checkCoverSpec(coverImage);
+    return { coverImage, errors: problems.length ? problems : null };
+  } catch (e) {
+    return { coverImage: null, errors: [e.message] };
+  }
+}
+
+// Read the technical specs of every uploaded audio file.
+// Returns { audioInfo: Map(path -> info), audioErrors: [{ file, errors }] }
+function checkAudioFiles(audioFiles) {
+  const audioInfo = new Map();
+  const audioErrors = [];
+  audioFiles.forEach(f => {
+    try {
+      const info = probeAudio(f.path);
+      const problems = checkAudioSpec(info);
+      if (problems.length) audioErrors.push({ file: f.originalname, errors: problems });
+      audioInfo.set(f.path, info);
+    } catch (e) {
+      audioErrors.push({ file: f.originalname, errors: [e.message] });
+    }
+  });
+  return { audioInfo, audioErrors };
+}
+
+// The track fields that point at an uploaded audio file; a new file waits for analysis
+function trackFile(f, audioInfo) {
+  return {
+    file: toStoredPath(path.relative(UPLOADS_DIR, f.path)),
+    originalFileName: f.originalname,
+    audio: audioInfo.get(f.path),
+    analysis: { status: 'pending' }
+  };
+}
+
+// Size caps, content check and safe names for newly uploaded files (lib/upload-policy.js),
+// moved within dest. Returns { tooBig: [message] } or { files, coverRejected, audioRejected }
+// with the rejected files as { file, errors }, like the audioErrors of checkAudioFiles().
+function placeUploads(files, dest) {
+  const sizes = Object.entries(files).flatMap(([field, list]) => list.map(f => ({ name: f.originalname, size: f.size, field })));
+  const tooBig = uploadPolicy.sizeProblems(sizes, UPLOAD_LIMITS);
+  if (tooBig.length) return { tooBig };
+  const placed = uploadPolicy.placeFiles(files, dest);
+  const rejected = field => placed.rejected.filter(r => r.field === field).map(({ file, errors }) => ({ file, errors }));
+  return { files: placed.files, coverRejected: rejected('cover'), audioRejected: rejected('trackFiles') };
+}
+
+// 400 with the errors keyed by form field, so the form can show them next to the input
+function sendValidationErrors(res, fieldErrors, audioErrors) {
+  const summary = [];
+  if (fieldErrors.cover) summary.push('Album cover: ' + fieldErrors.cover.join('; '));
+  releaseMetadata.RELEASE_FIELDS.forEach(f => { if (fieldErrors[f]) summary.push(fieldErrors[f].join('; ')); });
+  if (fieldErrors.tracks) summary.push(fieldErrors.tracks.join('; '));
+  if (audioErrors.length) {
+    summary.push(fieldErrors.trackFiles[0] + (audioErrors.length > 1 ? ` (and ${audioErrors.length - 1} more file(s))` : ''));
+  }
+  return res.status(400).json({ error: summary.join(' — '), fields: fieldErrors, details: audioErrors });
+}
+
+// Which uploaded audio file each track gets: the one named by its fileName (the
+// front-end sends it), else the file in the track's position. Each file goes to one
+// track only, so tracks whose files share a name get one each.
+// Returns the index into names for each track, or -1 when no file is left for it.
+function matchTrackFiles(tracks, names) {
+  const unused = new Set(names.keys());
+  const byName = tracks.map(t => {
+    const i = names.findIndex((name, j) => unused.has(j) && name === (t.fileName || ''));
+    unused.delete(i);
+    return i;
+  });
+  return byName.map((i, idx) => {
+    if (i !== -1) return i;
+    if (!unused.has(idx)) return -1;
+    unused.delete(idx);
+    return idx;
+  });
+}
+
+// The metadata of /submit and finalize, checked against the original names of the
+// audio files but not their content. Returns { tracks, release, credits, fileIndex,
+// fieldErrors } with fileIndex from matchTrackFiles(), or { error } when tracks is not a JSON list.
+function readSubmissionFields(body, audioNames) {
+  let tracks;
+  try {
+    tracks = JSON.parse(body.tracks || '[]');
+  } catch (e) {
+    return { error: 'Invalid tracks metadata' };
+  }
+  if (!Array.isArray(tracks)) return { error: 'Invalid tracks metadata' };
+  const release = releaseMetadata.cleanRelease(body);
+  const credits = releaseMetadata.cleanTracks(tracks);
+  const fileIndex = matchTrackFiles(tracks, audioNames);
+  const fieldErrors = { ...release.errors };
+  const trackErrors = tracks.length ? [] : ['A release needs at least one track'];
+  fileIndex.forEach((i, idx) => { if (i === -1) trackErrors.push(`Track ${idx + 1} needs an audio file`); });
+  const unused = audioNames.filter((name, i) => !fileIndex.includes(i));
+  if (unused.length) trackErrors.push(`No track uses ${unused.join(', ')}`);
+  trackErrors.push(...credits.errors);
+  if (trackErrors.length) fieldErrors.tracks = trackErrors;
+  return { tracks, release, credits, fileIndex, fieldErrors };
+}
+
+// Shared by /submit and the resumable upload finalize step.
+// files has multer's shape: { cover: [file], trackFiles: [file, ...] }, each file
+// already stored in uploads/<subId>/ with { path, originalname, size } under a temporary name.
+async function createSubmission(req, res, subId, files) {
+  const dest = path.join(UPLOADS_DIR, subId);
+  try {
+    files = files || {};
 
     // parse fields
     const albumName = (req.body.albumName || '').trim();
     const releaseDate = req.body.releaseDate || '';
-    const platforms = (req.body.platforms || '').split(',').map(s => s.trim()).filter(Boolean);
+    const platforms = parsePlatforms(req.body.platforms);
     const numSongs = parseInt(req.body.numSongs || '0', 10) || 0;
 
-    let tracks = [];
-    try {
-      tracks = JSON.parse(req.body.tracks || '[]');
-    } catch (e) {
-      return res.status(400).json({ error: 'Invalid tracks metadata' });
+    const metadata = readSubmissionFields(req.body, (files.trackFiles || []).map(f => f.originalname));
+    if (metadata.error) {
+      fs.rmSync(dest, { recursive: true, force: true });
+      return res.status(400).json({ error: metadata.error });
     }
+    const { tracks, release, credits, fileIndex, fieldErrors } = metadata;
 
     // files
-    const coverFile = req.files['cover'] && req.files['cover'][0];
-    const audioFiles = req.files['trackFiles'] || [];
-
-    // Map audio files to tracks by filename if possible (front-end will send trackFileName field)
-    // fallback: match by index order
-    const tracksWithFiles = tracks.map((t, idx) => {
-      const matched = audioFiles.find(f => f.originalname === (t.fileName || ''));
-      if (matched) return { ...t, file: path.relative(UPLOADS_DIR, matched.path), originalFileName: matched.originalname };
-      const fallback = audioFiles[idx];
-      if (fallback) return { ...t, file: path.relative(UPLOADS_DIR, fallback.path), originalFileName: fallback.originalname };
-      return { ...t, file: null, originalFileName: null };
-    });
+    const placed = placeUploads(files, dest);
+    if (placed.tooBig) {
+      fs.rmSync(dest, { recursive: true, force: true });
+      return res.status(413).json({ error: placed.tooBig.join('; ') });
+    }
+    const coverFile = placed.files.cover[0];
+    const audioFiles = placed.files.trackFiles;
+
+    // Validation errors keyed by form field, so the form can show them next to the input
+    let coverImage = null;
+    if (placed.coverRejected.length) {
+      fieldErrors.cover = placed.coverRejected[0].errors;
+    } else if (!coverFile) {
+      fieldErrors.cover = ['a cover image is required'];
+    } else {
+      const checked = checkCoverFile(coverFile);
+      coverImage = checked.coverImage;
+      if (checked.errors) fieldErrors.cover = checked.errors;
+    }
+
+    // reject the whole submission if any file is not audio or fails the distribution spec
+    const checked = checkAudioFiles(audioFiles);
+    const audioInfo = checked.audioInfo;
+    const audioErrors = placed.audioRejected.concat(checked.audioErrors);
+    if (audioErrors.length) {
+      fieldErrors.trackFiles = audioErrors.map(a => `${a.file}: ${a.errors.join('; ')}`);
+    }
+
+    if (Object.keys(fieldErrors).length) {
+      fs.rmSync(dest, { recursive: true, force: true });
+      return sendValidationErrors(res, fieldErrors, audioErrors);
+    }
+
+    // every file was accepted, so audioFiles is still in upload order
+    const tracksWithFiles = tracks.map((t, idx) => ({ ...t, ...credits.values[idx], ...trackFile(audioFiles[fileIndex[idx]], audioInfo) }));
 
     const submission = {
       id: subId,
+      artistId: req.artist.id,
       albumName,
       releaseDate,
       platforms,
       numSongs,
-      cover: coverFile ? path.relative(UPLOADS_DIR, coverFile.path) : null,
+      ...release.values,
+      cover: toStoredPath(path.relative(UPLOADS_DIR, coverFile.path)),
+      coverImage,
       tracks: tracksWithFiles,
       createdAt: new Date().toISOString(),
-      status: 'pending', // pending | approved | rejected
-      adminNote: null
+      updatedAt: null,
+      status: 'submitted', // see lib/workflow.js for the lifecycle
+      adminNote: null,
+      history: [workflow.historyEntry(null, 'submitted', artistActor(req.artist))],
+      version: 1
     };
+    submission.versions = [revisions.firstVersion(submission, artistActor(req.artist))];
 
-    // save to DB
-    const db = readDB();
-    db.push(submission);
-    writeDB(db);
+    const stored = await db.submissions.insert(submission);
+    analysisQueue.enqueue();
+    await notifier.submissionReceived(stored);
+    await webhooks.emit('submission.created', stored);
 
     res.json({ ok: true, id: subId, message: 'Submission received. Admin will review.' });
   } catch (err) {
     console.error('submit error', err);
+    // keep the files only if the submission was stored before the error
+    if (!(await db.submissions.get({ id: subId }).catch(() => null))) fs.rmSync(dest, { recursive: true, force: true });
     res.status(500).json({ error: 'Internal server error' });
   }
+}
+
+// --- Resumable uploads ---
+// 1. POST   /api/uploads                      { files: [{ name, size, field: 'cover'|'trackFiles' }] }
+// 2. GET    /api/uploads/:id                  which byte ranges of each file the server has
+// 3. PUT    /api/uploads/:id/files/:index     application/octet-stream chunk with Content-Range: bytes start-end/total
+// 4. POST   /api/uploads/:id/finalize         same metadata fields as /submit; creates the submission.
+//                                             A metadata error leaves the upload in place for a retry.
+// The upload id becomes the submission id. A revision (POST /api/my/submissions/:id/revisions)
+// takes an upload id instead of step 4.
+function uploadErrorHandler(res, err) {
+  if (err instanceof chunkedUpload.UploadError) return res.status(err.status).json({ error: err.message });
+  console.error('upload error', err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+// Load the upload and make sure it belongs to the signed-in artist
+function ownUpload(req, id = req.params.id) {
+  const manifest = incoming.readManifest(id);
+  if (manifest.artistId !== req.artist.id) throw new chunkedUpload.UploadError(404, 'Upload not found');
+  return manifest;
+}
+
+app.post('/api/uploads', requireArtist, limitUploads, (req, res) => {
+  try {
+    res.status(201).json(incoming.create(uuidv4(), req.artist.id, req.body.files));
+  } catch (err) {
+    uploadErrorHandler(res, err);
+  }
+});
+
+app.get('/api/uploads/:id', requireArtist, (req, res) => {
+  try {
+    ownUpload(req);
+    res.json(incoming.status(req.params.id));
+  } catch (err) {
+    uploadErrorHandler(res, err);
+  }
+});
+
+app.put('/api/uploads/:id/files/:index', requireArtist,
+  express.raw({ type: () => true, limit: chunkedUpload.MAX_CHUNK }), (req, res) => {
+    try {
+      ownUpload(req);
+      const index = parseInt(req.params.index, 10);
+      res.json(incoming.writeChunk(req.params.id, index, req.get('Content-Range'), req.body));
+    } catch (err) {
+      uploadErrorHandler(res, err);
+    }
+  });
+
+app.post('/api/uploads/:id/finalize', requireArtist, (req, res) => {
+  let files;
+  try {
+    const manifest = ownUpload(req);
+    // checked before the files are moved, so the corrected form can finalize the same upload
+    const audioNames = manifest.files.filter(f => f.field === 'trackFiles').map(f => f.name);
+    const metadata = readSubmissionFields(req.body, audioNames);
+    if (metadata.error) return res.status(400).json({ error: metadata.error });
+    if (Object.keys(metadata.fieldErrors).length) return sendValidationErrors(res, metadata.fieldErrors, []);
+    files = incoming.finalize(req.params.id, path.join(UPLOADS_DIR, req.params.id));
+  } catch (err) {
+    return uploadErrorHandler(res, err);
+  }
+  createSubmission(req, res, req.params.id, files);
 });
 
+app.delete('/api/uploads/:id', requireArtist, (req, res) => {
+  try {
+    ownUpload(req);
+    incoming.remove(req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    uploadErrorHandler(res, err);
+  }
+});
+
+// --- Artist "My releases" ---
+// Artists only ever see their own submissions, and only the fields meant for them.
+function artistView(sub) {
+  return {
+    id: sub.id,
+    albumName: sub.albumName,
+    releaseDate: sub.releaseDate,
+    platforms: sub.platforms,
+    ...Object.fromEntries(releaseMetadata.RELEASE_FIELDS.map(f => [f, sub[f] || null])),
+    status: workflow.normalizeStatus(sub.status),
+    canWithdraw: workflow.nextStatuses(sub.status).includes('withdrawn'),
+    canRevise: revisions.canRevise(sub),
+    filesRemovedAt: sub.purged ? sub.purged.at : null,
+    version: sub.version || 1,
+    adminNote: sub.adminNote,
+    createdAt: sub.createdAt,
+    updatedAt: sub.updatedAt || null,
+    // reviewers are shown as "admin" only, never by account
+    history: (sub.history || []).map(h => ({ from: h.from, to: h.to, at: h.at, by: h.by.type, note: h.note, version: h.version || null })),
+    tracks: (sub.tracks || []).map(t => ({
+      index: t.index,
+      title: t.title,
+      featured: t.featured,
+      explicit: t.explicit,
+      isrc: t.isrc || null,
+      composers: t.composers || [],
+      producers: t.producers || [],
+      lyricists: t.lyricists || [],
+      splits: t.splits || [],
+      originalFileName: t.originalFileName,
+      audio: t.audio || null,
+      review: { status: workflow.trackReviewStatus(t), note: t.review ? t.review.note : null }
+    }))
+  };
+}
+
+app.get('/releases', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'my-releases.html'));
+});
+
+// API: list the signed-in artist's submissions, newest first
+app.get('/api/my/submissions', requireArtist, asyncRoute(async (req, res) => {
+  const mine = await db.submissions.list({ artistId: req.artist.id }, { createdAt: -1 });
+  res.json(mine.map(artistView));
+}));
+
+// API: one of the artist's submissions; someone else's is reported as not found
+app.get('/api/my/submissions/:id', requireArtist, asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id, artistId: req.artist.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  res.json(artistView(sub));
+}));
+
+// Royalty split sheet as CSV (a download) or as an HTML page to print and sign,
+// shared by the artist and admin routes; format is csv or html
+function sendSplitSheet(res, sub, format) {
+  const name = splitSheet.fileBase(sub);
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${name}.csv`);
+    return res.send(splitSheet.splitSheetCsv(sub));
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename=${name}.html`);
+  res.send(splitSheet.splitSheetHtml(sub));
+}
+
+app.get('/api/my/submissions/:id/splits.:format(csv|html)', requireArtist, asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id, artistId: req.artist.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  sendSplitSheet(res, sub, req.params.format);
+}));
+
+// Artist: signed links to their own release's cover and audio, see fileUrls()
+app.get('/api/my/submissions/:id/files', requireArtist, asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id, artistId: req.artist.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  res.json(fileUrls(sub, `artist:${req.artist.id}`));
+}));
+
+// Artist withdraws their own release (before review, or as a takedown once live)
+app.post('/api/my/submissions/:id/withdraw', requireArtist, asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id, artistId: req.artist.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  const updated = await workflow.transition(db.submissions, sub.id, 'withdrawn', artistActor(req.artist), req.body.note);
+  res.json(artistView(updated));
+}));
+
+// Artist revises a rejected or changes-requested release; it becomes the next
+// version of the same submission and goes back to review.
+// Body (JSON): { uploadId, albumName, releaseDate, platforms, tracks, note } plus the
+// release metadata of lib/release-metadata.js (primaryArtist, label, upc, ...)
+// - uploadId: optional resumable upload (/api/uploads) with a new cover and/or audio files
+// - tracks: the full new track list [{ title, featured, explicit, isrc, composers,
+//   producers, lyricists, source, fileName }]; source is the track's 0-based position
+//   in the current version (leave it out for a new track), fileName picks a file
+//   from the upload to replace its audio
+// - release fields, and the ISRC / credits of kept tracks, keep their current value when left out
+// Tracks whose audio and metadata are unchanged keep their review decision.
+app.post('/api/my/submissions/:id/revisions', requireArtist, asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id, artistId: req.artist.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  if (sub.purged) {
+    return res.status(409).json({ error: 'The files of this release were removed after it was rejected; please submit it again as a new release' });
+  }
+  // checked again with the update; this one keeps the upload intact for a retry
+  if (!revisions.canRevise(sub)) {
+    return res.status(409).json({ error: 'Only releases that were rejected or sent back for changes can be revised' });
+  }
+  const body = req.body;
+  if (!Array.isArray(body.tracks) || !body.tracks.length) {
+    return res.status(400).json({ error: 'A revision needs the full track list' });
+  }
+
+  // new files go next to the originals, which earlier versions still point at
+  const versions = revisions.versionsOf(sub);
+  const version = versions[versions.length - 1].version + 1;
+  let files = { cover: [], trackFiles: [] };
+  let dest = null;
+  if (body.uploadId) {
+    try {
+      ownUpload(req, body.uploadId);
+      dest = path.join(UPLOADS_DIR, sub.id, `v${version}-${String(body.uploadId).slice(0, 8)}`);
+      files = incoming.finalize(body.uploadId, dest);
+    } catch (err) {
+      return uploadErrorHandler(res, err);
+    }
+  }
+  const discard = () => { if (dest) fs.rmSync(dest, { recursive: true, force: true }); };
+  const placed = placeUploads(files, dest);
+  if (placed.tooBig) {
+    discard();
+    return res.status(413).json({ error: placed.tooBig.join('; ') });
+  }
+  files = placed.files;
+
+  const release = releaseMetadata.cleanRelease(body, sub);
+  const fieldErrors = { ...release.errors };
+  const coverFile = files.cover[0];
+  const cover = coverFile ? checkCoverFile(coverFile) : null;
+  if (cover && cover.errors) fieldErrors.cover = cover.errors;
+  if (placed.coverRejected.length) fieldErrors.cover = placed.coverRejected[0].errors;
+  const checked = checkAudioFiles(files.trackFiles);
+  const audioInfo = checked.audioInfo;
+  const audioErrors = placed.audioRejected.concat(checked.audioErrors);
+  if (audioErrors.length) fieldErrors.trackFiles = audioErrors.map(a => `${a.file}: ${a.errors.join('; ')}`);
+
+  const used = new Set();
+  const sourceOf = t => (Number.isInteger(t.source) && sub.tracks[t.source] ? t.source : null);
+  const credits = releaseMetadata.cleanTracks(body.tracks, body.tracks.map(t => sub.tracks[sourceOf(t)]));
+  const trackErrors = [];
+  const tracks = body.tracks.map((t, i) => {
+    const source = sourceOf(t);
+    const prev = source === null ? null : sub.tracks[source];
+    const replacement = t.fileName ? files.trackFiles.find(f => !used.has(f) && f.originalname === t.fileName) : null;
+    const { review, ...kept } = prev || {};
+    const track = {
+      ...kept,
+      index: i + 1,
+      title: String(t.title || '').trim(),
+      featured: String(t.featured || '').trim(),
+      explicit: t.explicit === true || t.explicit === 'true',
+      ...credits.values[i],
+      source
+    };
+    if (!track.title) trackErrors.push(`Track ${i + 1} needs a title`);
+    if (replacement) {
+      used.add(replacement);
+      Object.assign(track, trackFile(replacement, audioInfo), { fileName: replacement.originalname });
+      // timestamps of reviewer comments and duplicate matches refer to the old audio
+      delete track.comments;
+      delete track.sha256;
+      delete track.duplicates;
+    } else if (!prev) {
+      trackErrors.push(`Track ${i + 1} needs an audio file`);
+    }
+    const unchanged = prev && !replacement && revisions.TRACK_FIELDS.every(k => revisions.same(prev[k], track[k]));
+    if (unchanged && review) track.review = review;
+    return track;
+  });
+  trackErrors.push(...credits.errors);
+  if (trackErrors.length) fieldErrors.tracks = trackErrors;
+
+  if (Object.keys(fieldErrors).length) {
+    discard();
+    return sendValidationErrors(res, fieldErrors, audioErrors);
+  }
+  // uploaded audio that no track picked
+  files.trackFiles.filter(f => !used.has(f)).forEach(f => fs.rmSync(f.path, { force: true }));
+
+  const fields = {
+    albumName: body.albumName !== undefined ? String(body.albumName).trim() : sub.albumName,
+    releaseDate: body.releaseDate !== undefined ? String(body.releaseDate) : sub.releaseDate,
+    platforms: body.platforms !== undefined ? parsePlatforms(body.platforms) : sub.platforms,
+    ...release.values,
+    numSongs: tracks.length,
+    tracks,
+    possibleDuplicate: tracks.some(t => t.duplicates && t.duplicates.length > 0)
+  };
+  if (coverFile) {
+    fields.cover = toStoredPath(path.relative(UPLOADS_DIR, coverFile.path));
+    fields.coverImage = cover.coverImage;
+  }
+
+  let updated;
+  try {
+    updated = await revisions.applyRevision(db.submissions, sub, fields, artistActor(req.artist), body.note ? String(body.note).trim() : null);
+  } catch (err) {
+    discard();
+    throw err;
+  }
+  analysisQueue.enqueue();
+  await notifier.submissionReceived(updated);
+  res.json({ ok: true, version: updated.version, submission: artistView(updated) });
+}));
+
 // Admin login pages (simple)
 app.get('/admin/login', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin-login.html'));
 });
 
-app.post('/admin/login', express.urlencoded({ extended: true }), (req, res) => {
-  const pass = req.body.password || '';
-  if (pass === ADMIN_PASS) {
-    req.session.isAdmin = true;
-    return res.redirect('/admin/dashboard');
+// The sign-in form reads ?err= (1: wrong email or password, code: wrong two-factor
+// code, expired: took too long, locked: try again in ?wait= minutes) and ?step=code
+function lockedOut(res, seconds) {
+  res.redirect(`/admin/login?err=locked&wait=${Math.ceil(seconds / 60)}`);
+}
+
+async function signInFailed(req, admin, reason) {
+  const { failures, lockedUntil } = await loginGuard.failed(admin);
+  if (admin) await audit('admin.login_failed', { type: 'admin', id: admin.id, name: admin.name }, admin.id, { ip: req.ip, reason, failures, lockedUntil });
+}
+
+// fresh session, as for artists (avoids session fixation), with its CSRF token
+function signInAdmin(req, res, next, admin) {
+  req.session.regenerate(err => {
+    if (err) return next(err);
+    req.session.adminId = admin.id;
+    csrf.issueToken(req, res);
+    res.redirect('/admin/dashboard');
+  });
+}
+
+app.post('/admin/login', express.urlencoded({ extended: true }), asyncRoute(async (req, res, next) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const admin = await db.admins.get({ email });
+  const wait = loginGuard.attempt(admin, req.ip);
+  if (wait) return lockedOut(res, wait);
+  if (!admin || admin.disabled || !(await verifyPassword(String(req.body.password || ''), admin.passwordHash))) {
+    await signInFailed(req, admin, 'password');
+    return res.redirect('/admin/login?err=1');
   }
-  return res.redirect('/admin/login?err=1');
-});
+  if (admin.totp) {
+    // the password was right; the session only remembers that until the code is in
+    return req.session.regenerate(err => {
+      if (err) return next(err);
+      req.session.pendingAdmin = { id: admin.id, at: Date.now() };
+      res.redirect('/admin/login?step=code');
+    });
+  }
+  await loginGuard.succeeded(admin);
+  await db.admins.update({ id: admin.id }, { $set: { lastLoginAt: new Date().toISOString() } });
+  await audit('admin.login', { type: 'admin', id: admin.id, name: admin.name }, admin.id, { ip: req.ip, twoFactor: false });
+  signInAdmin(req, res, next, admin);
+}));
 
-app.get('/admin/logout', (req, res) => {
-  req.session.destroy(() => {
-    res.redirect('/admin/login');
+// Second step for admins with two-factor sign-in. Body: { code }
+app.post('/admin/login/code', express.urlencoded({ extended: true }), asyncRoute(async (req, res, next) => {
+  const pending = req.session.pendingAdmin;
+  const admin = pending && Date.now() - pending.at < TWO_FACTOR_WAIT ? await db.admins.get({ id: pending.id }) : null;
+  if (!admin || admin.disabled || !admin.totp) return res.redirect('/admin/login?err=expired');
+  const wait = loginGuard.attempt(admin, req.ip);
+  if (wait) return lockedOut(res, wait);
+  const step = totp.verifyCode(admin.totp.secret, req.body.code, { lastStep: admin.totp.lastStep });
+  // the step is stored only if no other request used this code first
+  const used = step !== null && await db.admins.update({ id: admin.id, 'totp.lastStep': admin.totp.lastStep }, { $set: { 'totp.lastStep': step } });
+  if (!used) {
+    await signInFailed(req, admin, 'code');
+    return res.redirect('/admin/login?step=code&err=code');
+  }
+  await loginGuard.succeeded(admin);
+  await db.admins.update({ id: admin.id }, { $set: { lastLoginAt: new Date().toISOString() } });
+  await audit('admin.login', { type: 'admin', id: admin.id, name: admin.name }, admin.id, { ip: req.ip, twoFactor: true });
+  signInAdmin(req, res, next, admin);
+}));
+
+app.post('/admin/logout', (req, res, next) => {
+  req.session.destroy(err => {
+    if (err) return next(err);
+    csrf.clearToken(res);
+    res.json({ ok: true });
   });
 });
 
 // Dashboard (protected)
-app.get('/admin/dashboard', requireAdmin, (req, res) => {
+app.get('/admin/dashboard', requirePermission('submissions.view'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin-dashboard.html'));
 });
 
-// API: list submissions
-app.get('/admin/api/submissions', requireAdmin, (req, res) => {
-  const db = readDB();
-  res.json(db);
+// API: the signed-in admin and what their role allows
+app.get('/admin/api/me', requirePermission('submissions.view'), (req, res) => {
+  res.json({ admin: publicAdmin(req.admin), permissions: adminRoles.permissionsOf(req.admin.role) });
+});
+
+// API: an admin's own settings. Body: { digest: true | false } (new submissions digest email)
+app.patch('/admin/api/me', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  const set = {};
+  if (req.body.digest !== undefined) set.digest = req.body.digest === true;
+  const updated = await db.admins.update({ id: req.admin.id }, { $set: set });
+  res.json({ ok: true, admin: publicAdmin(updated) });
+}));
+
+// Two-factor sign-in for the signed-in admin (lib/totp.js). Setting it up takes
+// two steps: POST .../two-factor answers a new secret for the authenticator app,
+// POST .../two-factor/confirm with a code from the app turns it on.
+app.post('/admin/api/me/two-factor', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  if (req.admin.totp) return res.status(409).json({ error: 'Two-factor sign-in is already on' });
+  const secret = totp.generateSecret();
+  await db.admins.update({ id: req.admin.id }, { $set: { totpPending: secret } });
+  res.json({ secret, otpauthUrl: totp.otpauthUrl(secret, req.admin.email, TOTP_ISSUER) });
+}));
+
+// Body: { code }
+app.post('/admin/api/me/two-factor/confirm', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  if (req.admin.totp) return res.status(409).json({ error: 'Two-factor sign-in is already on' });
+  if (!req.admin.totpPending) return res.status(409).json({ error: 'Start the two-factor setup first' });
+  const step = totp.verifyCode(req.admin.totpPending, req.body.code);
+  if (step === null) return res.status(400).json({ error: 'That code is not right; check the clock of your device and try the next one' });
+  const updated = await db.admins.update({ id: req.admin.id }, {
+    $set: { totp: { secret: req.admin.totpPending, lastStep: step, enabledAt: new Date().toISOString() } },
+    $unset: { totpPending: true }
+  });
+  await audit('admin.two_factor_on', adminActor(req), req.admin.id);
+  res.json({ ok: true, admin: publicAdmin(updated) });
+}));
+
+// Body: { code }, a current code proves the device is still at hand
+app.delete('/admin/api/me/two-factor', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  if (!req.admin.totp) return res.status(409).json({ error: 'Two-factor sign-in is not on' });
+  if (totp.verifyCode(req.admin.totp.secret, req.body.code, { lastStep: req.admin.totp.lastStep }) === null) {
+    return res.status(400).json({ error: 'That code is not right' });
+  }
+  const updated = await db.admins.update({ id: req.admin.id }, { $unset: { totp: true } });
+  await audit('admin.two_factor_off', adminActor(req), req.admin.id);
+  res.json({ ok: true, admin: publicAdmin(updated) });
+}));
+
+// API: list submissions, one page at a time.
+// Search, filters, sort and cursor: see lib/submission-search.js.
+// Answers { submissions, nextCursor, total }; nextCursor is null on the last page.
+app.get('/admin/api/submissions', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  res.json(await search.searchSubmissions(db.submissions, req.query));
+}));
+
+// Choices for the dashboard's search and filter controls
+app.get('/admin/api/submissions/filters', requirePermission('submissions.view'), (req, res) => {
+  res.json({
+    statuses: Object.entries(workflow.STATUS_LABELS).map(([id, label]) => ({ id, label })),
+    platforms: Object.keys(ddex.PLATFORM_DEALS), // the platforms of the submission form
+    sorts: Object.entries(search.SORTS).map(([id, s]) => ({ id, label: s.label }))
+  });
 });
 
 // API: get single submission metadata
-app.get('/admin/api/submissions/:id', requireAdmin, (req, res) => {
-  const db = readDB();
-  const sub = db.find(s => s.id === req.params.id);
+app.get('/admin/api/submissions/:id', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
   if (!sub) return res.status(404).json({ error: 'Not found' });
-  res.json(sub);
-});
+  const artist = sub.artistId ? await db.users.get({ id: sub.artistId }) : null;
+  const downloads = await db.audit.list({ target: sub.id, action: { $in: ['submission.download', 'submission.ddex_export', 'submission.package', 'submission.codes', 'submission.split_sheet'] } }, { at: 1 });
+  const access = await db.audit.list({ target: sub.id, action: 'file.access' }, { at: -1 }, FILE_ACCESS_SHOWN);
+  res.json({
+    ...sub,
+    status: workflow.normalizeStatus(sub.status),
+    history: sub.history || [],
+    // only the moves this admin's role allows
+    allowedTransitions: workflow.nextStatuses(sub.status).filter(to => adminRoles.canTransition(req.admin.role, to)),
+    ddexExportable: ddex.EXPORTABLE.includes(workflow.normalizeStatus(sub.status)),
+    downloads: downloads.map(d => ({
+      at: d.at,
+      by: d.by,
+      ddex: d.action === 'submission.ddex_export',
+      packages: d.action === 'submission.package' ? d.details.profiles : null,
+      codes: d.action === 'submission.codes' ? d.details.codes : null,
+      splitSheet: d.action === 'submission.split_sheet' ? d.details.format : null
+    })),
+    // the latest signed-link accesses of its files, see GET /files/*
+    fileAccess: {
+      total: await db.audit.count({ target: sub.id, action: 'file.access' }),
+      recent: access.map(a => ({ at: a.at, by: a.by, file: a.details.file, range: a.details.range }))
+    },
+    // codes the pools would fill in (POST .../codes), once the release is approved
+    missingCodes: ddex.EXPORTABLE.includes(workflow.normalizeStatus(sub.status)) ? codePool.missing(sub) : null,
+    deliveryProfiles: delivery.profilesFor(delivery.loadProfiles(), sub.platforms).map(p => ({ id: p.id, name: p.name })),
+    trackSummary: workflow.trackSummary(sub),
+    versions: revisions.versionsOf(sub),
+    artist: artist ? publicUser(artist) : null
+  });
+}));
+
+// Admin: move a submission through the review workflow.
+// Body: { to: 'in_review' | 'changes_requested' | 'approved' | ..., note }
+// Illegal moves answer 409; the note is kept in history and shown to the artist.
+async function adminTransition(req, res, to) {
+  if (workflow.STATUS_LABELS[to] && !adminRoles.canTransition(req.admin.role, to)) {
+    return res.status(403).json({ error: 'Your admin role does not allow this' });
+  }
+  const note = req.body.note || null;
+  // the artist sees the note of the latest decision only, so a move without one clears it
+  let updated = await workflow.transition(db.submissions, req.params.id, to, adminActor(req), note, { adminNote: note });
+  // the approval stands even when a pool has run out; the codes can be assigned later
+  let warning = null;
+  if (to === 'approved') {
+    const { submission, error } = await assignCodes(req, updated.id);
+    updated = submission || updated;
+    if (error) {
+      warning = `Approved, but not every code could be assigned: ${error}`;
+      console.error(warning);
+    }
+  }
+  await notifier.statusChanged(updated, to);
+  if (to === 'approved' || to === 'rejected') await webhooks.emit(`submission.${to}`, updated);
+  res.json(warning ? { ok: true, warning } : { ok: true });
+}
+
+// Fill in a missing UPC / ISRCs from the pools and record them in the audit log.
+// Resolves to codePool.assign()'s { submission, issued, error }.
+async function assignCodes(req, id) {
+  const result = await codePool.assign(id, adminActor(req));
+  if (result.issued.length) {
+    await audit('submission.codes', adminActor(req), id, { codes: result.issued.map(c => ({ code: c.code, type: c.type, track: c.track })) });
+  }
+  return result;
+}
 
-// Admin approve/reject
-app.post('/admin/api/submissions/:id/approve', requireAdmin, express.json(), (req, res) => {
-  const db = readDB();
-  const sub = db.find(s => s.id === req.params.id);
+app.post('/admin/api/submissions/:id/transition', requirePermission('submissions.view'), express.json(), asyncRoute(async (req, res) => {
+  await adminTransition(req, res, String(req.body.to || ''));
+}));
+
+// Admin: accept / flag one track. :position is the 0-based position in submission.tracks.
+// Body: { status: 'accepted' | 'flagged' | 'pending', note }
+app.post('/admin/api/submissions/:id/tracks/:position/review', requirePermission('submissions.review'), express.json(), asyncRoute(async (req, res) => {
+  const position = parseInt(req.params.position, 10);
+  const sub = await workflow.setTrackReview(db.submissions, req.params.id, position,
+    String(req.body.status || ''), adminActor(req), req.body.note || null);
+  res.json({ ok: true, review: sub.tracks[position].review, trackSummary: workflow.trackSummary(sub) });
+}));
+
+// Admin: signed links to the cover and track audio for the dashboard, see fileUrls()
+app.get('/admin/api/submissions/:id/files', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
   if (!sub) return res.status(404).json({ error: 'Not found' });
-  sub.status = 'approved';
-  sub.adminNote = req.body.note || null;
-  writeDB(db);
+  res.json(fileUrls(sub, `admin:${req.admin.id}`));
+}));
+
+// Admin: waveform of one track, { duration, peaks: [0..1], rms: [0..1] }, stored
+// by the audio analysis; 409 while that has not run yet
+app.get('/admin/api/submissions/:id/tracks/:position/waveform', requirePermission('submissions.view'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
+  const track = sub && sub.tracks[parseInt(req.params.position, 10)];
+  if (!track || !track.file) return res.status(404).json({ error: 'Not found' });
+  const file = waveformFile(UPLOADS_DIR, track.file);
+  if (!track.analysis || !track.analysis.waveform || !fs.existsSync(file)) {
+    const pending = track.analysis && track.analysis.status === 'pending';
+    return res.status(pending ? 409 : 404).json({ error: pending ? 'The waveform is not ready yet' : 'No waveform for this track' });
+  }
+  res.type('json').send(fs.readFileSync(file));
+}));
+
+// Admin: comment on a moment of a track. Body: { at: seconds, text }
+app.post('/admin/api/submissions/:id/tracks/:position/comments', requirePermission('submissions.review'), express.json(), asyncRoute(async (req, res) => {
+  const comment = await trackComments.addComment(db.submissions, req.params.id, parseInt(req.params.position, 10), req.body, adminActor(req));
+  res.json({ ok: true, comment });
+}));
+
+app.delete('/admin/api/submissions/:id/tracks/:position/comments/:commentId', requirePermission('submissions.review'), asyncRoute(async (req, res) => {
+  await trackComments.removeComment(db.submissions, req.params.id, parseInt(req.params.position, 10), req.params.commentId, adminActor(req));
   res.json({ ok: true });
-});
+}));
 
-app.post('/admin/api/submissions/:id/reject', requireAdmin, express.json(), (req, res) => {
-  const db = readDB();
-  const sub = db.find(s => s.id === req.params.id);
+// Admin: run the audio analysis of every track again (tracks uploaded before it
+// existed, or one that failed)
+app.post('/admin/api/submissions/:id/analysis', requirePermission('submissions.review'), asyncRoute(async (req, res) => {
+  const sub = await analysisQueue.reanalyze(req.params.id);
   if (!sub) return res.status(404).json({ error: 'Not found' });
-  sub.status = 'rejected';
-  sub.adminNote = req.body.note || null;
-  writeDB(db);
   res.json({ ok: true });
-});
+}));
 
-// Download submission as zip (audio files + cover + metadata.json)
-app.get('/admin/download/:id', requireAdmin, (req, res) => {
-  const db = readDB();
-  const sub = db.find(s => s.id === req.params.id);
+// Admin: assign the codes an approved release is still missing (e.g. after a pool
+// was configured or extended)
+app.post('/admin/api/submissions/:id/codes', requirePermission('submissions.decide'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  if (!ddex.EXPORTABLE.includes(workflow.normalizeStatus(sub.status))) {
+    return res.status(409).json({ error: 'Codes are assigned to approved releases only' });
+  }
+  if (!codePool.enabled) return res.status(503).json({ error: 'No code pool is configured (ISRC_PREFIX, UPC_FIRST / UPC_LAST)' });
+  const { submission, error } = await assignCodes(req, sub.id);
+  if (error) return res.status(503).json({ error });
+  res.json({ ok: true, upc: submission.upc || null, isrcs: submission.tracks.map(t => t.isrc || null) });
+}));
+
+// Shortcuts kept for existing clients
+app.post('/admin/api/submissions/:id/approve', requirePermission('submissions.decide'), express.json(), asyncRoute(async (req, res) => {
+  await adminTransition(req, res, 'approved');
+}));
+
+app.post('/admin/api/submissions/:id/reject', requirePermission('submissions.decide'), express.json(), asyncRoute(async (req, res) => {
+  await adminTransition(req, res, 'rejected');
+}));
+
+// Delete a submission and its files for good (e.g. spam or a legal request)
+app.delete('/admin/api/submissions/:id', requirePermission('submissions.delete'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  await db.submissions.remove({ id: sub.id });
+  await duplicates.forget(sub.id);
+  fs.rmSync(path.join(UPLOADS_DIR, sub.id), { recursive: true, force: true });
+  await audit('submission.delete', adminActor(req), sub.id, { albumName: sub.albumName, artistId: sub.artistId || null });
+  await webhooks.emit('submission.deleted', sub);
+  res.json({ ok: true });
+}));
+
+// Download submission as zip (audio files + cover + metadata.json); every
+// download is recorded in the audit log with the admin who made it
+app.get('/admin/download/:id', requirePermission('submissions.download'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
   if (!sub) return res.status(404).send('Not found');
 
+  if (sub.purged) return res.status(410).send(`The files of this release were removed on ${sub.purged.at.slice(0, 10)}`);
   const dir = path.join(UPLOADS_DIR, sub.id);
   if (!fs.existsSync(dir)) return res.status(404).send('Files missing');
+  await audit('submission.download', adminActor(req), sub.id);
 
   res.setHeader('Content-Disposition', `attachment; filename=${(sub.albumName || sub.id).replace(/[^a-z0-9_\-\.]/gi, '_')}.zip`);
   const archive = archiver('zip', { zlib: { level: 9 } });
@@ -248,11 +1233,399 @@ app.get('/admin/download/:id', requireAdmin, (req, res) => {
   });
 
   archive.finalize();
+}));
+
+// DDEX ERN 4.3 NewReleaseMessage for an approved release, validated against the
+// schema first. ?recipient=PADPIDA...&recipientName=... overrides the default recipient.
+// 422 { error, details: [...] } lists what has to be fixed before the export works.
+app.get('/admin/api/submissions/:id/ddex', requirePermission('submissions.download'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  const artist = sub.artistId ? await db.users.get({ id: sub.artistId }) : null;
+  const config = ddex.ddexConfig();
+  if (req.query.recipient) {
+    config.recipient = { dpid: String(req.query.recipient).trim(), name: req.query.recipientName ? String(req.query.recipientName) : null };
+  }
+  const xml = await ddex.exportRelease({ ...sub, status: workflow.normalizeStatus(sub.status) }, { artist, config });
+  await audit('submission.ddex_export', adminActor(req), sub.id, { recipient: config.recipient.dpid });
+
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=${(sub.albumName || sub.id).replace(/[^a-z0-9_\-\.]/gi, '_')}.ern.xml`);
+  res.send(xml);
+}));
+
+app.get('/admin/api/submissions/:id/splits.:format(csv|html)', requirePermission('submissions.download'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  await audit('submission.split_sheet', adminActor(req), sub.id, { format: req.params.format });
+  sendSplitSheet(res, sub, req.params.format);
+}));
+
+// Delivery profiles (delivery-profiles/*.json), read on every request so a new
+// profile file is picked up without a restart
+app.get('/admin/api/delivery-profiles', requirePermission('submissions.download'), (req, res) => {
+  const { profiles, errors } = delivery.readProfiles();
+  res.json({
+    profiles: profiles.map(p => ({ id: p.id, name: p.name, platforms: p.platforms, metadataFormat: p.metadata.format })),
+    errors
+  });
+});
+
+// Delivery package for one store (:profile = profile id) or for every store the
+// artist selected (:profile = all, one folder per profile). The whole package is
+// planned and checked before anything is sent: 422 { error, details } lists what
+// does not meet the profile(s).
+app.get('/admin/api/submissions/:id/packages/:profile', requirePermission('submissions.download'), asyncRoute(async (req, res) => {
+  const sub = await db.submissions.get({ id: req.params.id });
+  if (!sub) return res.status(404).json({ error: 'Not found' });
+  const status = workflow.normalizeStatus(sub.status);
+  if (!ddex.EXPORTABLE.includes(status)) {
+    return res.status(409).json({ error: 'Only approved, delivered or live releases can be packaged' });
+  }
+  const profiles = delivery.loadProfiles();
+  const all = req.params.profile === 'all';
+  const targets = all ? delivery.profilesFor(profiles, sub.platforms) : profiles.filter(p => p.id === req.params.profile);
+  if (!targets.length) {
+    return res.status(404).json({ error: all ? 'None of the selected platforms has a delivery profile' : 'Unknown delivery profile' });
+  }
+  if (!all && !delivery.profilesFor(targets, sub.platforms).length) {
+    return res.status(422).json({ error: `The artist did not select ${targets[0].name} for this release` });
+  }
+
+  const artist = sub.artistId ? await db.users.get({ id: sub.artistId }) : null;
+  const options = { artist, uploadsDir: UPLOADS_DIR, ddexConfig: ddex.ddexConfig() };
+  const details = [];
+  const packages = [];
+  for (const profile of targets) {
+    try {
+      packages.push(await delivery.planPackage({ ...sub, status }, profile, { ...options, prefix: all ? profile.id + '/' : '' }));
+    } catch (err) {
+      if (!(err instanceof delivery.DeliveryError)) throw err;
+      details.push(...err.details.map(d => (all ? `${profile.name}: ${d}` : d)));
+    }
+  }
+  if (details.length) {
+    return res.status(422).json({ error: all ? 'The release does not meet every delivery profile' : `The release does not meet the ${targets[0].name} delivery profile`, details });
+  }
+  await audit('submission.package', adminActor(req), sub.id, { profiles: targets.map(p => p.id) });
+
+  const base = (sub.albumName || sub.id).replace(/[^a-z0-9_\-\.]/gi, '_');
+  res.setHeader('Content-Disposition', `attachment; filename=${base}-${all ? 'all' : targets[0].id}.zip`);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', err => res.destroy(err));
+  archive.pipe(res);
+  packages.forEach(pkg => pkg.entries.forEach(entry => {
+    if (entry.file) archive.file(entry.file, { name: entry.name });
+    else archive.append(entry.content, { name: entry.name });
+  }));
+  archive.finalize();
+}));
+
+// --- Admin accounts (owners only) ---
+app.get('/admin/users', requirePermission('admins.manage'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-users.html'));
+});
+
+app.get('/admin/api/admins', requirePermission('admins.manage'), asyncRoute(async (req, res) => {
+  const admins = await db.admins.list();
+  res.json({ admins: admins.map(publicAdmin), roles: adminRoles.ROLES });
+}));
+
+// Body: { name, email, role, password }
+app.post('/admin/api/admins', requirePermission('admins.manage'), asyncRoute(async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const role = String(req.body.role || '');
+  const password = String(req.body.password || '');
+  if (!email.includes('@') || email.length < 5) return res.status(400).json({ error: 'Please enter a valid email' });
+  if (!adminRoles.ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${adminRoles.ROLES.join(', ')}` });
+  if (password.length < ADMIN_MIN_PASSWORD) return res.status(400).json({ error: `Password must be at least ${ADMIN_MIN_PASSWORD} characters` });
+
+  const admin = {
+    id: uuidv4(),
+    name: name || email.split('@')[0],
+    email,
+    role,
+    passwordHash: await hashPassword(password),
+    disabled: false,
+    createdAt: new Date().toISOString()
+  };
+  try {
+    await db.admins.insert(admin);
+  } catch (e) {
+    if (e.errorType === 'uniqueViolated') return res.status(409).json({ error: 'An admin with that email already exists' });
+    throw e;
+  }
+  await audit('admin.create', adminActor(req), admin.id, { email, role });
+  res.status(201).json({ ok: true, admin: publicAdmin(admin) });
+}));
+
+// There must always be an active owner, or nobody could manage admins again
+async function isLastOwner(admin) {
+  if (admin.role !== 'owner' || admin.disabled) return false;
+  return (await db.admins.count({ role: 'owner', disabled: { $ne: true } })) <= 1;
+}
+
+// Body: any of { name, role, disabled, password, unlock: true (end a sign-in lockout),
+// twoFactor: false (turn off two-factor sign-in, e.g. after a lost phone)}.
+// A new password, disabling and turning off two-factor end the admin's other sessions.
+app.patch('/admin/api/admins/:id', requirePermission('admins.manage'), asyncRoute(async (req, res) => {
+  const admin = await db.admins.get({ id: req.params.id });
+  if (!admin) return res.status(404).json({ error: 'Not found' });
+  const set = {};
+  if (req.body.name !== undefined) set.name = String(req.body.name).trim() || admin.name;
+  if (req.body.role !== undefined) {
+    if (!adminRoles.ROLES.includes(req.body.role)) return res.status(400).json({ error: `Role must be one of: ${adminRoles.ROLES.join(', ')}` });
+    set.role = req.body.role;
+  }
+  if (req.body.disabled !== undefined) set.disabled = req.body.disabled === true;
+  if (req.body.password !== undefined) {
+    const password = String(req.body.password);
+    if (password.length < ADMIN_MIN_PASSWORD) return res.status(400).json({ error: `Password must be at least ${ADMIN_MIN_PASSWORD} characters` });
+    set.passwordHash = await hashPassword(password);
+  }
+  if (req.body.unlock === true) {
+    set.failedLogins = 0;
+    set.lockedUntil = null;
+  }
+  const resetTwoFactor = req.body.twoFactor === false && !!admin.totp;
+  if ((set.role && set.role !== 'owner') || set.disabled) {
+    if (await isLastOwner(admin)) return res.status(409).json({ error: 'There must be at least one active owner' });
+  }
+
+  const updated = await db.admins.update({ id: admin.id }, resetTwoFactor ? { $set: set, $unset: { totp: true } } : { $set: set });
+  if (set.passwordHash || set.disabled || resetTwoFactor) {
+    await sessionStore.endAdminSessions(admin.id, admin.id === req.admin.id ? req.sessionID : null);
+  }
+  const { passwordHash, failedLogins, lockedUntil, ...changed } = set;
+  await audit('admin.update', adminActor(req), admin.id, {
+    ...changed,
+    passwordChanged: !!passwordHash,
+    unlocked: req.body.unlock === true,
+    twoFactorReset: resetTwoFactor
+  });
+  res.json({ ok: true, admin: publicAdmin(updated) });
+}));
+
+app.delete('/admin/api/admins/:id', requirePermission('admins.manage'), asyncRoute(async (req, res) => {
+  const admin = await db.admins.get({ id: req.params.id });
+  if (!admin) return res.status(404).json({ error: 'Not found' });
+  if (await isLastOwner(admin)) return res.status(409).json({ error: 'There must be at least one active owner' });
+  await db.admins.remove({ id: admin.id });
+  await sessionStore.endAdminSessions(admin.id);
+  await audit('admin.delete', adminActor(req), admin.id, { email: admin.email, role: admin.role });
+  res.json({ ok: true });
+}));
+
+// --- Email notifications: templates and outbox (managers and owners) ---
+app.get('/admin/notifications', requirePermission('notifications.manage'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-notifications.html'));
+});
+
+app.get('/admin/api/notifications', requirePermission('notifications.manage'), asyncRoute(async (req, res) => {
+  res.json({
+    enabled: notifier.enabled,
+    config: notifier.config,
+    templates: await notifier.listTemplates(),
+    outbox: await notifier.listOutbox(req.query.status || null)
+  });
+}));
+
+// Body: { subject, text }
+app.put('/admin/api/notifications/templates/:name', requirePermission('notifications.manage'), asyncRoute(async (req, res) => {
+  if (!(await notifier.getTemplate(req.params.name))) return res.status(404).json({ error: 'Unknown template' });
+  const subject = String(req.body.subject || '').trim();
+  const text = String(req.body.text || '');
+  if (!subject || !text.trim()) return res.status(400).json({ error: 'Subject and text are required' });
+  await notifier.saveTemplate(req.params.name, subject, text, adminActor(req));
+  await audit('template.update', adminActor(req), req.params.name);
+  res.json({ ok: true, template: await notifier.getTemplate(req.params.name) });
+}));
+
+// Back to the built-in text
+app.delete('/admin/api/notifications/templates/:name', requirePermission('notifications.manage'), asyncRoute(async (req, res) => {
+  if (!(await notifier.getTemplate(req.params.name))) return res.status(404).json({ error: 'Unknown template' });
+  await notifier.resetTemplate(req.params.name);
+  await audit('template.reset', adminActor(req), req.params.name);
+  res.json({ ok: true, template: await notifier.getTemplate(req.params.name) });
+}));
+
+// Render { subject, text } with example values, for the editor
+app.post('/admin/api/notifications/preview', requirePermission('notifications.manage'), (req, res) => {
+  res.json(notifier.preview(String(req.body.subject || ''), String(req.body.text || '')));
+});
+
+app.post('/admin/api/notifications/outbox/:id/retry', requirePermission('notifications.manage'), asyncRoute(async (req, res) => {
+  const msg = await notifier.retry(req.params.id);
+  if (!msg) return res.status(404).json({ error: 'Not found or already sent' });
+  notifier.tick();
+  res.json({ ok: true });
+}));
+
+// --- Issued ISRCs / UPCs (lib/code-pool.js) ---
+app.get('/admin/codes', requirePermission('codes.view'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-codes.html'));
 });
 
-// Start server
+// ?type=isrc|upc&q=<code or album title>; newest first, with the track holding each code
+app.get('/admin/api/codes', requirePermission('codes.view'), asyncRoute(async (req, res) => {
+  const type = req.query.type ? String(req.query.type) : null;
+  if (type && !['isrc', 'upc'].includes(type)) return res.status(400).json({ error: 'type must be isrc or upc' });
+  res.json({
+    pools: {
+      isrc: codePool.config.isrc,
+      upc: codePool.config.upc,
+      errors: codePool.config.errors
+    },
+    codes: await codePool.list({ type, q: req.query.q ? String(req.query.q) : null })
+  });
+}));
+
+// --- Storage: disk usage and purges (owners only, lib/retention.js) ---
+app.get('/admin/storage', requirePermission('storage.manage'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-storage.html'));
+});
+
+// Sizes per submission and per artist, orphaned files and what a purge would remove
+app.get('/admin/api/storage', requirePermission('storage.manage'), asyncRoute(async (req, res) => {
+  res.json(await retention.usage());
+}));
+
+// Body: { dryRun, orphans, expired }, all true when left out, so only dryRun: false
+// removes anything. Answers what was (or would be) removed; real purges are audited.
+app.post('/admin/api/storage/purge', requirePermission('storage.manage'), asyncRoute(async (req, res) => {
+  res.json(await retention.purge({
+    dryRun: req.body.dryRun !== false,
+    orphans: req.body.orphans !== false,
+    expired: req.body.expired !== false,
+    actor: adminActor(req)
+  }));
+}));
+
+// --- Webhooks (owners only) ---
+app.get('/admin/webhooks', requirePermission('webhooks.manage'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-webhooks.html'));
+});
+
+// Endpoints, the events they can subscribe to and the latest deliveries (?webhookId= to filter)
+app.get('/admin/api/webhooks', requirePermission('webhooks.manage'), asyncRoute(async (req, res) => {
+  const query = req.query.webhookId ? { webhookId: String(req.query.webhookId) } : {};
+  res.json({
+    events: WEBHOOK_EVENTS,
+    webhooks: await webhooks.list(),
+    deliveries: await webhooks.listDeliveries(query)
+  });
+}));
+
+// Body: { url, description, events: [...] }; the response includes the signing secret
+app.post('/admin/api/webhooks', requirePermission('webhooks.manage'), asyncRoute(async (req, res) => {
+  const hook = await webhooks.create(req.body, adminActor(req));
+  await audit('webhook.create', adminActor(req), hook.id, { url: hook.url, events: hook.events });
+  res.status(201).json({ ok: true, webhook: hook });
+}));
+
+// Body: any of { url, description, events, active, rotateSecret: true }
+app.patch('/admin/api/webhooks/:id', requirePermission('webhooks.manage'), asyncRoute(async (req, res) => {
+  const hook = await webhooks.update(req.params.id, req.body);
+  const { secret, ...details } = hook;
+  await audit('webhook.update', adminActor(req), hook.id, { ...details, secretRotated: req.body.rotateSecret === true });
+  res.json({ ok: true, webhook: hook });
+}));
+
+app.delete('/admin/api/webhooks/:id', requirePermission('webhooks.manage'), asyncRoute(async (req, res) => {
+  await webhooks.remove(req.params.id);
+  await audit('webhook.delete', adminActor(req), req.params.id);
+  res.json({ ok: true });
+}));
+
+// Queue a delivery's payload again (same event id) as a new delivery
+app.post('/admin/api/webhooks/deliveries/:id/replay', requirePermission('webhooks.manage'), asyncRoute(async (req, res) => {
+  const delivery = await webhooks.replay(req.params.id);
+  await audit('webhook.replay', adminActor(req), delivery.webhookId, { delivery: req.params.id });
+  res.json({ ok: true, delivery });
+}));
+
+// Errors passed to next() (e.g. from asyncRoute) end up here
+app.use((err, req, res, next) => {
+  if (err instanceof workflow.WorkflowError || err instanceof WebhookError || err instanceof search.SearchError || err instanceof CodePoolError || err instanceof signedUrls.SignedUrlError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (err instanceof ddex.DdexError || err instanceof delivery.DeliveryError) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  // /submit: multer stops at the first file over the cap or unexpected field
+  if (err instanceof multer.MulterError) {
+    if (req._subId) fs.rmSync(path.join(UPLOADS_DIR, req._subId), { recursive: true, force: true });
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Each file can be at most ${uploadPolicy.formatMb(UPLOAD_LIMITS.trackFiles)}` });
+    }
+    return res.status(400).json({ error: `Upload rejected: ${err.message}${err.field ? ` (${err.field})` : ''}` });
+  }
+  // body parsers: malformed JSON, a chunk over the size limit
+  if (err.expose && err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: err.message });
+  console.error('unhandled error', err);
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Start server once the datastore is loaded
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
-  console.log(`Admin login: http://localhost:${PORT}/admin/login (password from ADMIN_PASS or default 'adminpass')`);
+openDB(DATA_DIR).then(async store => {
+  db = store;
+  notifier = createNotifier(db, { publicUrl: process.env.PUBLIC_URL || `http://localhost:${PORT}` });
+  webhooks = createWebhooks(db);
+  codePool = createCodePool(db);
+  duplicates = createDuplicateIndex(db);
+  urlSigner = signedUrls.createUrlSigner(await signedUrls.fileUrlKey(db), { ttl: signedUrls.fileUrlTtl() });
+  sessionStore = new SessionStore(db.sessions);
+  sessionMiddleware = session({
+    secret: (await storedSecret(db, 'sessionSecret', process.env.SESSION_SECRET)).split(',').map(s => s.trim()),
+    store: sessionStore,
+    resave: false,
+    saveUninitialized: false,
+    rolling: true,
+    cookie: { httpOnly: true, sameSite: 'lax', secure: process.env.SESSION_COOKIE_SECURE === 'true', maxAge: SESSION_IDLE }
+  });
+  loginGuard = createLoginGuard(db.admins);
+  retention = createRetention(db, { uploadsDir: UPLOADS_DIR, legacyData: path.join(DATA_DIR, 'submissions.json'), audit });
+  analysisQueue = createAnalysisQueue(db, { uploadsDir: UPLOADS_DIR, duplicates });
+  await duplicates.addMissingKeys();
+  // records from before the review workflow still say "pending"
+  await db.submissions.datastore.updateAsync({ status: 'pending' }, { $set: { status: 'submitted' } }, { multi: true });
+  if (!(await db.admins.count())) {
+    await db.admins.insert({
+      id: uuidv4(),
+      name: 'Owner',
+      email: ADMIN_EMAIL,
+      role: 'owner',
+      passwordHash: await hashPassword(ADMIN_PASS),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    });
+    console.log(`Created the first admin account ${ADMIN_EMAIL} (owner); add other admins under /admin/users`);
+  }
+  if (fs.existsSync(path.join(DATA_DIR, 'submissions.json'))) {
+    db.submissions.count().then(n => {
+      if (!n) console.log('Found data/submissions.json but the datastore is empty: stop the server and run `npm run import-json`');
+    });
+  }
+  app.listen(PORT, () => {
+    console.log(`Server listening on http://localhost:${PORT}`);
+    console.log(`Admin login: http://localhost:${PORT}/admin/login`);
+    webhooks.start();
+    analysisQueue.start();
+    retention.start();
+    if (!retention.days) console.log('Rejected and withdrawn releases keep their files (set RETENTION_DAYS to remove them)');
+    delivery.readProfiles().errors.forEach(e => console.error(`Delivery profile ignored: ${e}`));
+    codePool.config.errors.forEach(e => console.error(`Code pool not configured: ${e}`));
+    if (notifier.enabled) {
+      notifier.start();
+      console.log(`Email notifications via ${notifier.config.host}:${notifier.config.port}`);
+    } else {
+      console.log('Email notifications are off (set SMTP_HOST to turn them on)');
+    }
+  });
+}).catch(err => {
+  console.error('Could not open the datastore', err);
+  process.exit(1);
 });
\ No newline at end of file
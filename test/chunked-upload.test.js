@@ -0,0 +1,70 @@
+// test/chunked-upload.test.js
+// lib/chunked-upload.js: chunks land at their Content-Range offsets whatever
+// order they arrive in, and ranges that do not fit the declared file are refused.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/chunked-upload');
+const { uploadLimits } = require('../lib/upload-policy');
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-upload-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, store: createStore(dir, { limits: uploadLimits({}) }) };
+}
+
+const range = (start, end, size) => `bytes ${start}-${end - 1}/${size}`;
+
+test('chunks sent out of order and resent are written at their offsets', t => {
+  const { dir, store } = setup(t);
+  const id = crypto.randomUUID();
+  const data = crypto.randomBytes(1000);
+  store.create(id, 'artist-1', [{ name: 'song.wav', size: data.length, field: 'trackFiles' }]);
+
+  store.writeChunk(id, 0, range(600, 1000, 1000), data.subarray(600, 1000));
+  let file = store.writeChunk(id, 0, range(0, 300, 1000), data.subarray(0, 300));
+  assert.deepEqual(file.ranges, [[0, 300], [600, 1000]]);
+  assert.equal(file.received, 700);
+  assert.equal(file.complete, false);
+
+  // a retry overlapping what is already there
+  store.writeChunk(id, 0, range(200, 700, 1000), data.subarray(200, 700));
+  file = store.status(id).files[0];
+  assert.deepEqual(file.ranges, [[0, 1000]]);
+  assert.equal(file.complete, true);
+
+  const { trackFiles } = store.finalize(id, path.join(dir, 'done'));
+  assert.equal(trackFiles.length, 1);
+  assert.deepEqual(fs.readFileSync(trackFiles[0].path), data);
+});
+
+test('ranges outside the declared file and short chunks are refused', t => {
+  const { store } = setup(t);
+  const id = crypto.randomUUID();
+  store.create(id, 'artist-1', [{ name: 'song.wav', size: 100, field: 'trackFiles' }]);
+  const refused = (contentRange, data, status) => assert.throws(
+    () => store.writeChunk(id, 0, contentRange, data),
+    err => err.status === status
+  );
+
+  refused(range(0, 50, 99), Buffer.alloc(50), 416); // total differs from the declared size
+  refused(range(90, 110, 100), Buffer.alloc(20), 416); // past the end
+  refused('bytes 10-5/100', Buffer.alloc(0), 416); // backwards
+  refused(range(0, 50, 100), Buffer.alloc(49), 400); // fewer bytes than the range
+  refused('bytes=0-49', Buffer.alloc(50), 400);
+  assert.throws(() => store.writeChunk(id, 1, range(0, 50, 100), Buffer.alloc(50)), err => err.status === 404);
+  assert.deepEqual(store.status(id).files[0].ranges, []);
+});
+
+test('an incomplete upload cannot be finalized', t => {
+  const { dir, store } = setup(t);
+  const id = crypto.randomUUID();
+  store.create(id, 'artist-1', [{ name: 'song.wav', size: 100, field: 'trackFiles' }]);
+  store.writeChunk(id, 0, range(0, 60, 100), Buffer.alloc(60));
+  assert.throws(() => store.finalize(id, path.join(dir, 'done')), err => err.status === 409);
+  assert.throws(() => store.status('../../etc'), err => err.status === 404);
+});
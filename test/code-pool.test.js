@@ -0,0 +1,68 @@
+// test/code-pool.test.js
+// lib/code-pool.js: approvals running at the same time never get the same ISRC
+// or UPC, and codes that are already taken are skipped.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { codePoolConfig, createCodePool } = require('../lib/code-pool');
+const codes = require('../public/release-codes');
+const { tempDB } = require('./helpers');
+
+const ACTOR = { type: 'admin', id: 'admin-1', name: 'Owner' };
+const YEAR = String(new Date().getUTCFullYear()).slice(2);
+
+function release(id, tracks, fields = {}) {
+  return {
+    id,
+    albumName: `Album ${id}`,
+    status: 'approved',
+    tracks: Array.from({ length: tracks }, (_, i) => ({ title: `Track ${i + 1}` })),
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+}
+
+test('parallel assignments get distinct, consecutive codes', async t => {
+  const db = await tempDB(t, 'code-pool');
+  const pool = createCodePool(db, codePoolConfig({ ISRC_PREFIX: 'US-S1Z', UPC_FIRST: '036000290004', UPC_LAST: '036000299991' }));
+  const ids = ['a', 'b', 'c', 'd', 'e'];
+  for (const id of ids) await db.submissions.insert(release(id, 3));
+
+  // the same release twice as well, as when an approval is retried
+  const results = await Promise.all(ids.concat(['a']).map(id => pool.assign(id, ACTOR)));
+  results.forEach(r => assert.equal(r.error, null));
+
+  const subs = await db.submissions.list({}, { id: 1 });
+  const isrcs = subs.flatMap(s => s.tracks.map(t => t.isrc));
+  const upcs = subs.map(s => s.upc);
+  assert.equal(new Set(isrcs).size, 15);
+  assert.deepEqual(isrcs.slice().sort(), Array.from({ length: 15 }, (_, i) => `USS1Z${YEAR}${String(i + 1).padStart(5, '0')}`));
+  assert.equal(new Set(upcs).size, 5);
+  upcs.forEach(upc => assert.equal(codes.upcProblem(upc), ''));
+  assert.equal(await db.codes.count(), 20);
+});
+
+test('codes entered by artists or issued before are skipped', async t => {
+  const db = await tempDB(t, 'code-pool');
+  const pool = createCodePool(db, codePoolConfig({ ISRC_PREFIX: 'US-S1Z' }));
+  await db.submissions.insert(release('entered', 1, { tracks: [{ title: 'Own code', isrc: `USS1Z${YEAR}00001` }] }));
+  await db.codes.insert({ code: `USS1Z${YEAR}00002`, type: 'isrc', submissionId: 'gone' });
+  await db.submissions.insert(release('new', 2));
+
+  const { submission, issued, error } = await pool.assign('new', ACTOR);
+  assert.equal(error, null);
+  assert.deepEqual(submission.tracks.map(t => t.isrc), [`USS1Z${YEAR}00003`, `USS1Z${YEAR}00004`]);
+  assert.equal(issued.length, 2);
+});
+
+test('a used-up UPC block is reported and ISRCs are still issued', async t => {
+  const db = await tempDB(t, 'code-pool');
+  const pool = createCodePool(db, codePoolConfig({ ISRC_PREFIX: 'US-S1Z', UPC_FIRST: '036000290004', UPC_LAST: '036000290011' }));
+  for (const id of ['a', 'b', 'c']) await db.submissions.insert(release(id, 1));
+
+  const results = [];
+  for (const id of ['a', 'b', 'c']) results.push(await pool.assign(id, ACTOR));
+  assert.deepEqual(results.map(r => r.submission.upc || null), ['036000290004', '036000290011', null]);
+  assert.match(results[2].error, /used up/);
+  assert.ok(results[2].submission.tracks[0].isrc);
+});
@@ -0,0 +1,64 @@
+// test/csrf.test.js
+// lib/csrf.js: admin changes need the session's token in the X-CSRF-Token header.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const csrf = require('../lib/csrf');
+
+// The parts of an Express request / response the middleware and issueToken use
+function request(method, reqPath, { token, header } = {}) {
+  const headers = header === undefined ? {} : { 'x-csrf-token': header };
+  return {
+    method,
+    path: reqPath,
+    session: token === undefined ? { cookie: {} } : { csrfToken: token, cookie: {} },
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    cookies: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    cookie(name, value, options) { this.cookies[name] = { value, options }; }
+  };
+}
+
+// 'next' when the request may go on, else the status it was answered with
+function run(req) {
+  const res = response();
+  let passed = false;
+  csrf.checkToken({ open: ['/login'] })(req, res, () => { passed = true; });
+  return passed ? 'next' : res.statusCode;
+}
+
+test('issueToken stores a token in the session and the readable cookie', () => {
+  const req = request('POST', '/login');
+  const res = response();
+  const token = csrf.issueToken(req, res);
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.equal(req.session.csrfToken, token);
+  assert.equal(res.cookies[csrf.COOKIE].value, token);
+  assert.equal(res.cookies[csrf.COOKIE].options.path, '/admin');
+  assert.notEqual(csrf.issueToken(req, res), token);
+});
+
+test('changes need the session token; reads and open paths do not', () => {
+  const token = 'a'.repeat(64);
+  assert.equal(run(request('GET', '/api/submissions')), 'next');
+  assert.equal(run(request('HEAD', '/api/submissions')), 'next');
+  assert.equal(run(request('POST', '/login')), 'next');
+
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    assert.equal(run(request(method, '/api/admins/1', { token, header: token })), 'next');
+    assert.equal(run(request(method, '/api/admins/1', { token })), 403);
+  }
+  assert.equal(run(request('POST', '/api/admins', { token, header: 'b'.repeat(64) })), 403);
+  assert.equal(run(request('POST', '/api/admins', { token, header: token.slice(1) })), 403);
+  assert.equal(run(request('POST', '/api/admins', { token, header: '' })), 403);
+  // no token in the session (signed out): nothing matches, not even an empty header
+  assert.equal(run(request('POST', '/api/admins', { header: '' })), 403);
+  assert.equal(run(request('POST', '/api/admins', { header: token })), 403);
+});
@@ -0,0 +1,20 @@
+// test/helpers.js
+// Shared fixtures for the tests.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDB } = require('../lib/db');
+
+// A database of its own in a temporary directory, closed and removed after test t
+async function tempDB(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  const db = await openDB(dir);
+  t.after(() => {
+    Object.values(db).forEach(c => c.datastore.stopAutocompaction());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return db;
+}
+
+module.exports = { tempDB };
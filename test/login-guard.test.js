@@ -0,0 +1,53 @@
+// test/login-guard.test.js
+// lib/login-guard.js: failed sign-ins made at the same time are each counted,
+// and the lock grows from the FREE_ATTEMPTS-th failure on.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FREE_ATTEMPTS, lockDuration, createLoginGuard } = require('../lib/login-guard');
+const { tempDB } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+async function setup(t) {
+  const db = await tempDB(t, 'login-guard');
+  const admin = await db.admins.insert({ id: 'admin-1', email: 'a@example.com', failedLogins: 0, lockedUntil: null });
+  return { db, admin };
+}
+
+test('the lock doubles from the fifth failure on, up to an hour', () => {
+  assert.equal(lockDuration(FREE_ATTEMPTS - 1), 0);
+  assert.equal(lockDuration(FREE_ATTEMPTS), MINUTE);
+  assert.equal(lockDuration(FREE_ATTEMPTS + 2), 4 * MINUTE);
+  assert.equal(lockDuration(FREE_ATTEMPTS + 20), 60 * MINUTE);
+});
+
+test('parallel failures are all counted and lock the account', async t => {
+  const { db, admin } = await setup(t);
+  const guard = createLoginGuard(db.admins);
+  const now = Date.now();
+  // every request read the admin before any failure was stored
+  const results = await Promise.all(Array.from({ length: 8 }, () => guard.failed(admin, now)));
+  assert.deepEqual(results.map(r => r.failures).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8]);
+
+  const stored = await db.admins.get({ id: admin.id });
+  assert.equal(stored.failedLogins, 8);
+  assert.equal(Date.parse(stored.lockedUntil), now + lockDuration(8));
+  assert.ok(guard.attempt(stored, '203.0.113.7', now) > 0);
+
+  await guard.succeeded(stored);
+  const reset = await db.admins.get({ id: admin.id });
+  assert.equal(reset.failedLogins, 0);
+  assert.equal(guard.attempt(reset, '203.0.113.7', now), 0);
+});
+
+test('every attempt from an address counts, whichever account it tries', async t => {
+  const { db } = await setup(t);
+  const guard = createLoginGuard(db.admins);
+  const now = Date.now();
+  let wait = 0;
+  for (let i = 0; i < 30; i++) wait = guard.attempt(null, '203.0.113.8', now);
+  assert.equal(wait, 0);
+  assert.ok(guard.attempt(null, '203.0.113.8', now) > 0);
+  assert.equal(guard.attempt(null, '203.0.113.9', now), 0);
+});
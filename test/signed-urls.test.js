@@ -0,0 +1,49 @@
+// test/signed-urls.test.js
+// lib/signed-urls.js: a link works for the file it was signed for, until it expires.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUrlSigner } = require('../lib/signed-urls');
+
+const KEY = 'test-key';
+const FILE = 'sub-1/01 First Light.wav';
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+// The stored path and query of a signed link, as GET /files/* sees them
+function parse(link) {
+  const url = new URL(link, 'http://localhost');
+  const file = decodeURIComponent(url.pathname.replace(/^\/files\//, ''));
+  return { file, query: Object.fromEntries(url.searchParams) };
+}
+
+const status = fn => {
+  try {
+    fn();
+    return 200;
+  } catch (err) {
+    return err.status;
+  }
+};
+
+test('a link is valid until its expiry, then answers 410', () => {
+  const signer = createUrlSigner(KEY, { ttl: 60 });
+  const { file, query } = parse(signer.sign(FILE, 'artist:a1', NOW));
+  assert.equal(file, FILE);
+  assert.equal(signer.verify(file, query, NOW), 'artist:a1');
+  assert.equal(signer.verify(file, query, NOW + 60 * 1000), 'artist:a1');
+  assert.equal(status(() => signer.verify(file, query, NOW + 61 * 1000)), 410);
+  assert.equal(signer.expiresAt(NOW), '2026-10-19T12:01:00.000Z');
+});
+
+test('a link is bound to its file, account, expiry and key', () => {
+  const signer = createUrlSigner(KEY, { ttl: 60 });
+  const { file, query } = parse(signer.sign(FILE, 'artist:a1', NOW));
+
+  assert.equal(status(() => signer.verify('sub-1/02 Second Wind.wav', query, NOW)), 403);
+  assert.equal(status(() => signer.verify('sub-2/01 First Light.wav', query, NOW)), 403);
+  assert.equal(status(() => signer.verify(file, { ...query, who: 'admin:a1' }, NOW)), 403);
+  assert.equal(status(() => signer.verify(file, { ...query, exp: String(Number(query.exp) + 3600) }, NOW)), 403);
+  assert.equal(status(() => createUrlSigner('other-key').verify(file, query, NOW)), 403);
+  assert.equal(status(() => signer.verify(file, { exp: query.exp, who: query.who }, NOW)), 403);
+  assert.equal(status(() => signer.verify(file, { ...query, exp: [query.exp] }, NOW)), 403);
+});
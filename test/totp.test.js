@@ -0,0 +1,52 @@
+// test/totp.test.js
+// lib/totp.js: RFC 6238 codes, the accepted clock drift, and a code working
+// only once when the last used step is passed back.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+
+// "12345678901234567890", the SHA-1 key of the RFC 6238 test vectors
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const at = seconds => seconds * 1000;
+
+test('codes match the RFC 6238 test vectors (last six digits)', () => {
+  const vectors = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037']];
+  vectors.forEach(([seconds, code]) => {
+    assert.equal(totp.codeAt(SECRET, totp.currentStep(at(seconds))), code);
+  });
+});
+
+test('a code is accepted one step either side of now', () => {
+  const now = at(1234567890);
+  const step = totp.currentStep(now);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step), { now }), step);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step - 1), { now }), step - 1);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step + 1), { now }), step + 1);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step - 2), { now }), null);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step + 2), { now }), null);
+  assert.equal(totp.verifyCode(SECRET, '12345', { now }), null);
+  assert.equal(totp.verifyCode(SECRET, undefined, { now }), null);
+});
+
+test('a used step and the steps before it are refused', () => {
+  const now = at(1234567890);
+  const step = totp.currentStep(now);
+  const code = totp.codeAt(SECRET, step);
+  const used = totp.verifyCode(SECRET, code, { now });
+  assert.equal(totp.verifyCode(SECRET, code, { lastStep: used, now }), null);
+  assert.equal(totp.verifyCode(SECRET, code, { lastStep: used, now: now + 20 * 1000 }), null);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step - 1), { lastStep: used, now }), null);
+  // the next code still works
+  const next = now + 30 * 1000;
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step + 1), { lastStep: used, now: next }), step + 1);
+});
+
+test('a generated secret round-trips through the otpauth URL', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const url = new URL(totp.otpauthUrl(secret, 'admin@example.com', 'tidal.wav'));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.searchParams.get('secret'), secret);
+  assert.equal(url.searchParams.get('issuer'), 'tidal.wav');
+});
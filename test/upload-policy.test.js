@@ -0,0 +1,67 @@
+// test/upload-policy.test.js
+// lib/upload-policy.js: files are kept by their first bytes, not their names,
+// under safe unique names, and the size caps hold for resumable uploads too.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const policy = require('../lib/upload-policy');
+const { createStore } = require('../lib/chunked-upload');
+
+const MB = 1024 * 1024;
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-policy-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A file starting with `head`, padded to 64 bytes
+function write(dir, name, head) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, Buffer.concat([Buffer.from(head, 'latin1'), Buffer.alloc(64)]));
+  return file;
+}
+
+test('stored names are safe, keep no path and never collide', () => {
+  const taken = new Set(['song.wav']);
+  assert.equal(policy.storedName('../../etc/Song.WAV', 'wav', taken), 'Song-2.wav');
+  assert.equal(policy.storedName('song.wav', 'wav', taken), 'song-3.wav');
+  assert.equal(policy.storedName('Café del Mar (Live) .flac', 'flac', taken), 'Cafe_del_Mar_Live.flac');
+  assert.equal(policy.storedName('..', 'mp3', taken), 'file.mp3');
+  assert.equal(policy.storedName('cover.php', 'jpeg', taken), 'cover.jpg');
+  assert.ok(policy.storedName('x'.repeat(300), 'wav', taken).length <= 84);
+});
+
+test('the first bytes decide the type, whatever the name says', t => {
+  const dir = tempDir(t);
+  const upload = (name, head) => ({ path: write(dir, `${crypto.randomUUID()}.upload`, head), originalname: name });
+  const { files, rejected } = policy.placeFiles({
+    cover: [upload('cover.png', '\x89PNG\r\n\x1a\n')],
+    trackFiles: [
+      upload('one.wav', 'RIFF\0\0\0\0WAVE'),
+      upload('two.mp3', 'fLaC'),
+      upload('three.wav', '<?php echo 1; ?>'),
+      upload('four.flac', '\x89PNG\r\n\x1a\n')
+    ]
+  }, dir);
+
+  assert.deepEqual(files.cover.map(f => path.basename(f.path)), ['cover.png']);
+  assert.deepEqual(files.trackFiles.map(f => [path.basename(f.path), f.type]), [['one.wav', 'wav'], ['two.flac', 'flac']]);
+  assert.deepEqual(rejected.map(r => r.file), ['three.wav', 'four.flac']);
+  assert.match(rejected[1].errors[0], /this is PNG/);
+});
+
+test('size caps apply per file and per release, also to resumable uploads', t => {
+  const limits = policy.uploadLimits({ UPLOAD_MAX_TRACK_MB: '10', UPLOAD_MAX_SUBMISSION_MB: '15' });
+  assert.deepEqual(policy.sizeProblems([{ name: 'a.wav', size: 10 * MB, field: 'trackFiles' }], limits), []);
+  assert.equal(policy.sizeProblems([{ name: 'a.wav', size: 10 * MB + 1, field: 'trackFiles' }], limits).length, 1);
+  const two = [{ name: 'a.wav', size: 8 * MB, field: 'trackFiles' }, { name: 'b.wav', size: 8 * MB, field: 'trackFiles' }];
+  assert.match(policy.sizeProblems(two, limits)[0], /add up to 16 MB/);
+
+  const store = createStore(tempDir(t), { limits });
+  assert.throws(() => store.create(crypto.randomUUID(), 'artist-1', two), err => err.status === 413);
+});